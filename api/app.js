@@ -2,18 +2,52 @@ const cors = require('cors');
 const express = require('express');
 require('dotenv').config();
 const cookieParser = require('cookie-parser');
-const { errorHandler, authMiddleware } = require('./src/middleware');
+const {
+  errorHandler,
+  authMiddleware,
+  requestId,
+  rateLimit,
+} = require('./src/middleware');
+const { ForbiddenError, NotFoundError } = require('./src/utils/errors');
+const { setBackend } = require('./src/data');
+const { setStore } = require('./src/cache');
+const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const appointmentRoutes = require('./src/routes/appointmentRoutes');
+const journalRoutes = require('./src/routes/journalRoutes');
+const consentRoutes = require('./src/routes/consentRoutes');
+const auditRoutes = require('./src/routes/auditRoutes');
+const cronRoutes = require('./src/routes/cronRoutes');
+const credentialRoutes = require('./src/routes/credentialRoutes');
+const documentRoutes = require('./src/routes/documentRoutes');
+const fhirRoutes = require('./src/routes/fhirRoutes');
+
+/**
+ * Creates the Express app.
+ * @param {Object} [options]
+ * @param {string|Object} [options.backend] - Data backend name ('firestore' or
+ * 'memory') or backend object, defaults to DATA_BACKEND or Firestore
+ * @param {string|Object} [options.cache] - Cache store name ('memory' or
+ * 'redis') or store object, defaults to CACHE_STORE or in-memory
+ * @returns {Object} Express app
+ */
+const creteApp = ({ backend, cache } = {}) => {
+  if (backend) setBackend(backend);
+  if (cache) setStore(cache);
 
-const creteApp = () => {
   const app = express();
 
+  // Behind the Vercel proxy, req.ip is read from X-Forwarded-For
+  app.set('trust proxy', 1);
+
   const allowedOrigins = [
     process.env.FRONTEND_URL || 'http://localhost:3000',
     'https://medicaljournal.vercel.app',
   ];
 
   // Middleware
+  app.use(requestId);
   app.use(
     cors({
       origin: (origin, callback) => {
@@ -21,19 +55,30 @@ const creteApp = () => {
           callback(null, true);
         } else {
           console.error(`Blocked by CORS: Origin ${origin} not allowed`);
-          callback(new Error('Not allowed by CORS'));
+          callback(new ForbiddenError('Not allowed by CORS', 'CORS_BLOCKED'));
         }
       },
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     })
   );
+  app.use(rateLimit('global'));
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
   app.use(cookieParser());
 
   // Routes
+  app.use('/auth', authRoutes);
   app.use('/users', userRoutes);
+  app.use('/admins', adminRoutes);
+  app.use('/appointments', appointmentRoutes);
+  app.use('/journal', journalRoutes);
+  app.use('/consents', consentRoutes);
+  app.use('/audit-log', auditRoutes);
+  app.use('/credentials', credentialRoutes);
+  app.use('/documents', documentRoutes);
+  app.use('/fhir', fhirRoutes);
+  app.use('/cron', cronRoutes);
 
   // Health check
   app.get('/api/health', (req, res) => {
@@ -41,12 +86,9 @@ const creteApp = () => {
   });
 
   // 404 handler
-  app.use((req, res) => {
+  app.use((req, res, next) => {
     console.log(`404 - Not Found: ${req.method} ${req.url}`);
-    res.status(404).json({
-      status: 'error',
-      message: 'Route not found',
-    });
+    next(new NotFoundError('Route not found', 'ROUTE_NOT_FOUND'));
   });
 
   // Error handling middleware
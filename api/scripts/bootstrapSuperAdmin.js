@@ -0,0 +1,47 @@
+/**
+ * Makes an existing user the first super admin, who can then grant admin
+ * roles through the /admins routes. Refuses to run once a super admin
+ * exists. Admins made before the tiers need no migration: without an
+ * `adminRole` claim they count as LEGACY_ADMIN_TIER until a super admin
+ * gives them a tier.
+ * Usage: npm run admins:bootstrap -- <email>
+ */
+require('dotenv').config();
+const backend = require('../src/data');
+const { ADMIN_TIERS } = require('../src/utils/constants');
+const { grantAdminRole, hasSuperAdmin } = require('../src/utils/admins');
+const {
+  SYSTEM_ACTOR,
+  getAccountStates,
+  recordAuditEvent,
+} = require('../src/utils/auditLog');
+
+const bootstrap = async (email) => {
+  if (!email) throw new Error('Usage: npm run admins:bootstrap -- <email>');
+  if (await hasSuperAdmin()) {
+    throw new Error('A super admin already exists, use the /admins routes');
+  }
+
+  const { uid } = await backend.users.getUserByEmail(email);
+  const before = await getAccountStates([uid]);
+  await grantAdminRole(uid, ADMIN_TIERS.SUPER_ADMIN);
+  await recordAuditEvent({
+    actor: SYSTEM_ACTOR,
+    action: 'grant-admin-role',
+    targetIds: [uid],
+    before,
+    after: await getAccountStates([uid]),
+  });
+
+  return uid;
+};
+
+bootstrap(process.argv[2])
+  .then((uid) => {
+    console.log(`${process.argv[2]} (${uid}) is now a super admin`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Bootstrapping the super admin failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,96 @@
+/**
+ * Local stand-in for Redis, speaking enough of the protocol for the cache
+ * store: PING, GET, SET (with EX/PX/NX), INCR, PTTL, PEXPIRE, DEL, SCAN
+ * (prefix patterns), FLUSHDB, AUTH, SELECT and QUIT. Entries are kept in a MemoryStore, so the same
+ * LRU policy and CACHE_MAX_ENTRIES limit apply.
+ * Usage: npm run cache:local-redis (then CACHE_STORE=redis)
+ */
+require('dotenv').config();
+const net = require('net');
+const MemoryStore = require('../src/cache/memoryStore');
+const { encodeReply, parseReply } = require('../src/cache/resp');
+
+const port = Number(process.env.LOCAL_REDIS_PORT) || 6379;
+const store = new MemoryStore();
+const OK = { status: 'OK' };
+
+// No expiry is the same as a very long one for a local cache
+const NO_EXPIRY = 100 * 365 * 24 * 60 * 60 * 1000;
+
+const unescapePattern = (pattern) => pattern.replace(/\\(.)/g, '$1');
+
+const COMMANDS = {
+  PING: async () => ({ status: 'PONG' }),
+  AUTH: async () => OK,
+  SELECT: async () => OK,
+  QUIT: async () => OK,
+  GET: async ([key]) => store.get(key),
+  SET: async ([key, value, ...options]) => {
+    const flags = options.map((option) => option.toUpperCase());
+    if (flags.includes('NX') && (await store.get(key)) !== null) return null;
+
+    const unit = flags[0];
+    const amount = Number(options[1]);
+    const ttl =
+      unit === 'PX' ? amount : unit === 'EX' ? amount * 1000 : NO_EXPIRY;
+    await store.set(key, value, ttl);
+    return OK;
+  },
+  INCR: async ([key]) => (await store.increment(key, NO_EXPIRY)).count,
+  // -2 for missing keys, like Redis. Keys always expire here, so never -1
+  PTTL: async ([key]) => (await store.ttl(key)) ?? -2,
+  PEXPIRE: async ([key, ttl]) => {
+    const value = await store.get(key);
+    if (value === null) return 0;
+    await store.set(key, value, Number(ttl));
+    return 1;
+  },
+  DEL: async (keys) =>
+    (await Promise.all(keys.map((key) => store.delete(key)))).reduce(
+      (total, deleted) => total + deleted,
+      0
+    ),
+  // Returns every match at once, only `prefix*` patterns are supported
+  SCAN: async ([, ...options]) => {
+    const matchIndex = options.findIndex((o) => o.toUpperCase() === 'MATCH');
+    const pattern = matchIndex === -1 ? '*' : options[matchIndex + 1];
+    if (!pattern.endsWith('*') || /(^|[^\\])[*?[]/.test(pattern.slice(0, -1))) {
+      return new Error('ERR only prefix patterns are supported');
+    }
+    return ['0', await store.keys(unescapePattern(pattern.slice(0, -1)))];
+  },
+  FLUSHDB: async () => {
+    await store.clear();
+    return OK;
+  },
+};
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  let queue = Promise.resolve();
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let request;
+    while ((request = parseReply(buffer))) {
+      buffer = buffer.subarray(request.offset);
+      const [name = '', ...args] = request.value || [];
+      const command = COMMANDS[name.toUpperCase()];
+
+      // Replies are written in request order
+      queue = queue.then(async () => {
+        const reply = command
+          ? await command(args)
+          : new Error(`ERR unknown command '${name}'`);
+        socket.write(encodeReply(reply));
+        if (name.toUpperCase() === 'QUIT') socket.end();
+      });
+    }
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(port, () => {
+  console.log(`Local Redis stand-in listening on redis://127.0.0.1:${port}`);
+});
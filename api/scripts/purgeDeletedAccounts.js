@@ -0,0 +1,17 @@
+/**
+ * Purges soft deleted accounts whose retention period has passed, the same
+ * job Vercel Cron runs daily.
+ * Usage: npm run accounts:purge
+ */
+require('dotenv').config();
+const { purgeExpiredAccounts } = require('../src/utils/accountDeletion');
+
+purgeExpiredAccounts()
+  .then(({ purged, failed }) => {
+    console.log(`Purged ${purged} deleted accounts, ${failed} failed`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Purging deleted accounts failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,21 @@
+/**
+ * Regenerates the user search index from scratch.
+ * Usage: npm run search:rebuild
+ */
+require('dotenv').config();
+const { rebuildSearchIndex } = require('../src/utils/searchIndex');
+const { invalidateDirectories } = require('../src/utils/directory');
+
+rebuildSearchIndex()
+  .then(async ({ indexed, removed }) => {
+    await invalidateDirectories();
+
+    console.log(
+      `Search index rebuilt: ${indexed} users indexed, ${removed} removed`
+    );
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Search index rebuild failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,198 @@
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+const { CACHE_DURATION, CACHE_SETTINGS } = require('../utils/constants');
+
+/**
+ * Shared cache of the API. A store is an object of async string methods:
+ *   get(key), set(key, value, ttl), increment(key, ttl), delete(key),
+ *   keys(prefix), deletePrefix(prefix), clear() and close()
+ * where increment adds one to a counter, starting it at 1 with the given
+ * ttl, and resolves to `{count, ttl}` with the milliseconds left.
+ *
+ * Callers use namespaced caches from createCache, which serialize values as
+ * JSON. The cache only holds derived data and short-lived counters, so store
+ * failures are logged and treated as misses instead of failing the request.
+ * In memory, counters get a store of their own (see getCounterStore), so a
+ * flood of cached responses cannot evict them.
+ */
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  redis: () => new RedisStore(),
+};
+
+let current = null;
+let counters = null;
+
+/**
+ * Creates a store by name.
+ * @param {string} [name='memory'] - One of the STORES keys
+ * @returns {Object} Cache store
+ */
+const createStore = (name = 'memory') => {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown cache store "${name}", use one of ${Object.keys(STORES).join(
+        ', '
+      )}`
+    );
+  }
+  return factory();
+};
+
+/**
+ * Sets the store used by every cache.
+ * @param {string|Object} store - Store name or store object
+ * @returns {Object} The active store
+ */
+const setStore = (store) => {
+  current = typeof store === 'string' ? createStore(store) : store;
+  counters = null;
+  return current;
+};
+
+/**
+ * Returns the active store, creating the one named by CACHE_STORE
+ * (in-memory by default) on first use.
+ * @returns {Object} Cache store
+ */
+const getStore = () => current || setStore(process.env.CACHE_STORE || 'memory');
+
+/**
+ * Returns the store of counters, such as the rate limits. Redis keeps them
+ * next to the cached data, an in-memory store gets a separate one holding
+ * up to CACHE_SETTINGS.MAX_COUNTERS counters.
+ * @returns {Object} Cache store
+ */
+const getCounterStore = () => {
+  const store = getStore();
+  if (store.name !== 'memory') return store;
+
+  counters =
+    counters || new MemoryStore({ maxEntries: CACHE_SETTINGS.MAX_COUNTERS });
+  return counters;
+};
+
+const logFailure = (action, key, error) =>
+  console.error(`Cache ${action} failed for "${key}":`, error);
+
+/**
+ * Creates a cache whose keys live under `<CACHE_KEY_PREFIX>:<namespace>:`.
+ * @param {string} namespace - Namespace of the cached data
+ * @param {Object} [options]
+ * @param {number} [options.ttl=CACHE_DURATION] - Default time to live in milliseconds
+ * @param {Function} [options.store=getStore] - Returns the store to use
+ * @returns {Object} Namespaced cache
+ */
+const createCache = (
+  namespace,
+  { ttl: defaultTtl = CACHE_DURATION, store: getCacheStore = getStore } = {}
+) => {
+  const prefix = `${CACHE_SETTINGS.KEY_PREFIX}:${namespace}:`;
+  const toKey = (key) => `${prefix}${key}`;
+
+  return {
+    namespace,
+
+    /**
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<*>} The cached value, or undefined on a miss
+     */
+    async get(key) {
+      try {
+        const value = await getCacheStore().get(toKey(key));
+        return value === null ? undefined : JSON.parse(value);
+      } catch (error) {
+        logFailure('read', toKey(key), error);
+        return undefined;
+      }
+    },
+
+    /**
+     * Stores a value, unless its JSON is larger than CACHE_SETTINGS.MAX_VALUE_BYTES.
+     * @param {string} key - Key within the namespace
+     * @param {*} value - JSON-serializable value
+     * @param {number} [ttl] - Time to live in milliseconds
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    async set(key, value, ttl = defaultTtl) {
+      const json = JSON.stringify(value);
+      if (Buffer.byteLength(json) > CACHE_SETTINGS.MAX_VALUE_BYTES) {
+        return false;
+      }
+
+      try {
+        await getCacheStore().set(toKey(key), json, ttl);
+        return true;
+      } catch (error) {
+        logFailure('write', toKey(key), error);
+        return false;
+      }
+    },
+
+    /**
+     * Returns the cached value of a key, or loads, stores and returns it.
+     * @param {string} key - Key within the namespace
+     * @param {Function} load - Async function computing the value on a miss
+     * @param {number} [ttl] - Time to live in milliseconds
+     * @returns {Promise<*>} The value
+     */
+    async remember(key, load, ttl = defaultTtl) {
+      const cached = await this.get(key);
+      if (cached !== undefined) return cached;
+
+      const value = await load();
+      await this.set(key, value, ttl);
+      return value;
+    },
+
+    /**
+     * Adds one to a counter, see the store interface above.
+     * @param {string} key - Key within the namespace
+     * @param {number} [ttl] - Lifetime of a new counter in milliseconds
+     * @returns {Promise<{count: number, ttl: number}|null>} The counter, or
+     * null when the store failed
+     */
+    async increment(key, ttl = defaultTtl) {
+      try {
+        return await getCacheStore().increment(toKey(key), ttl);
+      } catch (error) {
+        logFailure('increment', toKey(key), error);
+        return null;
+      }
+    },
+
+    /**
+     * @param {string} key - Key within the namespace
+     */
+    async delete(key) {
+      try {
+        await getCacheStore().delete(toKey(key));
+      } catch (error) {
+        logFailure('delete', toKey(key), error);
+      }
+    },
+
+    /**
+     * Deletes every entry whose key starts with `keyPrefix`, or the whole
+     * namespace without one.
+     * @param {string} [keyPrefix=''] - Key prefix within the namespace
+     */
+    async invalidate(keyPrefix = '') {
+      try {
+        await getCacheStore().deletePrefix(toKey(keyPrefix));
+      } catch (error) {
+        logFailure('invalidation', toKey(keyPrefix), error);
+      }
+    },
+  };
+};
+
+module.exports = {
+  createStore,
+  setStore,
+  getStore,
+  getCounterStore,
+  createCache,
+};
@@ -0,0 +1,93 @@
+const { CACHE_SETTINGS } = require('../utils/constants');
+
+/**
+ * In-process string store with per-entry expiry and a least recently used
+ * eviction policy. A Map keeps insertion order, so reading an entry moves
+ * it to the end and the first entry is always the least recently used.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=CACHE_SETTINGS.MAX_ENTRIES] - Entries kept before evicting
+   */
+  constructor({ maxEntries = CACHE_SETTINGS.MAX_ENTRIES } = {}) {
+    this.name = 'memory';
+    this._maxEntries = maxEntries;
+    this._entries = new Map();
+  }
+
+  _read(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this._read(key);
+    if (!entry) return null;
+
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  _write(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    while (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  async set(key, value, ttl) {
+    this._write(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  async increment(key, ttl) {
+    const entry = this._read(key);
+    const count = (entry ? Number(entry.value) : 0) + 1;
+    const expiresAt = entry ? entry.expiresAt : Date.now() + ttl;
+
+    this._write(key, { value: String(count), expiresAt });
+    return { count, ttl: expiresAt - Date.now() };
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<number|null>} Milliseconds until the entry expires, null when missing
+   */
+  async ttl(key) {
+    const entry = this._read(key);
+    return entry ? entry.expiresAt - Date.now() : null;
+  }
+
+  async delete(key) {
+    return this._entries.delete(key) ? 1 : 0;
+  }
+
+  async keys(prefix = '') {
+    return [...this._entries.keys()].filter(
+      (key) => key.startsWith(prefix) && this._read(key)
+    );
+  }
+
+  async deletePrefix(prefix) {
+    const keys = await this.keys(prefix);
+    keys.forEach((key) => this._entries.delete(key));
+    return keys.length;
+  }
+
+  async clear() {
+    this._entries.clear();
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
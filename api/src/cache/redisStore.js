@@ -0,0 +1,177 @@
+const net = require('net');
+const tls = require('tls');
+const { encodeCommand, parseReply } = require('./resp');
+
+const DEFAULT_URL = 'redis://127.0.0.1:6379';
+const COMMAND_TIMEOUT_MS = 2000;
+
+// Characters with a meaning in SCAN MATCH patterns
+const escapePattern = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * String store on any server speaking the Redis protocol (Redis, Valkey,
+ * Upstash, or the local stand-in in scripts/localRedis.js), through a single
+ * lazily opened connection. Expiry uses `SET ... PX` and eviction is left to
+ * the server, which should run with `maxmemory-policy allkeys-lru`.
+ */
+class RedisStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url=REDIS_URL] - `redis://` or `rediss://` URL,
+   * with optional credentials and database number
+   */
+  constructor({ url = process.env.REDIS_URL || DEFAULT_URL } = {}) {
+    this.name = 'redis';
+    this._url = new URL(url);
+    this._socket = null;
+    this._buffer = Buffer.alloc(0);
+    this._pending = [];
+  }
+
+  _connect() {
+    const { protocol, hostname, port, username, password, pathname } =
+      this._url;
+    const options = { host: hostname, port: Number(port) || 6379 };
+    const socket =
+      protocol === 'rediss:'
+        ? tls.connect({ ...options, servername: hostname })
+        : net.connect(options);
+
+    socket.on('data', (chunk) => this._receive(chunk));
+    socket.on('timeout', () =>
+      socket.destroy(new Error('Redis command timed out'))
+    );
+    socket.on('error', (error) => this._reset(socket, error));
+    socket.on('close', () =>
+      this._reset(socket, new Error('Redis connection closed'))
+    );
+    this._socket = socket;
+
+    // Sent before any queued command, replies come back in the same order
+    if (password) {
+      const credentials = username
+        ? [decodeURIComponent(username), decodeURIComponent(password)]
+        : [decodeURIComponent(password)];
+      this._send(['AUTH', ...credentials]).catch(() => {});
+    }
+    const database = Number(pathname.slice(1));
+    if (database) this._send(['SELECT', database]).catch(() => {});
+  }
+
+  _reset(socket, error) {
+    // Events of a previous connection must not reset the current one
+    if (this._socket !== socket) return;
+
+    socket.destroy();
+    this._socket = null;
+    this._buffer = Buffer.alloc(0);
+    this._pending.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  _receive(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+
+    let reply;
+    while (this._pending.length && (reply = parseReply(this._buffer))) {
+      this._buffer = this._buffer.subarray(reply.offset);
+      const { resolve, reject } = this._pending.shift();
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+
+    // The timeout only runs while replies are awaited
+    this._socket?.setTimeout(this._pending.length ? COMMAND_TIMEOUT_MS : 0);
+  }
+
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      this._pending.push({ resolve, reject });
+      this._socket.setTimeout(COMMAND_TIMEOUT_MS);
+      this._socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Sends a command, connecting first when needed.
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} Parsed reply
+   */
+  command(...args) {
+    if (!this._socket) this._connect();
+    return this._send(args);
+  }
+
+  async get(key) {
+    return this.command('GET', key);
+  }
+
+  async set(key, value, ttl) {
+    await this.command('SET', key, value, 'PX', Math.max(1, Math.ceil(ttl)));
+  }
+
+  async increment(key, ttl) {
+    const px = Math.max(1, Math.ceil(ttl));
+    // Pipelined: SET NX starts the window and INCR keeps its expiry
+    const [, count, remaining] = await Promise.all([
+      this.command('SET', key, 0, 'PX', px, 'NX'),
+      this.command('INCR', key),
+      this.command('PTTL', key),
+    ]);
+
+    // The key expired between SET and INCR, which created it without expiry
+    if (remaining < 0) {
+      await this.command('PEXPIRE', key, px);
+      return { count, ttl: px };
+    }
+    return { count, ttl: remaining };
+  }
+
+  async delete(key) {
+    return this.command('DEL', key);
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.command(
+        'SCAN',
+        cursor,
+        'MATCH',
+        `${escapePattern(prefix)}*`,
+        'COUNT',
+        500
+      );
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return [...new Set(keys)];
+  }
+
+  async deletePrefix(prefix) {
+    const keys = await this.keys(prefix);
+    let deleted = 0;
+
+    for (let i = 0; i < keys.length; i += 500) {
+      deleted += await this.command('DEL', ...keys.slice(i, i + 500));
+    }
+    return deleted;
+  }
+
+  async clear() {
+    await this.command('FLUSHDB');
+  }
+
+  async close() {
+    if (!this._socket) return;
+    await this.command('QUIT').catch(() => {});
+    this._reset(this._socket, new Error('Redis connection closed'));
+  }
+}
+
+module.exports = RedisStore;
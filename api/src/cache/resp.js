@@ -0,0 +1,91 @@
+/**
+ * Encoding and parsing of the Redis serialization protocol (RESP2), shared
+ * by the Redis store and the local stand-in server.
+ */
+
+const CRLF = '\r\n';
+
+/**
+ * Encodes a command as an array of bulk strings.
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {string} Encoded command
+ */
+const encodeCommand = (args) =>
+  `*${args.length}${CRLF}` +
+  args
+    .map(String)
+    .map((arg) => `$${Buffer.byteLength(arg)}${CRLF}${arg}${CRLF}`)
+    .join('');
+
+/**
+ * Encodes a reply: null as a null bulk string, strings as bulk strings,
+ * numbers as integers, arrays as arrays and errors as error replies.
+ * `{ status }` objects are sent as simple strings.
+ * @param {*} value - Reply value
+ * @returns {string} Encoded reply
+ */
+const encodeReply = (value) => {
+  if (value === null || value === undefined) return `$-1${CRLF}`;
+  if (value instanceof Error) return `-${value.message}${CRLF}`;
+  if (typeof value === 'number') return `:${value}${CRLF}`;
+  if (Array.isArray(value)) {
+    return `*${value.length}${CRLF}${value.map(encodeReply).join('')}`;
+  }
+  if (value.status) return `+${value.status}${CRLF}`;
+
+  const string = String(value);
+  return `$${Buffer.byteLength(string)}${CRLF}${string}${CRLF}`;
+};
+
+/**
+ * Parses one value from a buffer. Error replies are returned as Error
+ * instances rather than thrown.
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} [offset=0] - Position of the value
+ * @returns {{value: *, offset: number}|null} The value and the position after
+ * it, or null when the buffer does not hold a whole value yet
+ */
+const parseReply = (buffer, offset = 0) => {
+  const end = buffer.indexOf(CRLF, offset);
+  if (end === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, end);
+  const next = end + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString('utf8', next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+};
+
+module.exports = { encodeCommand, encodeReply, parseReply };
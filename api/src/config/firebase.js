@@ -1,13 +1,30 @@
 const admin = require('firebase-admin');
 
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+let services = null;
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+/**
+ * Initializes the Firebase Admin SDK on first use, so modules can be loaded
+ * without credentials when another data backend is used.
+ * @returns {{admin: Object, auth: Object, firestore: Object, storage: Object}}
+ */
+const getFirebase = () => {
+  if (!services) {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
 
-const auth = admin.auth();
-const firestore = admin.firestore();
-const storage = admin.storage();
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+    });
 
-module.exports = { admin, auth, firestore, storage };
+    services = {
+      admin,
+      auth: admin.auth(),
+      firestore: admin.firestore(),
+      storage: admin.storage(),
+    };
+  }
+
+  return services;
+};
+
+module.exports = { getFirebase };
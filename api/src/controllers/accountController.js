@@ -0,0 +1,203 @@
+const backend = require('../data');
+const { adminsRef } = require('../utils/admins');
+const { isAdmin, getAdminTier, isVerified } = require('../utils/permissions');
+const { syncSearchIndex } = require('../utils/searchIndex');
+const { invalidateDirectories } = require('../utils/directory');
+const {
+  clearSessionCookies,
+  requireRecentSignIn,
+  revokeSessions,
+} = require('../utils/sessions');
+const {
+  getDeletedAccounts,
+  softDeleteAccounts,
+} = require('../utils/accountDeletion');
+const { getAccountStates, recordAuditEvent } = require('../utils/auditLog');
+const { UnprocessableError } = require('../utils/errors');
+
+/**
+ * Converts the auth record of the logged in user for responses.
+ * @param {Object} record - Firebase user record
+ * @returns {Object} Account details
+ */
+const serializeAccount = (record) => {
+  const claims = record.customClaims || {};
+  const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+  return {
+    uid: record.uid,
+    email: record.email ?? null,
+    emailVerified: Boolean(record.emailVerified),
+    displayName: record.displayName ?? null,
+    photoURL: record.photoURL ?? null,
+    role: claims.role ?? null,
+    adminRole: getAdminTier(claims),
+    verified: isVerified(claims),
+    createdAt: toIso(record.metadata?.creationTime),
+    lastSignInAt: toIso(record.metadata?.lastSignInTime),
+  };
+};
+
+/**
+ * Refreshes the search index entry and directories of the logged in user
+ * after an account change.
+ * @param {Object} user - Decoded token of the user
+ */
+const refreshListings = async (user) => {
+  await syncSearchIndex([user.uid]);
+  await invalidateDirectories([user.role]);
+};
+
+/**
+ * Returns the account of the logged in user.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getMyAccount = async (req, res, next) => {
+  try {
+    const record = await backend.users.getUser(req.user.uid);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { account: serializeAccount(record) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates the display name of the logged in user.
+ * @param {Object} req - Express request object with `displayName` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateMyAccount = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const record = await backend.users.updateUser(user.uid, {
+      displayName: body.displayName.trim(),
+    });
+    await refreshListings(user);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Account updated',
+      data: { account: serializeAccount(record) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Changes the email of the logged in user, who must have signed in
+ * recently. The new address is unverified and the user is signed out
+ * everywhere: once signed in again, the client sends the verification email
+ * through the Firebase client SDK.
+ * @param {Object} req - Express request object with `email` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.changeMyEmail = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+    requireRecentSignIn(user);
+
+    const record = await backend.users.updateUser(user.uid, {
+      email: body.email,
+      emailVerified: false,
+    });
+    if (isAdmin(user)) {
+      await adminsRef().doc(user.uid).update({ email: body.email });
+    }
+    await revokeSessions([user.uid]);
+    await refreshListings(user);
+    clearSessionCookies(res);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Email changed, sign in again and verify the new address',
+      data: { account: serializeAccount(record) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Changes the password of the logged in user, who must have signed in
+ * recently. The password policy is checked by the request schema. The user
+ * is signed out everywhere.
+ * @param {Object} req - Express request object with `password` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.changeMyPassword = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+    requireRecentSignIn(user);
+
+    await backend.users.updateUser(user.uid, { password: body.password });
+    await revokeSessions([user.uid]);
+    clearSessionCookies(res);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Password changed, sign in again',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes the account of the logged in user, who must have signed in
+ * recently. Like the admin `delete` action, the account is soft deleted:
+ * disabled, signed out and hidden, until it is purged with its records and
+ * files once the retention period has passed. Admins must have
+ * their admin role revoked first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteMyAccount = async (req, res, next) => {
+  try {
+    const { user } = req;
+    requireRecentSignIn(user);
+
+    if (isAdmin(user)) {
+      throw new UnprocessableError(
+        'Admin accounts cannot be deleted while they hold an admin role',
+        'ADMIN_ACCOUNT'
+      );
+    }
+
+    const before = await getAccountStates([user.uid]);
+    const event = { req, action: 'delete', targetIds: [user.uid], before };
+
+    const failures = await softDeleteAccounts(
+      [{ uid: user.uid, state: before[user.uid] }],
+      { deletedBy: user.uid }
+    );
+    await recordAuditEvent({
+      ...event,
+      after: await getAccountStates([user.uid]),
+      failures,
+    });
+    if (failures.has(user.uid)) throw failures.get(user.uid);
+
+    const deletion = (await getDeletedAccounts([user.uid])).get(user.uid);
+    clearSessionCookies(res);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Account deleted',
+      data: { purgeAfter: deletion.purgeAfter.toDate().toISOString() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
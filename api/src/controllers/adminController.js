@@ -0,0 +1,140 @@
+const { ADMIN_TIERS } = require('../utils/constants');
+const {
+  adminsRef,
+  serializeAdmin,
+  grantAdminRole,
+  revokeAdminRole,
+} = require('../utils/admins');
+const { getDeletedAccounts } = require('../utils/accountDeletion');
+const { getAccountStates, recordAuditEvent } = require('../utils/auditLog');
+const { NotFoundError, UnprocessableError } = require('../utils/errors');
+
+/**
+ * Rejects changes of the own admin role, so a super admin cannot lock
+ * every super admin out.
+ * @param {Object} req - Express request object with `uid` param
+ * @throws {UnprocessableError}
+ */
+const requireOtherUser = (req) => {
+  if (req.params.uid === req.user.uid) {
+    throw new UnprocessableError(
+      'You cannot change your own admin role',
+      'OWN_ADMIN_ROLE'
+    );
+  }
+};
+
+/**
+ * Runs a role change and records it in the audit log, failed or not.
+ * @param {Object} req - Express request object with `uid` param
+ * @param {string} action - Audited action name
+ * @param {Function} change - Async function making the change
+ * @returns {Promise<*>} Result of `change`
+ */
+const auditRoleChange = async (req, action, change) => {
+  const { uid } = req.params;
+  const event = {
+    req,
+    action,
+    targetIds: [uid],
+    before: await getAccountStates([uid]),
+  };
+
+  let result;
+  try {
+    result = await change();
+  } catch (error) {
+    await recordAuditEvent({
+      ...event,
+      after: await getAccountStates([uid]),
+      error,
+    });
+    throw error;
+  }
+
+  await recordAuditEvent({ ...event, after: await getAccountStates([uid]) });
+  return result;
+};
+
+/**
+ * Lists admins with their tier, earliest granted first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listAdmins = async (req, res, next) => {
+  try {
+    const snapshot = await adminsRef().orderBy('grantedAt').get();
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        admins: snapshot.docs.map(serializeAdmin),
+        tiers: Object.values(ADMIN_TIERS),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Makes a user an admin of a tier, or moves an admin to another tier. The
+ * user is signed out, so their next token carries the new role.
+ * @param {Object} req - Express request object with `uid` param and `adminRole` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.grantAdminRole = async (req, res, next) => {
+  try {
+    const { user, params, body } = req;
+    requireOtherUser(req);
+
+    const before = await getAccountStates([params.uid]);
+    if (!before[params.uid].exists) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+    if ((await getDeletedAccounts([params.uid])).has(params.uid)) {
+      throw new UnprocessableError(
+        'The account is deleted, restore it first',
+        'ACCOUNT_DELETED'
+      );
+    }
+
+    const snapshot = await auditRoleChange(req, 'grant-admin-role', () =>
+      grantAdminRole(params.uid, body.adminRole, { grantedBy: user.uid })
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Admin role ${body.adminRole} granted`,
+      data: { admin: serializeAdmin(snapshot) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Takes the admin role from a user, who gets back the role they had before
+ * and is signed out.
+ * @param {Object} req - Express request object with `uid` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeAdminRole = async (req, res, next) => {
+  try {
+    requireOtherUser(req);
+
+    await auditRoleChange(req, 'revoke-admin-role', () =>
+      revokeAdminRole(req.params.uid)
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Admin role revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,502 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  DOCTOR_ROLE,
+  PATIENT_ROLE,
+  APPOINTMENT_COLLECTIONS,
+  APPOINTMENT_STATUS,
+  APPOINTMENT_SETTINGS,
+} = require('../utils/constants');
+const { getProfileData } = require('../utils/functions');
+const { isVerified } = require('../utils/permissions');
+const { generateSlots, findSlot } = require('../utils/appointmentSlots');
+const {
+  ConflictError,
+  NotFoundError,
+  UnprocessableError,
+  ValidationError,
+} = require('../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// gRPC status returned by Firestore when `create` hits an existing document
+const ALREADY_EXISTS = 6;
+
+const appointmentsRef = () =>
+  backend.firestore.collection(APPOINTMENT_COLLECTIONS.APPOINTMENTS);
+const availabilityRef = () =>
+  backend.firestore.collection(APPOINTMENT_COLLECTIONS.AVAILABILITY);
+const slotLocksRef = () =>
+  backend.firestore.collection(APPOINTMENT_COLLECTIONS.SLOT_LOCKS);
+
+/**
+ * Lock documents make a slot unique per doctor and per patient, so two
+ * bookings of the same start time fail on `create` instead of racing.
+ * @param {Object} appointment - Appointment with doctorId, patientId and startTime
+ * @returns {Array<Object>} Firestore document references of the locks
+ */
+const getSlotLocks = ({ doctorId, patientId, startTime }) => {
+  const start = new Date(startTime).getTime();
+  return [
+    slotLocksRef().doc(`${DOCTOR_ROLE}_${doctorId}_${start}`),
+    slotLocksRef().doc(`${PATIENT_ROLE}_${patientId}_${start}`),
+  ];
+};
+
+const serializeAppointment = (doc) => {
+  const data = doc.data();
+  return Object.fromEntries(
+    Object.entries({ id: doc.id, ...data }).map(([key, value]) => [
+      key,
+      value instanceof Timestamp ? value.toDate().toISOString() : value,
+    ])
+  );
+};
+
+/**
+ * Parses a requested start time and checks it lies in the bookable horizon.
+ * @param {string} value - ISO date time validated by the route schema
+ * @returns {{startTime?: Date, error?: string}}
+ */
+const parseStartTime = (value) => {
+  const startTime = new Date(value);
+  if (startTime.getTime() <= Date.now()) {
+    return { error: 'startTime must be in the future' };
+  }
+  if (
+    startTime.getTime() - Date.now() >
+    APPOINTMENT_SETTINGS.MAX_BOOKING_DAYS_AHEAD * DAY_MS
+  ) {
+    return {
+      error: `startTime must be within ${APPOINTMENT_SETTINGS.MAX_BOOKING_DAYS_AHEAD} days`,
+    };
+  }
+  return { startTime };
+};
+
+const isInsideCancellationWindow = (appointment) =>
+  new Date(appointment.startTime).getTime() - Date.now() <
+  APPOINTMENT_SETTINGS.CANCELLATION_WINDOW_HOURS * HOUR_MS;
+
+/**
+ * Checks a doctor can be booked: their account is enabled, they are
+ * verified, and their profile is complete and not soft deleted.
+ * @param {string} doctorId - User ID of the doctor
+ * @returns {Promise<boolean>}
+ */
+const isBookableDoctor = async (doctorId) => {
+  let userRecord;
+  try {
+    userRecord = await backend.users.getUser(doctorId);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return false;
+    throw error;
+  }
+
+  const claims = userRecord.customClaims;
+  if (
+    userRecord.disabled ||
+    claims?.role !== DOCTOR_ROLE ||
+    !isVerified(claims)
+  ) {
+    return false;
+  }
+
+  // Soft deleted profiles are not returned
+  const doctorProfile = await getProfileData(doctorId, DOCTOR_ROLE);
+  return Boolean(doctorProfile?.isProfileComplete);
+};
+
+/**
+ * Loads an appointment and checks the logged in user takes part in it.
+ * @param {string} id - Appointment id
+ * @param {Object} user - Decoded token from authMiddleware
+ * @returns {Promise<Object|null>} Firestore snapshot or null when not accessible
+ */
+const getOwnAppointment = async (id, user) => {
+  const snapshot = await appointmentsRef().doc(id).get();
+  if (!snapshot.exists) return null;
+
+  const { doctorId, patientId } = snapshot.data();
+  return [doctorId, patientId].includes(user.uid) ? snapshot : null;
+};
+
+/**
+ * Publishes the weekly availability and date exceptions of the logged in doctor.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.setAvailability = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const availability = {
+      doctorId: user.uid,
+      timeZone: body.timeZone,
+      slotMinutes: body.slotMinutes,
+      weekly: body.weekly,
+      exceptions: body.exceptions,
+      updatedAt: Timestamp.now(),
+    };
+
+    await availabilityRef().doc(user.uid).set(availability);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Availability updated successfully',
+      data: {
+        availability: {
+          ...availability,
+          updatedAt: availability.updatedAt.toDate().toISOString(),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns the published availability of a doctor.
+ * @param {Object} req - Express request object with `doctorId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const snapshot = await availabilityRef().doc(req.params.doctorId).get();
+
+    if (!snapshot.exists) {
+      throw new NotFoundError(
+        'This doctor has not published availability',
+        'AVAILABILITY_NOT_FOUND'
+      );
+    }
+
+    const { updatedAt, ...availability } = snapshot.data();
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        availability: {
+          ...availability,
+          updatedAt: updatedAt?.toDate().toISOString(),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the free slots of a doctor between two dates, excluding booked ones.
+ * @param {Object} req - Express request object with `doctorId` param and `from`/`to` query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAvailableSlots = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+    const { from, to } = req.query;
+
+    const availabilitySnapshot = await availabilityRef().doc(doctorId).get();
+    if (!availabilitySnapshot.exists) {
+      throw new NotFoundError(
+        'This doctor has not published availability',
+        'AVAILABILITY_NOT_FOUND'
+      );
+    }
+
+    const booked = await appointmentsRef()
+      .where('doctorId', '==', doctorId)
+      .where('status', '==', APPOINTMENT_STATUS.BOOKED)
+      .get();
+    const bookedStarts = new Set(
+      booked.docs.map((doc) => doc.get('startTime'))
+    );
+
+    const now = new Date().toISOString();
+    const slots = generateSlots(availabilitySnapshot.data(), from, to).filter(
+      (slot) => slot.startTime > now && !bookedStarts.has(slot.startTime)
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      data: { doctorId, slots },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Books a published slot of a doctor for the logged in patient.
+ * @param {Object} req - Express request object with `doctorId`, `startTime` and `reason` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.bookAppointment = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const { doctorId, reason } = body;
+
+    const { startTime, error } = parseStartTime(body.startTime);
+    if (error) throw new ValidationError(error, [], 'INVALID_START_TIME');
+
+    if (!(await isBookableDoctor(doctorId))) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    const availabilitySnapshot = await availabilityRef().doc(doctorId).get();
+    const slot =
+      availabilitySnapshot.exists &&
+      findSlot(availabilitySnapshot.data(), startTime);
+    if (!slot) {
+      throw new UnprocessableError(
+        'The doctor does not offer this time slot',
+        'SLOT_NOT_OFFERED'
+      );
+    }
+
+    const appointmentRef = appointmentsRef().doc();
+    const appointment = {
+      doctorId,
+      patientId: user.uid,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      status: APPOINTMENT_STATUS.BOOKED,
+      reason,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+    };
+
+    const batch = backend.firestore.batch();
+    getSlotLocks(appointment).forEach((lockRef) =>
+      batch.create(lockRef, { appointmentId: appointmentRef.id })
+    );
+    batch.set(appointmentRef, appointment);
+    await batch.commit();
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Appointment booked successfully',
+      data: { appointment: serializeAppointment(await appointmentRef.get()) },
+    });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return next(
+        new ConflictError(
+          'This time slot is no longer available',
+          'SLOT_ALREADY_BOOKED',
+          { cause: error }
+        )
+      );
+    }
+    next(error);
+  }
+};
+
+/**
+ * Moves a booked appointment of the logged in patient to another slot.
+ * @param {Object} req - Express request object with `id` param and `startTime` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rescheduleAppointment = async (req, res, next) => {
+  try {
+    const { user, body, params } = req;
+
+    const snapshot = await getOwnAppointment(params.id, user);
+    if (!snapshot) {
+      throw new NotFoundError('Not found', 'APPOINTMENT_NOT_FOUND');
+    }
+
+    const current = snapshot.data();
+    if (current.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new ConflictError(
+        'Only booked appointments can be rescheduled',
+        'APPOINTMENT_NOT_BOOKED'
+      );
+    }
+    if (isInsideCancellationWindow(current)) {
+      throw new UnprocessableError(
+        `Appointments cannot be changed less than ${APPOINTMENT_SETTINGS.CANCELLATION_WINDOW_HOURS} hours before they start`,
+        'CANCELLATION_WINDOW_PASSED'
+      );
+    }
+
+    const { startTime, error } = parseStartTime(body.startTime);
+    if (error) throw new ValidationError(error, [], 'INVALID_START_TIME');
+
+    const availabilitySnapshot = await availabilityRef()
+      .doc(current.doctorId)
+      .get();
+    const slot =
+      availabilitySnapshot.exists &&
+      findSlot(availabilitySnapshot.data(), startTime);
+    if (!slot) {
+      throw new UnprocessableError(
+        'The doctor does not offer this time slot',
+        'SLOT_NOT_OFFERED'
+      );
+    }
+    if (slot.startTime === current.startTime) {
+      throw new ConflictError(
+        'The appointment is already booked for this slot',
+        'SAME_SLOT'
+      );
+    }
+
+    const updated = {
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      rescheduledFrom: current.startTime,
+      updatedAt: Timestamp.now(),
+    };
+
+    const batch = backend.firestore.batch();
+    getSlotLocks({ ...current, ...updated }).forEach((lockRef) =>
+      batch.create(lockRef, { appointmentId: snapshot.id })
+    );
+    getSlotLocks(current).forEach((lockRef) => batch.delete(lockRef));
+    batch.update(snapshot.ref, updated);
+    await batch.commit();
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Appointment rescheduled successfully',
+      data: { appointment: serializeAppointment(await snapshot.ref.get()) },
+    });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return next(
+        new ConflictError(
+          'This time slot is no longer available',
+          'SLOT_ALREADY_BOOKED',
+          { cause: error }
+        )
+      );
+    }
+    next(error);
+  }
+};
+
+/**
+ * Cancels an appointment. Patients must cancel before the cancellation
+ * window, doctors can cancel at any time.
+ * @param {Object} req - Express request object with `id` param and optional `reason` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.cancelAppointment = async (req, res, next) => {
+  try {
+    const { user, body, params } = req;
+
+    const snapshot = await getOwnAppointment(params.id, user);
+    if (!snapshot) {
+      throw new NotFoundError('Not found', 'APPOINTMENT_NOT_FOUND');
+    }
+
+    const current = snapshot.data();
+    if (current.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new ConflictError(
+        'Only booked appointments can be cancelled',
+        'APPOINTMENT_NOT_BOOKED'
+      );
+    }
+    if (new Date(current.startTime).getTime() <= Date.now()) {
+      throw new ConflictError(
+        'Past appointments cannot be cancelled',
+        'APPOINTMENT_IN_PAST'
+      );
+    }
+    if (user.role === PATIENT_ROLE && isInsideCancellationWindow(current)) {
+      throw new UnprocessableError(
+        `Appointments cannot be cancelled less than ${APPOINTMENT_SETTINGS.CANCELLATION_WINDOW_HOURS} hours before they start`,
+        'CANCELLATION_WINDOW_PASSED'
+      );
+    }
+
+    const batch = backend.firestore.batch();
+    getSlotLocks(current).forEach((lockRef) => batch.delete(lockRef));
+    batch.update(snapshot.ref, {
+      status: APPOINTMENT_STATUS.CANCELLED,
+      cancelledBy: user.uid,
+      cancellationReason: body.reason,
+      cancelledAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+    });
+    await batch.commit();
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Appointment cancelled successfully',
+      data: { appointment: serializeAppointment(await snapshot.ref.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the upcoming or past appointments of the logged in doctor or patient,
+ * soonest first for upcoming ones and latest first for past ones, with
+ * cursor pagination through `cursor` (the id of the last appointment of a
+ * page).
+ * @param {Object} req - Express request object with `scope` (upcoming|past), `status`, `limit` and `cursor` query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listAppointments = async (req, res, next) => {
+  try {
+    const { user, query } = req;
+
+    const { scope, status } = query;
+
+    const field = user.role === DOCTOR_ROLE ? 'doctorId' : 'patientId';
+    const now = new Date().toISOString();
+    const direction = scope === 'upcoming' ? 'asc' : 'desc';
+
+    // Slots of a doctor do not overlap, so ordering by end time first keeps
+    // the start time order while allowing the range filter on endTime
+    let appointmentsQuery = appointmentsRef()
+      .where(field, '==', user.uid)
+      .where('endTime', scope === 'upcoming' ? '>' : '<=', now)
+      .orderBy('endTime', direction)
+      .orderBy('startTime', direction);
+    if (status) {
+      appointmentsQuery = appointmentsQuery.where('status', '==', status);
+    }
+
+    if (query.cursor) {
+      const cursorSnapshot = await appointmentsRef().doc(query.cursor).get();
+      if (!cursorSnapshot.exists || cursorSnapshot.get(field) !== user.uid) {
+        throw new ValidationError(
+          'The requested page is not available',
+          [],
+          'INVALID_CURSOR'
+        );
+      }
+      appointmentsQuery = appointmentsQuery.startAfter(cursorSnapshot);
+    }
+
+    // Fetch one extra appointment to know whether another page exists
+    const snapshot = await appointmentsQuery.limit(query.limit + 1).get();
+    const docs = snapshot.docs.slice(0, query.limit);
+    const hasNextPage = snapshot.docs.length > query.limit;
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        appointments: docs.map(serializeAppointment),
+        nextCursor: hasNextPage ? docs[docs.length - 1].id : null,
+        hasNextPage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
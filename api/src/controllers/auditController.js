@@ -0,0 +1,127 @@
+const { AUDIT_SETTINGS } = require('../utils/constants');
+const {
+  auditLogRef,
+  queryAuditLog,
+  serializeAuditRecord,
+} = require('../utils/auditLog');
+const { UnprocessableError, ValidationError } = require('../utils/errors');
+
+const CSV_COLUMNS = [
+  ['id', (record) => record.id],
+  ['createdAt', (record) => record.createdAt],
+  ['actorId', (record) => record.actor.uid],
+  ['actorEmail', (record) => record.actor.email],
+  ['action', (record) => record.action],
+  ['outcome', (record) => record.outcome],
+  ['targetIds', (record) => record.targetIds.join(' ')],
+  ['ip', (record) => record.ip],
+  ['userAgent', (record) => record.userAgent],
+  ['requestId', (record) => record.requestId],
+  ['errorCode', (record) => record.error?.code],
+  ['changes', (record) => JSON.stringify(record.changes)],
+];
+
+const toCsvValue = (value) => {
+  let string = value === null || value === undefined ? '' : String(value);
+  // User agents are client controlled, keep spreadsheets from running formulas
+  if (/^[=+\-@\t\r]/.test(string)) string = `'${string}`;
+  return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+};
+
+const toCsv = (records) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...records.map((record) =>
+      CSV_COLUMNS.map(([, get]) => toCsvValue(get(record))).join(',')
+    ),
+  ].join('\r\n');
+
+/**
+ * Lists audit records newest first, filtered by actor, target, action,
+ * outcome and creation time, with cursor pagination through `cursor`
+ * (the id of the last record of a page).
+ * @param {Object} req - Express request object with the filters in `req.query`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listRecords = async (req, res, next) => {
+  try {
+    const { query: filters } = req;
+
+    let recordsQuery = queryAuditLog(filters);
+
+    if (filters.cursor) {
+      const cursorSnapshot = await auditLogRef().doc(filters.cursor).get();
+      if (!cursorSnapshot.exists) {
+        throw new ValidationError(
+          'The requested page is not available',
+          [],
+          'INVALID_CURSOR'
+        );
+      }
+      recordsQuery = recordsQuery.startAfter(cursorSnapshot);
+    }
+
+    // Fetch one extra record to know whether another page exists
+    const snapshot = await recordsQuery.limit(filters.limit + 1).get();
+    const docs = snapshot.docs.slice(0, filters.limit);
+    const hasNextPage = snapshot.docs.length > filters.limit;
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        records: docs.map(serializeAuditRecord),
+        nextCursor: hasNextPage ? docs[docs.length - 1].id : null,
+        hasNextPage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Downloads every audit record matching the filters as CSV or JSON.
+ * Exports are capped at AUDIT_SETTINGS.MAX_EXPORT_RECORDS records rather
+ * than silently truncated, a narrower date range is needed above it.
+ * @param {Object} req - Express request object with the filters and `format` in `req.query`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportRecords = async (req, res, next) => {
+  try {
+    const { query: filters } = req;
+    const { MAX_EXPORT_RECORDS } = AUDIT_SETTINGS;
+
+    const docs = [];
+    let lastDoc = null;
+
+    do {
+      let pageQuery = queryAuditLog(filters).limit(500);
+      if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc);
+
+      const snapshot = await pageQuery.get();
+      docs.push(...snapshot.docs);
+      lastDoc = snapshot.size === 500 ? snapshot.docs[499] : null;
+
+      if (docs.length > MAX_EXPORT_RECORDS) {
+        throw new UnprocessableError(
+          `The export is limited to ${MAX_EXPORT_RECORDS} records, please narrow the filters`,
+          'EXPORT_TOO_LARGE'
+        );
+      }
+    } while (lastDoc);
+
+    const records = docs.map(serializeAuditRecord);
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+
+    res.attachment(`${filename}.${filters.format}`);
+
+    if (filters.format === 'json') {
+      return res.status(200).json(records);
+    }
+    return res.status(200).type('text/csv').send(toCsv(records));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,86 @@
+const backend = require('../data');
+const { SESSION_SETTINGS } = require('../utils/constants');
+const {
+  setSessionCookies,
+  clearSessionCookies,
+  hasValidCsrfToken,
+  requireRecentSignIn,
+  authenticate,
+  revokeSessions,
+} = require('../utils/sessions');
+const {
+  ForbiddenError,
+  UnsupportedMediaTypeError,
+} = require('../utils/errors');
+
+/**
+ * Starts a cookie session: exchanges the ID token of a recent sign-in for a
+ * Firebase session cookie and sets the session and CSRF cookies.
+ * @param {Object} req - Express request object with `idToken` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.sessionLogin = async (req, res, next) => {
+  try {
+    const { idToken } = req.body;
+
+    // Other sites cannot send JSON without passing CORS, unlike a form post
+    if (!req.is('application/json')) {
+      throw new UnsupportedMediaTypeError(
+        'The request body must be JSON',
+        'JSON_REQUIRED'
+      );
+    }
+
+    requireRecentSignIn(await backend.users.verifyIdToken(idToken, true));
+
+    const sessionCookie = await backend.users.createSessionCookie(idToken, {
+      expiresIn: SESSION_SETTINGS.EXPIRES_IN_MS,
+    });
+    const csrfToken = setSessionCookies(res, sessionCookie);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Logged in',
+      data: {
+        csrfToken,
+        expiresAt: new Date(
+          Date.now() + SESSION_SETTINGS.EXPIRES_IN_MS
+        ).toISOString(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ends the session: clears the session and CSRF cookies and signs the user
+ * out everywhere with revokeSessions, which ends their other sessions too
+ * and clears their cached account status, so their tokens are rejected at
+ * once. Requests without valid credentials still get their cookies cleared.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    // Expired and revoked sessions have nothing left to revoke
+    const credentials = await authenticate(req).catch(() => null);
+
+    if (credentials?.fromCookie && !hasValidCsrfToken(req)) {
+      throw new ForbiddenError('Invalid CSRF token', 'CSRF_TOKEN_INVALID');
+    }
+    if (credentials) {
+      await revokeSessions([credentials.decodedToken.uid]);
+    }
+    clearSessionCookies(res);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Logged out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
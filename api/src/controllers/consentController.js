@@ -0,0 +1,124 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const { DOCTOR_ROLE, PATIENT_ROLE } = require('../utils/constants');
+const { getProfileData } = require('../utils/functions');
+const { consentsRef, getGrantId, isGrantActive } = require('../utils/consent');
+const { NotFoundError } = require('../utils/errors');
+
+const serializeGrant = (doc) => {
+  const grant = doc.data();
+  return {
+    id: doc.id,
+    patientId: grant.patientId,
+    doctorId: grant.doctorId,
+    scope: grant.scope,
+    grantedAt: grant.grantedAt?.toDate().toISOString(),
+    expiresAt: grant.expiresAt?.toDate().toISOString() || null,
+    revokedAt: grant.revokedAt?.toDate().toISOString() || null,
+    active: isGrantActive(grant),
+  };
+};
+
+/**
+ * Lists consent grants. Patients see every grant they gave, doctors only the
+ * grants currently active for them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listGrants = async (req, res, next) => {
+  try {
+    const { user } = req;
+
+    const field = user.role === PATIENT_ROLE ? 'patientId' : 'doctorId';
+    const snapshot = await consentsRef().where(field, '==', user.uid).get();
+
+    const grants = snapshot.docs
+      .map(serializeGrant)
+      .filter((grant) => user.role === PATIENT_ROLE || grant.active);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { grants },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Grants a doctor access to scopes of the logged in patient's data.
+ * Granting a scope again renews it and clears an earlier revocation.
+ * @param {Object} req - Express request object with `doctorId`, `scopes` and optional `expiresAt` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createGrant = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const { doctorId, scopes, expiresAt } = body;
+
+    const doctorProfile = await getProfileData(doctorId, DOCTOR_ROLE);
+    if (!doctorProfile) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    const batch = backend.firestore.batch();
+    const grantRefs = [...new Set(scopes)].map((scope) => {
+      const grantRef = consentsRef().doc(getGrantId(user.uid, doctorId, scope));
+      batch.set(grantRef, {
+        patientId: user.uid,
+        doctorId,
+        scope,
+        grantedAt: Timestamp.now(),
+        expiresAt: expiresAt ? Timestamp.fromDate(new Date(expiresAt)) : null,
+        revokedAt: null,
+      });
+      return grantRef;
+    });
+    await batch.commit();
+
+    const grants = await backend.firestore.getAll(...grantRefs);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Access granted successfully',
+      data: { grants: grants.map(serializeGrant) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes a consent grant of the logged in patient. The grant is kept with a
+ * `revokedAt` date so the patient can see the history of their consents.
+ * @param {Object} req - Express request object with `grantId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeGrant = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const grantRef = consentsRef().doc(params.grantId);
+    const snapshot = await grantRef.get();
+
+    if (!snapshot.exists || snapshot.get('patientId') !== user?.uid) {
+      throw new NotFoundError('Consent grant not found', 'GRANT_NOT_FOUND');
+    }
+
+    if (!snapshot.get('revokedAt')) {
+      await grantRef.update({ revokedAt: Timestamp.now() });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Access revoked successfully',
+      data: { grant: serializeGrant(await grantRef.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
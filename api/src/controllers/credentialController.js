@@ -0,0 +1,464 @@
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  CREDENTIAL_STATUS,
+  CREDENTIAL_SETTINGS,
+} = require('../utils/constants');
+const { sniffFileType } = require('../utils/fileTypes');
+const {
+  credentialsRef,
+  getCredentialDocumentPath,
+  toHistoryEntry,
+  serializeSubmission,
+  setVerification,
+} = require('../utils/credentials');
+const { getAccountStates, recordAuditEvent } = require('../utils/auditLog');
+const {
+  ConflictError,
+  NotFoundError,
+  UnprocessableError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+} = require('../utils/errors');
+
+// Submissions still waiting for a decision
+const OPEN_STATUSES = [CREDENTIAL_STATUS.PENDING, CREDENTIAL_STATUS.NEEDS_INFO];
+
+/**
+ * Decisions an admin can take on a submission, with the statuses they
+ * apply to, the status they lead to, the audited action name and the past
+ * participle used in messages.
+ * @constant
+ * @type {Object<string, Object>}
+ */
+const DECISIONS = {
+  approve: {
+    from: [CREDENTIAL_STATUS.PENDING],
+    status: CREDENTIAL_STATUS.APPROVED,
+    action: 'approve-credentials',
+    done: 'approved',
+  },
+  reject: {
+    from: OPEN_STATUSES,
+    status: CREDENTIAL_STATUS.REJECTED,
+    action: 'reject-credentials',
+    done: 'rejected',
+  },
+  request_info: {
+    from: [CREDENTIAL_STATUS.PENDING],
+    status: CREDENTIAL_STATUS.NEEDS_INFO,
+    action: 'request-credentials-info',
+    done: 'sent back for more information',
+  },
+};
+
+const toSubmissionFields = (
+  { licenseNumber, issuingAuthority, expiresAt },
+  documents
+) => ({
+  licenseNumber,
+  issuingAuthority,
+  expiresAt: Timestamp.fromDate(new Date(expiresAt)),
+  documents,
+});
+
+/**
+ * Checks the supporting documents uploaded with a submission.
+ * @param {Array<Object>} [files] - Files parsed by uploadFile
+ * @returns {Array<{file: Object, contentType: string}>} Files with their sniffed type
+ * @throws {ValidationError} When no file was uploaded
+ * @throws {UnsupportedMediaTypeError} When a file is not a PDF, JPEG or PNG
+ */
+const readDocuments = (files = []) => {
+  if (!files.length) {
+    throw new ValidationError('Please upload your supporting documents', [
+      { location: 'body', field: 'documents', message: 'is required' },
+    ]);
+  }
+
+  return files.map((file) => {
+    const contentType = sniffFileType(
+      file.buffer,
+      CREDENTIAL_SETTINGS.DOCUMENT_CONTENT_TYPES
+    );
+    if (!contentType) {
+      throw new UnsupportedMediaTypeError(
+        `${file.originalname} must be a PDF, JPEG or PNG file`,
+        'UNSUPPORTED_DOCUMENT_TYPE'
+      );
+    }
+    return { file, contentType };
+  });
+};
+
+/**
+ * Deletes the stored files of submission documents.
+ * @param {Array<Object>} documents - Documents with their `storagePath`
+ */
+const deleteDocuments = (documents) =>
+  Promise.all(
+    documents.map(({ storagePath }) => backend.storage.delete(storagePath))
+  );
+
+/**
+ * Stores the supporting documents of a submission. Files stored before a
+ * failed one are deleted again.
+ * @param {string} doctorId - Doctor user ID
+ * @param {string} submissionId - Submission document id
+ * @param {Array<Object>} uploads - Result of readDocuments
+ * @returns {Promise<Array<Object>>} Documents of the submission, with their storage path
+ */
+const saveDocuments = async (doctorId, submissionId, uploads) => {
+  const documents = [];
+  try {
+    for (const { file, contentType } of uploads) {
+      const id = randomUUID();
+      const storagePath = getCredentialDocumentPath(doctorId, submissionId, id);
+      await backend.storage.save(storagePath, file.buffer, { contentType });
+      documents.push({
+        id,
+        // Shown to reviewers only, never used as a path
+        name: path.basename(file.originalname).slice(0, 200),
+        contentType,
+        size: file.size,
+        storagePath,
+      });
+    }
+  } catch (error) {
+    await deleteDocuments(documents);
+    throw error;
+  }
+  return documents;
+};
+
+/**
+ * Issues short-lived signed URLs to download the documents of a submission.
+ * @param {Object} snapshot - Submission snapshot
+ * @returns {Promise<Array<Object>>} Documents with their `url` and its `expiresAt`
+ */
+const createDocumentLinks = (snapshot) => {
+  const expiresAt = new Date(
+    Date.now() + CREDENTIAL_SETTINGS.DOWNLOAD_URL_TTL_MS
+  );
+  return Promise.all(
+    snapshot.get('documents').map(async ({ storagePath, ...document }) => ({
+      ...document,
+      url: await backend.storage.getSignedUrl(storagePath, {
+        action: 'read',
+        expires: expiresAt,
+      }),
+      expiresAt: expiresAt.toISOString(),
+    }))
+  );
+};
+
+/**
+ * Reads a submission.
+ * @param {string} submissionId - Submission document id
+ * @returns {Promise<Object>} Document snapshot
+ * @throws {NotFoundError} When the submission does not exist
+ */
+const getSubmissionSnapshot = async (submissionId) => {
+  const snapshot = await credentialsRef().doc(submissionId).get();
+  if (!snapshot.exists) {
+    throw new NotFoundError('Submission not found', 'SUBMISSION_NOT_FOUND');
+  }
+  return snapshot;
+};
+
+/**
+ * Submits the license of the logged in doctor for review. Only one
+ * submission can be open at a time, a doctor renewing an approved license
+ * submits a new one. Supporting documents are uploaded as the `documents`
+ * files of a multipart body.
+ * @param {Object} req - Express request object with `licenseNumber`, `issuingAuthority` and `expiresAt` in body and the `documents` files
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.submitCredentials = async (req, res, next) => {
+  try {
+    const { user, body, files } = req;
+    const uploads = readDocuments(files);
+
+    const openSnapshot = await credentialsRef()
+      .where('doctorId', '==', user.uid)
+      .where('status', 'in', OPEN_STATUSES)
+      .limit(1)
+      .get();
+    if (!openSnapshot.empty) {
+      throw new ConflictError(
+        'A submission is already waiting for review',
+        'SUBMISSION_ALREADY_OPEN',
+        { details: { submissionId: openSnapshot.docs[0].id } }
+      );
+    }
+
+    const submissionRef = credentialsRef().doc();
+    const documents = await saveDocuments(user.uid, submissionRef.id, uploads);
+
+    const now = Timestamp.now();
+    try {
+      await submissionRef.set({
+        doctorId: user.uid,
+        ...toSubmissionFields(body, documents),
+        status: CREDENTIAL_STATUS.PENDING,
+        reason: null,
+        submittedAt: now,
+        updatedAt: now,
+        reviewedBy: null,
+        reviewedAt: null,
+        history: [
+          toHistoryEntry(CREDENTIAL_STATUS.PENDING, { actorId: user.uid }),
+        ],
+      });
+    } catch (error) {
+      await deleteDocuments(documents);
+      throw error;
+    }
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Credentials submitted for review',
+      data: { submission: serializeSubmission(await submissionRef.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Answers a request for information: replaces the details of a submission
+ * of the logged in doctor and puts it back in the review queue. The
+ * uploaded documents replace the previous ones.
+ * @param {Object} req - Express request object with `submissionId` param, the submission fields in body and the `documents` files
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resubmitCredentials = async (req, res, next) => {
+  try {
+    const { user, params, body, files } = req;
+    const uploads = readDocuments(files);
+
+    const snapshot = await credentialsRef().doc(params.submissionId).get();
+    if (!snapshot.exists || snapshot.get('doctorId') !== user.uid) {
+      throw new NotFoundError('Submission not found', 'SUBMISSION_NOT_FOUND');
+    }
+    if (snapshot.get('status') !== CREDENTIAL_STATUS.NEEDS_INFO) {
+      throw new UnprocessableError(
+        'Only submissions waiting for more information can be updated',
+        'SUBMISSION_NOT_EDITABLE'
+      );
+    }
+
+    const documents = await saveDocuments(user.uid, snapshot.id, uploads);
+
+    const now = Timestamp.now();
+    try {
+      await snapshot.ref.update({
+        ...toSubmissionFields(body, documents),
+        status: CREDENTIAL_STATUS.PENDING,
+        submittedAt: now,
+        updatedAt: now,
+        history: [
+          ...snapshot.get('history'),
+          toHistoryEntry(CREDENTIAL_STATUS.PENDING, { actorId: user.uid }),
+        ],
+      });
+    } catch (error) {
+      await deleteDocuments(documents);
+      throw error;
+    }
+    await deleteDocuments(snapshot.get('documents'));
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Credentials resubmitted for review',
+      data: { submission: serializeSubmission(await snapshot.ref.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the submissions of the logged in doctor, newest first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listMySubmissions = async (req, res, next) => {
+  try {
+    const { user } = req;
+
+    const snapshot = await credentialsRef()
+      .where('doctorId', '==', user.uid)
+      .orderBy('submittedAt', 'desc')
+      .get();
+
+    return res.status(200).json({
+      status: 'success',
+      data: { submissions: snapshot.docs.map(serializeSubmission) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review queue: lists submissions with a status, pending by default,
+ * longest waiting first, with cursor pagination through `cursor` (the id of
+ * the last submission of a page).
+ * @param {Object} req - Express request object with `status`, `limit` and `cursor` in `req.query`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSubmissions = async (req, res, next) => {
+  try {
+    const { query } = req;
+
+    let submissionsQuery = credentialsRef()
+      .where('status', '==', query.status)
+      .orderBy('submittedAt');
+
+    if (query.cursor) {
+      const cursorSnapshot = await credentialsRef().doc(query.cursor).get();
+      if (!cursorSnapshot.exists) {
+        throw new ValidationError(
+          'The requested page is not available',
+          [],
+          'INVALID_CURSOR'
+        );
+      }
+      submissionsQuery = submissionsQuery.startAfter(cursorSnapshot);
+    }
+
+    // Fetch one extra submission to know whether another page exists
+    const snapshot = await submissionsQuery.limit(query.limit + 1).get();
+    const docs = snapshot.docs.slice(0, query.limit);
+    const hasNextPage = snapshot.docs.length > query.limit;
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        submissions: docs.map(serializeSubmission),
+        nextCursor: hasNextPage ? docs[docs.length - 1].id : null,
+        hasNextPage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a submission for review, with short-lived download links to its
+ * documents.
+ * @param {Object} req - Express request object with `submissionId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSubmission = async (req, res, next) => {
+  try {
+    const snapshot = await getSubmissionSnapshot(req.params.submissionId);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        submission: {
+          ...serializeSubmission(snapshot),
+          documents: await createDocumentLinks(snapshot),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approves or rejects a submission, or asks the doctor for more information.
+ * Approving sets the `verified` claim of the doctor until their license
+ * expires. Rejecting leaves an earlier approval in place until it expires.
+ * Every decision is recorded in the audit log.
+ * @param {Object} req - Express request object with `submissionId` param, `decision` and `reason` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.decideSubmission = async (req, res, next) => {
+  try {
+    const { user, params, body } = req;
+    const { decision, reason = null } = body;
+    const { from, status, action, done } = DECISIONS[decision];
+
+    const snapshot = await getSubmissionSnapshot(params.submissionId);
+    const submission = snapshot.data();
+
+    if (!from.includes(submission.status)) {
+      throw new UnprocessableError(
+        `A ${submission.status.replace('_', ' ')} submission cannot be ${done}`,
+        'INVALID_SUBMISSION_STATUS'
+      );
+    }
+
+    const { doctorId } = submission;
+    const before = await getAccountStates([doctorId]);
+
+    if (decision === 'approve') {
+      if (submission.expiresAt.toMillis() <= Date.now()) {
+        throw new UnprocessableError(
+          'The license has already expired',
+          'LICENSE_EXPIRED'
+        );
+      }
+      if (!before[doctorId].exists) {
+        throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+      }
+    }
+
+    const now = Timestamp.now();
+    const event = { req, action, targetIds: [doctorId], before };
+
+    try {
+      if (decision === 'approve') {
+        await setVerification(
+          doctorId,
+          before[doctorId].claims,
+          submission.expiresAt
+        );
+      }
+      await snapshot.ref.update({
+        status,
+        reason,
+        updatedAt: now,
+        reviewedBy: user.uid,
+        reviewedAt: now,
+        history: [
+          ...submission.history,
+          toHistoryEntry(status, { actorId: user.uid, reason }),
+        ],
+      });
+    } catch (error) {
+      await recordAuditEvent({
+        ...event,
+        after: await getAccountStates([doctorId]),
+        error,
+      });
+      throw error;
+    }
+
+    await recordAuditEvent({
+      ...event,
+      after: await getAccountStates([doctorId]),
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Submission ${done}`,
+      data: { submission: serializeSubmission(await snapshot.ref.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
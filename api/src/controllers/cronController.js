@@ -0,0 +1,61 @@
+const { purgeExpiredAccounts } = require('../utils/accountDeletion');
+const { expireCredentials } = require('../utils/credentials');
+const { processDataExports } = require('../utils/dataExports');
+
+/**
+ * Purges soft deleted accounts whose retention period has passed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.purgeDeletedAccounts = async (req, res, next) => {
+  try {
+    const { purged, failed } = await purgeExpiredAccounts({ req });
+
+    return res.status(200).json({
+      status: 'success',
+      data: { purged, failed },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Expires approved credentials whose license expired and revokes the
+ * verification of their doctors.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.expireCredentials = async (req, res, next) => {
+  try {
+    const { expired, failed } = await expireCredentials({ req });
+
+    return res.status(200).json({
+      status: 'success',
+      data: { expired, failed },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retries stalled personal data exports and deletes expired archives.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.processDataExports = async (req, res, next) => {
+  try {
+    const { ready, failed, expired } = await processDataExports();
+
+    return res.status(200).json({
+      status: 'success',
+      data: { ready, failed, expired },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
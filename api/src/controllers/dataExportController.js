@@ -0,0 +1,166 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  DATA_EXPORT_STATUS,
+  DATA_EXPORT_SETTINGS,
+} = require('../utils/constants');
+const {
+  dataExportsRef,
+  serializeDataExport,
+  processDataExport,
+} = require('../utils/dataExports');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Exports whose archive is still being built
+const OPEN_STATUSES = [
+  DATA_EXPORT_STATUS.PENDING,
+  DATA_EXPORT_STATUS.PROCESSING,
+];
+
+/**
+ * Creates a signed URL to download the archive of a ready export, valid for
+ * DOWNLOAD_URL_TTL_MS and never past the expiry of the export.
+ * @param {Object} snapshot - Export document snapshot
+ * @returns {Promise<{url: string, expiresAt: string}|null>} Null when there is no archive to download
+ */
+const createDownloadLink = async (snapshot) => {
+  const expiresAt = snapshot.get('expiresAt')?.toMillis();
+  if (
+    snapshot.get('status') !== DATA_EXPORT_STATUS.READY ||
+    expiresAt <= Date.now()
+  ) {
+    return null;
+  }
+
+  const linkExpiresAt = new Date(
+    Math.min(Date.now() + DATA_EXPORT_SETTINGS.DOWNLOAD_URL_TTL_MS, expiresAt)
+  );
+  const url = await backend.storage.getSignedUrl(snapshot.get('storagePath'), {
+    action: 'read',
+    expires: linkExpiresAt,
+  });
+  return { url, expiresAt: linkExpiresAt.toISOString() };
+};
+
+/**
+ * Exports everything held about the logged in user. The archive is built
+ * within the request, as serverless instances can be frozen once the
+ * response is sent, and the response holds its download link. An export
+ * that could not be built is left pending for the process-data-exports
+ * job and answered with a 202, its status is read from
+ * GET /users/me/exports/:exportId. Only one export can be in progress at a
+ * time.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.requestDataExport = async (req, res, next) => {
+  try {
+    const { user } = req;
+
+    const openSnapshot = await dataExportsRef()
+      .where('uid', '==', user.uid)
+      .where('status', 'in', OPEN_STATUSES)
+      .limit(1)
+      .get();
+    if (!openSnapshot.empty) {
+      throw new ConflictError(
+        'An export is already in progress',
+        'EXPORT_IN_PROGRESS',
+        { details: { exportId: openSnapshot.docs[0].id } }
+      );
+    }
+
+    const now = Timestamp.now();
+    const exportRef = dataExportsRef().doc();
+    await exportRef.set({
+      uid: user.uid,
+      status: DATA_EXPORT_STATUS.PENDING,
+      attempts: 0,
+      storagePath: null,
+      size: null,
+      contents: null,
+      requestedAt: now,
+      updatedAt: now,
+      completedAt: null,
+      expiresAt: null,
+    });
+
+    await recordAuditEvent({
+      req,
+      action: 'export-data',
+      targetIds: [user.uid],
+    });
+
+    const status = await processDataExport(exportRef.id);
+    const snapshot = await exportRef.get();
+    const ready = status === DATA_EXPORT_STATUS.READY;
+
+    return res
+      .status(ready ? 201 : 202)
+      .location(`${req.baseUrl}/me/exports/${exportRef.id}`)
+      .json({
+        status: 'success',
+        message: ready
+          ? 'Export ready to download'
+          : 'Export requested, check its status to download it',
+        data: {
+          export: serializeDataExport(snapshot),
+          download: await createDownloadLink(snapshot),
+        },
+      });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the exports of the logged in user, newest first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listMyDataExports = async (req, res, next) => {
+  try {
+    const snapshot = await dataExportsRef()
+      .where('uid', '==', req.user.uid)
+      .orderBy('requestedAt', 'desc')
+      .get();
+
+    return res.status(200).json({
+      status: 'success',
+      data: { exports: snapshot.docs.map(serializeDataExport) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets the status of an export of the logged in user, with a download link
+ * once its archive is ready.
+ * @param {Object} req - Express request object with `exportId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getMyDataExport = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const snapshot = await dataExportsRef().doc(params.exportId).get();
+    if (!snapshot.exists || snapshot.get('uid') !== user.uid) {
+      throw new NotFoundError('Export not found', 'EXPORT_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        export: serializeDataExport(snapshot),
+        download: await createDownloadLink(snapshot),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
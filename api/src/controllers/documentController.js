@@ -0,0 +1,496 @@
+const path = require('path');
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  DOCTOR_ROLE,
+  PATIENT_ROLE,
+  JOURNAL_COLLECTIONS,
+  CONSENT_SCOPES,
+  DOCUMENT_SETTINGS,
+} = require('../utils/constants');
+const { getProfileData } = require('../utils/functions');
+const { hasActiveGrant } = require('../utils/consent');
+const { sniffFileType } = require('../utils/fileTypes');
+const {
+  documentsRef,
+  quotasRef,
+  getDocumentPath,
+  serializeDocument,
+  getStorageUsage,
+  reserveStorage,
+  releaseStorage,
+} = require('../utils/documents');
+const {
+  ForbiddenError,
+  NotFoundError,
+  UnprocessableError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+} = require('../utils/errors');
+
+/**
+ * Reads a document of a patient.
+ * @param {string} patientId - Owner of the document
+ * @param {string} documentId - Document id
+ * @returns {Promise<Object>} Document snapshot
+ * @throws {NotFoundError} When the document does not exist
+ */
+const getDocumentSnapshot = async (patientId, documentId) => {
+  const snapshot = await documentsRef(patientId).doc(documentId).get();
+  if (!snapshot.exists) {
+    throw new NotFoundError('Document not found', 'DOCUMENT_NOT_FOUND');
+  }
+  return snapshot;
+};
+
+/**
+ * Issues a short-lived signed URL to download the file of a document.
+ * @param {Object} snapshot - Document snapshot
+ * @returns {Promise<{url: string, expiresAt: string}>}
+ */
+const createDownloadLink = async (snapshot) => {
+  const expiresAt = new Date(
+    Date.now() + DOCUMENT_SETTINGS.DOWNLOAD_URL_TTL_MS
+  );
+  const url = await backend.storage.getSignedUrl(snapshot.get('storagePath'), {
+    action: 'read',
+    expires: expiresAt,
+  });
+  return { url, expiresAt: expiresAt.toISOString() };
+};
+
+/**
+ * Throws a 403 unless the patient currently grants the doctor access to
+ * their documents. Shares select documents, the consent grant decides
+ * whether they can be read.
+ * @param {string} patientId - Owner of the documents
+ * @param {string} doctorId - Doctor reading the documents
+ * @throws {ForbiddenError} When no active documents grant exists
+ */
+const rejectWithoutGrant = async (patientId, doctorId) => {
+  if (!(await hasActiveGrant(patientId, doctorId, CONSENT_SCOPES.DOCUMENTS))) {
+    throw new ForbiddenError(
+      'The patient has not granted you access to their documents',
+      'CONSENT_REQUIRED'
+    );
+  }
+};
+
+/**
+ * Lists the documents of the logged in patient, newest first, filtered by
+ * `type` and `journalEntryId`, with cursor pagination through `cursor`
+ * (the id of the last document of a page).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listDocuments = async (req, res, next) => {
+  try {
+    const { user, query: filters } = req;
+
+    let documentsQuery = documentsRef(user.uid).orderBy('date', 'desc');
+    if (filters.type) {
+      documentsQuery = documentsQuery.where('type', '==', filters.type);
+    }
+    if (filters.journalEntryId) {
+      documentsQuery = documentsQuery.where(
+        'journalEntryId',
+        '==',
+        filters.journalEntryId
+      );
+    }
+
+    if (filters.cursor) {
+      const cursorSnapshot = await documentsRef(user.uid)
+        .doc(filters.cursor)
+        .get();
+      if (!cursorSnapshot.exists) {
+        throw new ValidationError(
+          'The requested page is not available',
+          [],
+          'INVALID_CURSOR'
+        );
+      }
+      documentsQuery = documentsQuery.startAfter(cursorSnapshot);
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const snapshot = await documentsQuery.limit(filters.limit + 1).get();
+    const docs = snapshot.docs.slice(0, filters.limit);
+    const hasNextPage = snapshot.docs.length > filters.limit;
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        documents: docs.map(serializeDocument),
+        nextCursor: hasNextPage ? docs[docs.length - 1].id : null,
+        hasNextPage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Uploads a document of the logged in patient from the `file` field of a
+ * multipart body, with its metadata in the other fields. Only PDF, JPEG and
+ * PNG files are accepted, identified by their content, within the storage
+ * quota of the patient.
+ * @param {Object} req - Express request object with the uploaded `req.file` and metadata in `req.body`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.uploadDocument = async (req, res, next) => {
+  try {
+    const { user, file, body } = req;
+
+    if (!file) {
+      throw new ValidationError('Please upload a file', [
+        { location: 'body', field: 'file', message: 'is required' },
+      ]);
+    }
+
+    const contentType = sniffFileType(
+      file.buffer,
+      DOCUMENT_SETTINGS.CONTENT_TYPES
+    );
+    if (!contentType) {
+      throw new UnsupportedMediaTypeError(
+        'The document must be a PDF, JPEG or PNG file',
+        'UNSUPPORTED_DOCUMENT_TYPE'
+      );
+    }
+
+    if (body.journalEntryId) {
+      const entry = await backend.firestore
+        .collection(PATIENT_ROLE)
+        .doc(user.uid)
+        .collection(JOURNAL_COLLECTIONS.ENTRIES)
+        .doc(body.journalEntryId)
+        .get();
+      if (!entry.exists) {
+        throw new NotFoundError('Journal entry not found', 'ENTRY_NOT_FOUND');
+      }
+    }
+
+    const { reserved, quotaBytes, usedBytes } = await reserveStorage(
+      user.uid,
+      file.size
+    );
+    if (!reserved) {
+      throw new UnprocessableError(
+        'The document does not fit in your storage quota',
+        'STORAGE_QUOTA_EXCEEDED',
+        { details: { quotaBytes, usedBytes, fileBytes: file.size } }
+      );
+    }
+
+    const documentRef = documentsRef(user.uid).doc();
+    const storagePath = getDocumentPath(user.uid, documentRef.id);
+
+    try {
+      await backend.storage.save(storagePath, file.buffer, { contentType });
+      await documentRef.set({
+        type: body.type,
+        date: body.date,
+        description: body.description,
+        journalEntryId: body.journalEntryId ?? null,
+        // Shown to the patient only, never used as a path
+        fileName: path.basename(file.originalname).slice(0, 200),
+        contentType,
+        size: file.size,
+        storagePath,
+        sharedWith: [],
+        createdAt: Timestamp.now(),
+        updatedAt: Timestamp.now(),
+      });
+    } catch (error) {
+      await backend.storage.delete(storagePath);
+      await releaseStorage(user.uid, file.size);
+      throw error;
+    }
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Document uploaded successfully',
+      data: { document: serializeDocument(await documentRef.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns the metadata of a document of the logged in patient.
+ * @param {Object} req - Express request object with `documentId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getDocument = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const snapshot = await getDocumentSnapshot(user.uid, params.documentId);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { document: serializeDocument(snapshot) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issues a download link for a document of the logged in patient.
+ * @param {Object} req - Express request object with `documentId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.downloadDocument = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const snapshot = await getDocumentSnapshot(user.uid, params.documentId);
+
+    return res.status(200).json({
+      status: 'success',
+      data: await createDownloadLink(snapshot),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a document of the logged in patient and its file.
+ * @param {Object} req - Express request object with `documentId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteDocument = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const snapshot = await getDocumentSnapshot(user.uid, params.documentId);
+
+    // The metadata goes last, a failed delete can be retried
+    await backend.storage.delete(snapshot.get('storagePath'));
+    await releaseStorage(user.uid, snapshot.get('size'), snapshot.ref);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Document deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shares a document of the logged in patient with a doctor. The doctor can
+ * download it while the patient grants them the documents consent scope.
+ * @param {Object} req - Express request object with `documentId` param and `doctorId` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.shareDocument = async (req, res, next) => {
+  try {
+    const { user, params, body } = req;
+
+    const snapshot = await getDocumentSnapshot(user.uid, params.documentId);
+
+    const doctorProfile = await getProfileData(body.doctorId, DOCTOR_ROLE);
+    if (!doctorProfile) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    const sharedWith = snapshot.get('sharedWith');
+    if (!sharedWith.includes(body.doctorId)) {
+      await snapshot.ref.update({
+        sharedWith: [...sharedWith, body.doctorId],
+        updatedAt: Timestamp.now(),
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Document shared successfully',
+      data: { document: serializeDocument(await snapshot.ref.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stops sharing a document of the logged in patient with a doctor.
+ * @param {Object} req - Express request object with `documentId` and `doctorId` params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.unshareDocument = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const snapshot = await getDocumentSnapshot(user.uid, params.documentId);
+
+    await snapshot.ref.update({
+      sharedWith: snapshot
+        .get('sharedWith')
+        .filter((doctorId) => doctorId !== params.doctorId),
+      updatedAt: Timestamp.now(),
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Document share revoked successfully',
+      data: { document: serializeDocument(await snapshot.ref.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the documents a patient shared with the logged in doctor, newest first.
+ * @param {Object} req - Express request object with `patientId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSharedDocuments = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+    await rejectWithoutGrant(params.patientId, user.uid);
+
+    const snapshot = await documentsRef(params.patientId)
+      .where('sharedWith', 'array-contains', user.uid)
+      .orderBy('date', 'desc')
+      .get();
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        patientId: params.patientId,
+        // Other doctors the document is shared with stay private
+        documents: snapshot.docs.map((doc) => ({
+          ...serializeDocument(doc),
+          sharedWith: undefined,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issues a download link for a document a patient shared with the logged
+ * in doctor.
+ * @param {Object} req - Express request object with `patientId` and `documentId` params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.downloadSharedDocument = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+    await rejectWithoutGrant(params.patientId, user.uid);
+
+    const snapshot = await documentsRef(params.patientId)
+      .doc(params.documentId)
+      .get();
+    if (!snapshot.exists || !snapshot.get('sharedWith').includes(user.uid)) {
+      throw new NotFoundError('Document not found', 'DOCUMENT_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: await createDownloadLink(snapshot),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns the storage quota of the logged in patient and how much is used.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getMyQuota = async (req, res, next) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: await getStorageUsage(req.user.uid),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns the storage quota of a patient and how much is used, for admins.
+ * @param {Object} req - Express request object with `patientId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getQuota = async (req, res, next) => {
+  try {
+    const { params } = req;
+
+    if (!(await getProfileData(params.patientId, PATIENT_ROLE))) {
+      throw new NotFoundError('Patient not found', 'PATIENT_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        patientId: params.patientId,
+        ...(await getStorageUsage(params.patientId)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sets the storage quota of a patient, or restores the default one with a
+ * null `quotaBytes`. Documents already stored are kept when the quota drops
+ * below them, only new uploads are refused.
+ * @param {Object} req - Express request object with `patientId` param and `quotaBytes` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.setQuota = async (req, res, next) => {
+  try {
+    const { user, params, body } = req;
+
+    if (!(await getProfileData(params.patientId, PATIENT_ROLE))) {
+      throw new NotFoundError('Patient not found', 'PATIENT_NOT_FOUND');
+    }
+
+    // Merged, the record also counts the bytes in use
+    await quotasRef().doc(params.patientId).set(
+      {
+        quotaBytes: body.quotaBytes,
+        updatedBy: user.uid,
+        updatedAt: Timestamp.now(),
+      },
+      { merge: true }
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Storage quota updated successfully',
+      data: {
+        patientId: params.patientId,
+        ...(await getStorageUsage(params.patientId)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
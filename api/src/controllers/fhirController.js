@@ -0,0 +1,377 @@
+const { STATUS_CODES } = require('http');
+const backend = require('../data');
+const { FHIR_SETTINGS } = require('../utils/constants');
+const { getProfileData, getUsersBasedOnId } = require('../utils/functions');
+const { filterVisibleRecords } = require('../utils/consent');
+const { getDeletedAccounts } = require('../utils/accountDeletion');
+const { createAccount, mergeProfile } = require('../utils/accounts');
+const { getAccountStates, recordAuditEvent } = require('../utils/auditLog');
+const { toAppError } = require('../utils/errorMapper');
+const { validateResource } = require('../utils/fhirDefinitions');
+const {
+  RESOURCE_TYPES,
+  ROLES_BY_RESOURCE_TYPE,
+  toFhirResource,
+  fromFhirResource,
+  toBundle,
+  toOperationOutcome,
+} = require('../utils/fhir');
+const { PROFILE_UPDATE_SCHEMAS } = require('../schemas/profileSchemas');
+const { isEmail, isString, validateFields } = require('../utils/validators');
+const {
+  ValidationError,
+  NotFoundError,
+  UnprocessableError,
+} = require('../utils/errors');
+
+// Bundle types whose entries are imported one by one
+const IMPORT_BUNDLE_TYPES = ['batch', 'collection'];
+
+// Account fields of a resource, by the element they are read from
+const ACCOUNT_FIELDS = {
+  email: { validate: isEmail },
+  // First and last name of sign up, with the space between them
+  displayName: { required: true, validate: isString(101, 1) },
+};
+const ACCOUNT_ELEMENTS = { email: 'telecom', displayName: 'name' };
+
+const toResponseStatus = (status) => `${status} ${STATUS_CODES[status]}`;
+
+/**
+ * Reads the visible accounts of a role as FHIR resources, in the order of
+ * the given IDs. Accounts of another role are left out.
+ * @param {Object} requester - Decoded token of the logged in user
+ * @param {Array<string>} ids - User IDs
+ * @param {string} role - Role of the resource type
+ * @returns {Promise<Array<Object>>} Patient or Practitioner resources
+ */
+const getFhirResources = async (requester, ids, role) => {
+  const { users } = await getUsersBasedOnId(ids);
+  const visible = await filterVisibleRecords(
+    requester,
+    users.filter((record) => record.customClaims?.role === role)
+  );
+
+  return Promise.all(
+    visible.map(async (record) =>
+      toFhirResource(record, await getProfileData(record.uid, role))
+    )
+  );
+};
+
+/**
+ * Checks a resource to import and reads its account and profile fields.
+ * @param {Object} resource - Resource of the body or of a bundle entry
+ * @param {string} path - FHIRPath of the resource, for the field errors
+ * @returns {{role: string, email: ?string, displayName: string, profile: Object}}
+ * @throws {ValidationError} When the resource or the fields it maps to are invalid
+ */
+const readImportedResource = (resource, path) => {
+  // Fields start with the resource type, replaced by the path in the body
+  const toFieldErrors = (errors) =>
+    errors.map(({ field, message }) => ({
+      location: 'body',
+      field: field.replace(/^[A-Za-z]+/, path),
+      message,
+    }));
+
+  if (!ROLES_BY_RESOURCE_TYPE[resource?.resourceType]) {
+    throw new ValidationError('Invalid FHIR resource', [
+      {
+        location: 'body',
+        field: `${path}.resourceType`,
+        message: `must be one of ${Object.values(RESOURCE_TYPES).join(', ')}`,
+      },
+    ]);
+  }
+
+  const resourceErrors = validateResource(resource);
+  if (resourceErrors.length) {
+    throw new ValidationError(
+      'Invalid FHIR resource',
+      toFieldErrors(resourceErrors)
+    );
+  }
+
+  const { role, email, displayName, profile } = fromFhirResource(resource);
+  const accountErrors = [];
+  const account = validateFields(
+    ACCOUNT_FIELDS,
+    { email, displayName },
+    accountErrors
+  );
+  const errors = accountErrors.map(({ field, message }) => ({
+    field: `${resource.resourceType}.${ACCOUNT_ELEMENTS[field]}`,
+    message,
+  }));
+  const fields = validateFields(
+    PROFILE_UPDATE_SCHEMAS[role],
+    profile,
+    errors,
+    resource.resourceType
+  );
+  if (errors.length) {
+    throw new ValidationError(
+      `${resource.resourceType} does not map to a valid account`,
+      toFieldErrors(errors)
+    );
+  }
+
+  return { role, ...account, profile: fields };
+};
+
+/**
+ * Finds the account a resource is imported into: the user with the ID of
+ * the resource, otherwise the user with its email address.
+ * @param {Object} resource - Resource to import
+ * @param {?string} email - Email address of the resource
+ * @returns {Promise<Object|null>} Firebase user record
+ */
+const findImportedAccount = async (resource, email) => {
+  if (resource.id) {
+    const { users } = await getUsersBasedOnId([resource.id]);
+    if (users.length) return users[0];
+  }
+  if (!email) return null;
+
+  try {
+    return await backend.users.getUserByEmail(email);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+};
+
+/**
+ * Imports a Patient or Practitioner: updates the name and profile of the
+ * matching account, or creates a patient or doctor account the same way
+ * sign up does. Created accounts have no password, their owner sets one
+ * with a password reset. The email of an existing account is never
+ * changed.
+ * @param {Object} resource - Resource to import
+ * @param {string} path - FHIRPath of the resource, for the field errors
+ * @returns {Promise<{uid: string, created: boolean, resource: Object}>} The stored account as a resource
+ */
+const importResource = async (resource, path) => {
+  const { role, email, displayName, profile } = readImportedResource(
+    resource,
+    path
+  );
+  let record = await findImportedAccount(resource, email);
+  const created = !record;
+
+  if (record) {
+    if (record.customClaims?.role !== role) {
+      throw new UnprocessableError(
+        `User ${record.uid} is not a ${resource.resourceType}`,
+        'ROLE_MISMATCH'
+      );
+    }
+    if ((await getDeletedAccounts([record.uid])).has(record.uid)) {
+      throw new UnprocessableError(
+        `User ${record.uid} is deleted`,
+        'ACCOUNT_DELETED'
+      );
+    }
+    if (record.displayName !== displayName) {
+      record = await backend.users.updateUser(record.uid, { displayName });
+    }
+  } else {
+    if (!email) {
+      throw new ValidationError('An email address is required', [
+        { location: 'body', field: `${path}.telecom`, message: 'is required' },
+      ]);
+    }
+    ({ userRecord: record } = await createAccount({
+      email,
+      displayName,
+      role,
+    }));
+  }
+
+  const current = (await getProfileData(record.uid, role)) ?? {};
+  const { profile: stored } = await mergeProfile(
+    record.uid,
+    role,
+    current,
+    profile
+  );
+  const [updated] = (await getUsersBasedOnId([record.uid])).users;
+
+  return {
+    uid: record.uid,
+    created,
+    resource: toFhirResource(updated, stored),
+  };
+};
+
+/**
+ * Builds the response entry of an imported bundle entry.
+ * @param {Object} result - Settled result of importResource
+ * @returns {Object} Bundle entry with its `response`
+ */
+const toResponseEntry = (result) => {
+  if (result.status === 'rejected') {
+    return {
+      response: {
+        status: toResponseStatus(toAppError(result.reason).status),
+        outcome: toOperationOutcome(result.reason),
+      },
+    };
+  }
+
+  const { created, resource } = result.value;
+  return {
+    resource,
+    response: {
+      status: toResponseStatus(created ? 201 : 200),
+      location: `${resource.resourceType}/${resource.id}`,
+      lastModified: resource.meta.lastUpdated,
+    },
+  };
+};
+
+/**
+ * Gets a patient or a doctor as a FHIR resource. Patients are only
+ * visible to admins, themselves and doctors they granted access to.
+ * @param {string} role - Role of the resource type
+ * @returns {Function} Express handler of a request with `id` param
+ */
+exports.readResource = (role) => async (req, res, next) => {
+  try {
+    const [resource] = await getFhirResources(req.user, [req.params.id], role);
+    if (!resource) {
+      throw new NotFoundError(
+        `${RESOURCE_TYPES[role]} not found`,
+        'RESOURCE_NOT_FOUND'
+      );
+    }
+
+    return res.status(200).type(FHIR_SETTINGS.CONTENT_TYPE).json(resource);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Searches patients or doctors by `_id`, as a searchset Bundle. Accounts
+ * the user cannot see are left out of it.
+ * @param {string} role - Role of the resource type
+ * @returns {Function} Express handler of a request with `_id` query
+ */
+exports.searchResources = (role) => async (req, res, next) => {
+  try {
+    const resources = await getFhirResources(req.user, req.query._id, role);
+
+    return res
+      .status(200)
+      .type(FHIR_SETTINGS.CONTENT_TYPE)
+      .json(
+        toBundle(
+          'searchset',
+          resources.map((resource) => ({
+            resource,
+            search: { mode: 'match' },
+          })),
+          { total: resources.length }
+        )
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Imports a Patient, a Practitioner or a batch or collection Bundle of
+ * them. A single resource responds with the stored resource, a Bundle with
+ * a batch-response Bundle holding the outcome of each entry, in order.
+ * Entries are imported one after the other so two entries with the same
+ * email address end in the same account.
+ * @param {Object} req - Express request object with a FHIR resource body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.importResources = async (req, res, next) => {
+  const { body } = req;
+  const isBundle = body?.resourceType === 'Bundle';
+  const results = [];
+
+  try {
+    if (isBundle) {
+      const errors = validateResource(body).filter(
+        ({ field }) => !/^Bundle\.entry\[\d+\]\.resource\b/.test(field)
+      );
+      if (!IMPORT_BUNDLE_TYPES.includes(body.type)) {
+        throw new UnprocessableError(
+          `Only ${IMPORT_BUNDLE_TYPES.join(' and ')} bundles can be imported`,
+          'UNSUPPORTED_BUNDLE_TYPE'
+        );
+      }
+      if ((body.entry?.length ?? 0) > FHIR_SETTINGS.MAX_BUNDLE_ENTRIES) {
+        errors.push({
+          field: 'Bundle.entry',
+          message: `must have at most ${FHIR_SETTINGS.MAX_BUNDLE_ENTRIES} items`,
+        });
+      }
+      if (errors.length) {
+        throw new ValidationError(
+          'Invalid FHIR resource',
+          errors.map((error) => ({ location: 'body', ...error }))
+        );
+      }
+
+      for (const [index, entry] of (body.entry ?? []).entries()) {
+        try {
+          results.push({
+            status: 'fulfilled',
+            value: await importResource(
+              entry.resource,
+              `Bundle.entry[${index}].resource`
+            ),
+          });
+        } catch (reason) {
+          if (toAppError(reason).status >= 500) {
+            console.error(
+              `[${req.id}] Error importing entry ${index}:`,
+              reason
+            );
+          }
+          results.push({ status: 'rejected', reason });
+        }
+      }
+    } else {
+      results.push({
+        status: 'fulfilled',
+        value: await importResource(body, body?.resourceType || 'Resource'),
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  const imported = results
+    .filter(({ status }) => status === 'fulfilled')
+    .map(({ value }) => value.uid);
+  if (imported.length) {
+    await recordAuditEvent({
+      req,
+      action: 'fhir-import',
+      targetIds: imported,
+      after: await getAccountStates(imported),
+    });
+  }
+
+  if (!isBundle) {
+    const { created, resource } = results[0].value;
+    return res
+      .status(created ? 201 : 200)
+      .location(`${req.baseUrl}/${resource.resourceType}/${resource.id}`)
+      .type(FHIR_SETTINGS.CONTENT_TYPE)
+      .json(resource);
+  }
+
+  return res
+    .status(200)
+    .type(FHIR_SETTINGS.CONTENT_TYPE)
+    .json(toBundle('batch-response', results.map(toResponseEntry)));
+};
@@ -0,0 +1,430 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  DOCTOR_ROLE,
+  PATIENT_ROLE,
+  JOURNAL_COLLECTIONS,
+  CONSENT_SCOPES,
+} = require('../utils/constants');
+const { getProfileData } = require('../utils/functions');
+const { hasActiveGrant } = require('../utils/consent');
+const { documentsRef } = require('../utils/documents');
+const {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require('../utils/errors');
+
+const entriesRef = (patientId) =>
+  backend.firestore
+    .collection(PATIENT_ROLE)
+    .doc(patientId)
+    .collection(JOURNAL_COLLECTIONS.ENTRIES);
+
+const sharesRef = (patientId) =>
+  backend.firestore
+    .collection(PATIENT_ROLE)
+    .doc(patientId)
+    .collection(JOURNAL_COLLECTIONS.SHARES);
+
+const serializeDoc = (doc) =>
+  Object.fromEntries(
+    Object.entries({ id: doc.id, ...doc.data() }).map(([key, value]) => [
+      key,
+      value instanceof Timestamp ? value.toDate().toISOString() : value,
+    ])
+  );
+
+/**
+ * Lists the journal entries of the logged in patient, newest first.
+ * Supports `from`/`to` dates, comma separated `tags` (matches any) and
+ * cursor pagination through `cursor` (the id of the last entry of a page).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listEntries = async (req, res, next) => {
+  try {
+    const { user, query: filters } = req;
+
+    let entriesQuery = entriesRef(user.uid).orderBy('date', 'desc');
+    if (filters.from) {
+      entriesQuery = entriesQuery.where('date', '>=', filters.from);
+    }
+    if (filters.to) {
+      entriesQuery = entriesQuery.where('date', '<=', filters.to);
+    }
+    if (filters.tags?.length) {
+      entriesQuery = entriesQuery.where(
+        'tags',
+        'array-contains-any',
+        filters.tags
+      );
+    }
+
+    if (filters.cursor) {
+      const cursorSnapshot = await entriesRef(user.uid)
+        .doc(filters.cursor)
+        .get();
+      if (!cursorSnapshot.exists) {
+        throw new ValidationError(
+          'The requested page is not available',
+          [],
+          'INVALID_CURSOR'
+        );
+      }
+      entriesQuery = entriesQuery.startAfter(cursorSnapshot);
+    }
+
+    // Fetch one extra entry to know whether another page exists
+    const snapshot = await entriesQuery.limit(filters.limit + 1).get();
+    const docs = snapshot.docs.slice(0, filters.limit);
+    const hasNextPage = snapshot.docs.length > filters.limit;
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        entries: docs.map(serializeDoc),
+        nextCursor: hasNextPage ? docs[docs.length - 1].id : null,
+        hasNextPage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a journal entry for the logged in patient.
+ * @param {Object} req - Express request object with the entry in `req.body`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createEntry = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const entryRef = entriesRef(user.uid).doc();
+    await entryRef.set({
+      ...body,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Journal entry created successfully',
+      data: { entry: serializeDoc(await entryRef.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns one journal entry of the logged in patient.
+ * @param {Object} req - Express request object with `entryId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getEntry = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const snapshot = await entriesRef(user.uid).doc(params.entryId).get();
+    if (!snapshot.exists) {
+      throw new NotFoundError('Journal entry not found', 'ENTRY_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: { entry: serializeDoc(snapshot) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates fields of a journal entry of the logged in patient.
+ * @param {Object} req - Express request object with `entryId` param and fields in `req.body`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateEntry = async (req, res, next) => {
+  try {
+    const { user, params, body } = req;
+
+    const entryRef = entriesRef(user.uid).doc(params.entryId);
+    if (!(await entryRef.get()).exists) {
+      throw new NotFoundError('Journal entry not found', 'ENTRY_NOT_FOUND');
+    }
+
+    await entryRef.update({ ...body, updatedAt: Timestamp.now() });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Journal entry updated successfully',
+      data: { entry: serializeDoc(await entryRef.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a journal entry of the logged in patient, drops it from shares and
+ * unlinks the documents attached to it.
+ * @param {Object} req - Express request object with `entryId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteEntry = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const entryRef = entriesRef(user.uid).doc(params.entryId);
+    if (!(await entryRef.get()).exists) {
+      throw new NotFoundError('Journal entry not found', 'ENTRY_NOT_FOUND');
+    }
+
+    const shares = await sharesRef(user.uid)
+      .where('entryIds', 'array-contains', params.entryId)
+      .get();
+    const documents = await documentsRef(user.uid)
+      .where('journalEntryId', '==', params.entryId)
+      .get();
+
+    const batch = backend.firestore.batch();
+    shares.docs.forEach((share) => {
+      const entryIds = share
+        .get('entryIds')
+        .filter((id) => id !== params.entryId);
+      if (entryIds.length) {
+        batch.update(share.ref, { entryIds });
+      } else {
+        batch.delete(share.ref);
+      }
+    });
+    documents.docs.forEach((document) =>
+      batch.update(document.ref, { journalEntryId: null })
+    );
+    batch.delete(entryRef);
+    await batch.commit();
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Journal entry deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the journal shares the logged in patient has granted.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listShares = async (req, res, next) => {
+  try {
+    const { user } = req;
+
+    const snapshot = await sharesRef(user.uid).get();
+
+    return res.status(200).json({
+      status: 'success',
+      data: { shares: snapshot.docs.map(serializeDoc) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shares selected entries (`entryIds`) or a date range (`from`/`to`) of the
+ * logged in patient's journal with a doctor for read-only access.
+ * @param {Object} req - Express request object with `doctorId` and the selection in `req.body`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createShare = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const { doctorId, entryIds, from, to } = body;
+
+    const doctorProfile = await getProfileData(doctorId, DOCTOR_ROLE);
+    if (!doctorProfile) {
+      throw new NotFoundError('Doctor not found', 'DOCTOR_NOT_FOUND');
+    }
+
+    const share = { doctorId, createdAt: Timestamp.now() };
+
+    if (entryIds) {
+      const uniqueIds = [...new Set(entryIds)];
+      const snapshots = await backend.firestore.getAll(
+        ...uniqueIds.map((id) => entriesRef(user.uid).doc(id))
+      );
+      const missing = snapshots
+        .filter((doc) => !doc.exists)
+        .map((doc) => doc.id);
+      if (missing.length) {
+        throw new NotFoundError(
+          `Journal entries not found: ${missing.join(', ')}`,
+          'ENTRY_NOT_FOUND'
+        );
+      }
+      share.entryIds = uniqueIds;
+    } else {
+      share.from = from;
+      share.to = to;
+    }
+
+    const shareRef = sharesRef(user.uid).doc();
+    await shareRef.set(share);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Journal shared successfully',
+      data: { share: serializeDoc(await shareRef.get()) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes a journal share of the logged in patient.
+ * @param {Object} req - Express request object with `shareId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteShare = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+
+    const shareRef = sharesRef(user.uid).doc(params.shareId);
+    if (!(await shareRef.get()).exists) {
+      throw new NotFoundError('Journal share not found', 'SHARE_NOT_FOUND');
+    }
+
+    await shareRef.delete();
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Journal share revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Throws a 403 unless the patient currently grants the doctor journal access.
+ * Shares select entries, the consent grant decides whether they can be read.
+ * @param {string} patientId - Owner of the journal
+ * @param {string} doctorId - Doctor reading the journal
+ * @throws {ForbiddenError} When no active journal grant exists
+ */
+const rejectWithoutGrant = async (patientId, doctorId) => {
+  if (!(await hasActiveGrant(patientId, doctorId, CONSENT_SCOPES.JOURNAL))) {
+    throw new ForbiddenError(
+      'The patient has not granted you access to their journal',
+      'CONSENT_REQUIRED'
+    );
+  }
+};
+
+/**
+ * Collects the entries of a patient that were shared with a doctor.
+ * @param {string} patientId - Owner of the journal
+ * @param {string} doctorId - Doctor reading the journal
+ * @returns {Promise<Array<Object>>} Entry snapshots, newest first
+ */
+const getSharedEntries = async (patientId, doctorId) => {
+  const shares = await sharesRef(patientId)
+    .where('doctorId', '==', doctorId)
+    .get();
+
+  const entries = new Map();
+
+  for (const share of shares.docs) {
+    const { entryIds, from, to } = share.data();
+    let snapshots;
+
+    if (entryIds) {
+      snapshots = await backend.firestore.getAll(
+        ...entryIds.map((id) => entriesRef(patientId).doc(id))
+      );
+    } else {
+      snapshots = (
+        await entriesRef(patientId)
+          .where('date', '>=', from)
+          .where('date', '<=', to)
+          .get()
+      ).docs;
+    }
+
+    snapshots
+      .filter((doc) => doc.exists)
+      .forEach((doc) => entries.set(doc.id, doc));
+  }
+
+  return Array.from(entries.values()).sort((a, b) =>
+    b.get('date').localeCompare(a.get('date'))
+  );
+};
+
+/**
+ * Lists the journal entries a patient shared with the logged in doctor.
+ * @param {Object} req - Express request object with `patientId` param
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSharedEntries = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+    await rejectWithoutGrant(params.patientId, user.uid);
+
+    const entries = await getSharedEntries(params.patientId, user.uid);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        patientId: params.patientId,
+        entries: entries.map(serializeDoc),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns one journal entry a patient shared with the logged in doctor.
+ * @param {Object} req - Express request object with `patientId` and `entryId` params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSharedEntry = async (req, res, next) => {
+  try {
+    const { user, params } = req;
+    await rejectWithoutGrant(params.patientId, user.uid);
+
+    const entries = await getSharedEntries(params.patientId, user.uid);
+    const entry = entries.find((doc) => doc.id === params.entryId);
+
+    if (!entry) {
+      throw new NotFoundError('Journal entry not found', 'ENTRY_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: { entry: serializeDoc(entry) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,82 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const { getProfileData } = require('../utils/functions');
+const { getMissingProfileFields } = require('../schemas/profileSchemas');
+const { NotFoundError } = require('../utils/errors');
+const { mergeProfile } = require('../utils/accounts');
+
+/**
+ * Converts Firestore timestamps in a profile document into ISO strings.
+ * @param {Object} profile - Raw profile document data
+ * @returns {Object} Profile safe to send as JSON
+ */
+const serializeProfile = (profile) =>
+  Object.fromEntries(
+    Object.entries(profile).map(([key, value]) => [
+      key,
+      value instanceof Timestamp ? value.toDate().toISOString() : value,
+    ])
+  );
+
+/**
+ * Returns the profile of the logged in user from its role collection.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getMyProfile = async (req, res, next) => {
+  try {
+    const { user } = req;
+
+    const profile = await getProfileData(user.uid, user.role);
+
+    if (!profile) {
+      throw new NotFoundError('Profile not found', 'PROFILE_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        profile: serializeProfile(profile),
+        missingFields: getMissingProfileFields(user.role, profile),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merges validated profile fields for the logged in user, then recomputes
+ * `isProfileComplete` from the required fields of the role schema.
+ * @param {Object} req - Express request object with profile fields in `req.body`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateMyProfile = async (req, res, next) => {
+  try {
+    const { user, body } = req;
+
+    const current = await getProfileData(user.uid, user.role);
+    if (!current) {
+      throw new NotFoundError('Profile not found', 'PROFILE_NOT_FOUND');
+    }
+
+    const { profile: saved, missingFields } = await mergeProfile(
+      user.uid,
+      user.role,
+      current,
+      body
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Profile updated successfully',
+      data: {
+        profile: serializeProfile(saved),
+        missingFields,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
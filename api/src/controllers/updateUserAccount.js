@@ -1,176 +1,353 @@
-const { auth, firestore } = require('../config/firebase');
-const { COLLECTIONS } = require('../utils/constants');
-const { isNotAdmin } = require('../utils/functions');
+const { isEqual } = require('radash');
+const backend = require('../data');
+const { BULK_ACTION_SETTINGS } = require('../utils/constants');
+const { syncSearchIndex } = require('../utils/searchIndex');
+const { invalidateDirectories } = require('../utils/directory');
+const {
+  NotFoundError,
+  ForbiddenError,
+  UnprocessableError,
+} = require('../utils/errors');
+const { toAppError } = require('../utils/errorMapper');
+const { getAccountStates, recordAuditEvent } = require('../utils/auditLog');
+const {
+  getDeletedAccounts,
+  softDeleteAccounts,
+  restoreAccounts,
+  purgeAccounts,
+} = require('../utils/accountDeletion');
+const { chunk, mapSettled, getFailures } = require('../utils/batching');
+const { toVerificationClaims } = require('../utils/credentials');
+const { revokeSessions, forgetAccountStatus } = require('../utils/sessions');
+const { PERMISSIONS, isAdmin, hasPermission } = require('../utils/permissions');
 
 /**
- * Deletes users from both Firestore collections and Firebase Authentication.
- * @async
- * @function deleteUser
- * @param {Array<string>} ids - An array of Firebase Auth UIDs representing the users to delete.
- * @param {Object} res - Express response object for sending a response back to the client.
- * @returns {Promise<void>}
+ * Runs an auth update for each target with bounded concurrency, then
+ * refreshes the search index and directory cache of the updated ones.
+ * @param {Array<Object>} targets - `{ uid, state }` of the accounts to update
+ * @param {Function} update - Async function updating one target
+ * @returns {Promise<Map<string, Error>>} Errors of the targets that failed, by uid
  */
-const deleteUser = async (ids, res) => {
-  try {
-    // Firestore Batch Deletes
-    const deleteDocsPromises = Object.values(COLLECTIONS).map(
-      async (collection) => {
-        const collectionRef = firestore.collection(collection);
-        const batches = [];
+const updateEach = async (targets, update) => {
+  const settled = await mapSettled(
+    targets,
+    BULK_ACTION_SETTINGS.CONCURRENCY,
+    update
+  );
+  const failures = getFailures(targets, settled);
+  const updated = targets.filter(({ uid }) => !failures.has(uid));
 
-        for (let i = 0; i < ids.length; i += 500) {
-          const batch = firestore.batch();
-          const batchIds = ids.slice(i, i + 500);
+  await syncSearchIndex(updated.map(({ uid }) => uid));
+  await invalidateDirectories(updated.map(({ state }) => state.claims?.role));
 
-          batchIds.forEach((uid) => {
-            const docRef = collectionRef.doc(uid);
-            batch.delete(docRef);
-          });
-
-          batches.push(batch.commit()); // Commit the batch
-        }
+  return failures;
+};
 
-        await Promise.all(batches); // Commit all batches in parallel
-      }
+/**
+ * Checks run before the check of every action: admins never act on their
+ * own account, and only those who manage admins act on other admins.
+ * @param {Object} req - Express request object
+ * @returns {Function} Check of a target, returning its error or null
+ */
+const requireManageable = (req) => (target) => {
+  if (target.uid === req.user.uid) {
+    return new UnprocessableError(
+      'You cannot run this action on your own account',
+      'OWN_ACCOUNT'
+    );
+  }
+  if (
+    isAdmin(target.state.claims) &&
+    !hasPermission(req.user, PERMISSIONS.ADMINS_MANAGE)
+  ) {
+    return new ForbiddenError(
+      'Only admins managing admins can act on admin accounts',
+      'ADMIN_TARGET'
     );
-
-    // Run Firestore and Firebase Authentication deletions in parallel
-    await Promise.all([
-      ...deleteDocsPromises,
-      auth.deleteUsers(ids), // Firebase Auth deletion
-    ]);
-
-    res.status(200).send({ message: 'Users deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting users:', error);
-    res.status(500).send({ error: 'Error deleting users' });
   }
+  return null;
 };
 
+const requireAccount = ({ state }) =>
+  state.exists ? null : new NotFoundError('User not found', 'USER_NOT_FOUND');
+
+const requireDeleted = (action) => (target) =>
+  target.deletion
+    ? null
+    : new UnprocessableError(
+        `Only deleted accounts can be ${action}d`,
+        'ACCOUNT_NOT_DELETED'
+      );
+
+// Deleted accounts stay disabled and hidden until they are restored
+const requireActive = (target) =>
+  requireAccount(target) ||
+  (target.deletion
+    ? new UnprocessableError(
+        'The account is deleted, restore it first',
+        'ACCOUNT_DELETED'
+      )
+    : null);
+
 /**
- * Disables or enables user accounts based on the provided IDs.
- * @async
- * @function disableEnable
- * @param {boolean} [enable=false] - Determines whether to enable or disable user accounts. If true, accounts are enabled; if false, accounts are disabled.
- * @param {Array<string>} ids - An array of Firebase Auth UIDs representing the users to enable or disable.
- * @param {Object} res - Express response object to send feedback to the client.
- * @returns {Promise<void>}
+ * Enables or disables user accounts. Disabling also signs the users out.
+ * @param {boolean} enable - Whether accounts are enabled or disabled
+ * @returns {Object} User action
  */
-const disableEnable = async (enable = false, ids = [], res) => {
-  try {
-    // Update users' disabled status in parallel while preserving other data
-    await Promise.all(
-      ids.map(async (uid) => {
-        // First get the current user data
-        const currentUser = await auth.getUser(uid);
-
-        // Merge the disabled status with existing user data
-        const updatedData = {
-          ...currentUser,
-          disabled: !enable,
-        };
-
-        // Remove metadata fields that can't be updated
-        delete updatedData.metadata;
-        delete updatedData.tokensValidAfterTime;
-        delete updatedData.providerData;
-
-        return auth.updateUser(uid, updatedData);
-      })
-    );
+const disableEnable = (enable) => ({
+  done: enable ? 'enabled' : 'disabled',
+  check: requireActive,
+  preview: ({ state }) => ({ ...state, disabled: !enable }),
+  apply: (targets) =>
+    updateEach(targets, async ({ uid }) => {
+      await backend.users.updateUser(uid, { disabled: !enable });
+      await (enable ? forgetAccountStatus([uid]) : revokeSessions([uid]));
+    }),
+});
 
-    // Send a success response back to the client
-    res.status(200).send({
-      message: `Users successfully ${enable ? 'enabled' : 'disabled'}.`,
-      updatedUserIds: ids,
-    });
-  } catch (error) {
-    console.error(`Error ${enable ? 'enabling' : 'disabling'} users:`, error);
-    res.status(500).send({
-      error: `Error ${enable ? 'enabling' : 'disabling'} users.`,
-      details: error.message,
-    });
-  }
+/**
+ * Revokes the verification of users, mainly doctors, keeping their other
+ * claims, and signs them out so their tokens drop the claim. Doctors are
+ * only verified by approving their credentials.
+ * @constant
+ * @type {Object}
+ */
+const falsify = {
+  done: 'unverified',
+  check: requireActive,
+  preview: ({ state }) => ({
+    ...state,
+    claims: toVerificationClaims(state.claims, null),
+  }),
+  apply: (targets) =>
+    updateEach(targets, async ({ uid, state }) => {
+      await backend.users.setCustomUserClaims(
+        uid,
+        toVerificationClaims(state.claims, null)
+      );
+      await revokeSessions([uid]);
+    }),
 };
 
 /**
- * Updates the verified status of users in parallel based on provided IDs.
- * @async
- * @function verifyFalsify
- * @param {boolean} [verify=false] - Boolean flag to verify or falsify users. If true, users are verified; if false, they are unverified.
- * @param {Array<string>} ids - An array of Firebase Auth UIDs representing the users to Verify mainly Doctors.
- * @param {Object} res - Express response object for sending feedback to the client.
- * @returns {Promise<void>}
+ * Signs users out of every device: their sessions end and their current
+ * ID tokens are rejected.
+ * @constant
+ * @type {Object}
  */
-const verifyFalsify = async (verify = false, ids, res) => {
-  try {
-    // Update users' verified status in parallel while preserving existing claims
-    await Promise.all(
-      ids.map(async (uid) => {
-        // First get the current custom claims
-        const { customClaims } = await auth.getUser(uid);
-
-        // Merge the verified status with existing claims
-        const updatedClaims = {
-          ...customClaims,
-          verified: verify,
-        };
-
-        return auth.setCustomUserClaims(uid, updatedClaims);
-      })
+const signout = {
+  done: 'signed out',
+  check: requireAccount,
+  preview: ({ state }) => state,
+  apply: async (targets) => {
+    const settled = await mapSettled(
+      targets,
+      BULK_ACTION_SETTINGS.CONCURRENCY,
+      ({ uid }) => revokeSessions([uid])
     );
-
-    // Send a success response back to the client
-    res.status(200).send({
-      message: `Users successfully ${verify ? 'verified' : 'unverified'}.`,
-      updatedUserIds: ids,
-    });
-  } catch (error) {
-    console.error(`Error while verifying users.`, error);
-    res.status(500).send({
-      error: `Error while verifying users.`,
-      details: error.message,
-    });
-  }
+    return getFailures(targets, settled);
+  },
 };
 
 /**
- * USER_ACTIONS object stores the actions available for user accounts,
- * mapping each action to its corresponding function.
+ * USER_ACTIONS object stores the actions available for user accounts.
+ * Each action declares:
+ *   done    - past participle used in the response message
+ *   check   - returns the error a target is rejected with before any write, or null,
+ *             after requireManageable
+ *   preview - expected account state of an accepted target after the action
+ *   apply   - performs the action on accepted targets and returns the errors
+ *             of those it failed for, by uid
+ * Targets are `{ uid, state, deletion }`, with `state` from getAccountStates
+ * and `deletion` the soft deletion record, if any.
  * @constant
- * @type {Object<string, Function>}
+ * @type {Object<string, Object>}
  */
 const USER_ACTIONS = {
-  delete: deleteUser,
-  enable: async (ids, res) => await disableEnable(true, ids, res),
-  disable: async (ids, res) => await disableEnable(false, ids, res),
-  verify: async (ids, res) => await verifyFalsify(true, ids, res),
-  falsify: async (ids, res) => await verifyFalsify(false, ids, res),
+  // Soft delete: disabled and hidden until restored or purged
+  delete: {
+    done: 'deleted',
+    check: requireAccount,
+    preview: ({ state }) => ({ ...state, disabled: true }),
+    apply: (targets, req) =>
+      softDeleteAccounts(targets, { deletedBy: req.user.uid }),
+  },
+  restore: {
+    done: 'restored',
+    check: (target) =>
+      requireAccount(target) || requireDeleted('restore')(target),
+    preview: ({ state, deletion }) => ({
+      ...state,
+      disabled: Boolean(deletion.wasDisabled),
+    }),
+    apply: (targets) => restoreAccounts(targets),
+  },
+  // Permanent deletion before the end of the retention period
+  purge: {
+    done: 'purged',
+    check: requireDeleted('purge'),
+    preview: () => ({ exists: false, disabled: null, claims: null }),
+    apply: (targets) => purgeAccounts(targets),
+  },
+  enable: disableEnable(true),
+  disable: disableEnable(false),
+  falsify,
+  signout,
+};
+
+/**
+ * Converts the error of one target for the response, with the same generic
+ * message as the error envelope for internal errors.
+ * @param {Error} error - Error of the target
+ * @returns {{code: string, message: string}}
+ */
+const toItemError = (error) => {
+  const appError = toAppError(error);
+  if (appError.status >= 500) console.error(error);
+
+  return {
+    code: appError.code,
+    message: appError.status < 500 ? appError.message : 'Something went wrong!',
+  };
+};
+
+/**
+ * Runs an action on one chunk of ids.
+ * @param {Object} userAction - Entry of USER_ACTIONS
+ * @param {Array<string>} uids - User IDs
+ * @param {Object} req - Express request object
+ * @param {boolean} dryRun - Only check and preview the targets
+ * @returns {Promise<Object>} `{ before, after, failures }` of the chunk
+ */
+const runChunk = async (userAction, uids, req, dryRun) => {
+  const before = await getAccountStates(uids);
+  const deletions = await getDeletedAccounts(uids);
+  const targets = uids.map((uid) => ({
+    uid,
+    state: before[uid],
+    deletion: deletions.get(uid),
+  }));
+
+  const failures = new Map();
+  const checkTarget = requireManageable(req);
+  targets.forEach((target) => {
+    const error = checkTarget(target) || userAction.check(target);
+    if (error) failures.set(target.uid, error);
+  });
+  const accepted = targets.filter(({ uid }) => !failures.has(uid));
+
+  if (dryRun) {
+    const after = { ...before };
+    accepted.forEach((target) => {
+      after[target.uid] = userAction.preview(target);
+    });
+    return { before, after, failures };
+  }
+
+  if (accepted.length) {
+    const applyFailures = await userAction.apply(accepted, req);
+    applyFailures.forEach((error, uid) => failures.set(uid, error));
+  }
+
+  return { before, after: await getAccountStates(uids), failures };
 };
 
 /**
  * Main controller function to update user accounts based on specified action.
+ * Ids are processed in chunks of BULK_ACTION_SETTINGS.CHUNK_SIZE and each id
+ * succeeds or fails on its own. The response reports, for every id, whether
+ * it succeeded, its error otherwise and its state before and after.
+ * With `dryRun`, ids are only checked and the report shows the expected
+ * states without writing anything.
+ * Every run that writes is recorded in the audit log, including failed ones.
  * @async
  * @function updateUserAccount
- * @param {Object} req - Express request object containing `ids` (array of UIDs) and `action` (operation to perform) in `req.body`.
+ * @param {Object} req - Express request object containing `ids` (array of UIDs), `action` (operation to perform) and optional `dryRun` in `req.body`.
  * @param {Object} res - Express response object to send feedback to the client.
  * @param {Function} next - Express middleware next function for passing control.
  * @returns {Promise<void>}
  */
 exports.updateUserAccount = async (req, res, next) => {
   const { body } = req;
-  const { ids, action } = body;
-
-  if (!USER_ACTIONS.hasOwnProperty(action)) {
-    res.status(422).send({
-      error: 'Invalid action Selection',
-      message: `Please select proper action to continue, correct actions are ${Object.keys(
-        USER_ACTIONS
-      ).join(', ')}`,
-    });
-  } else {
-    isNotAdmin(req, res);
+  const { action, dryRun } = body;
+  const ids = [...new Set(body.ids)];
+
+  try {
+    if (!USER_ACTIONS.hasOwnProperty(action)) {
+      throw new UnprocessableError(
+        `Please select proper action to continue, correct actions are ${Object.keys(
+          USER_ACTIONS
+        ).join(', ')}`,
+        'INVALID_ACTION'
+      );
+    }
+
+    const userAction = USER_ACTIONS[action];
+    const before = {};
+    const after = {};
+    const failures = new Map();
 
-    USER_ACTIONS[action](ids, res);
+    try {
+      for (const uids of chunk(ids, BULK_ACTION_SETTINGS.CHUNK_SIZE)) {
+        const result = await runChunk(userAction, uids, req, dryRun);
+        Object.assign(before, result.before);
+        Object.assign(after, result.after);
+        result.failures.forEach((error, uid) => failures.set(uid, error));
+      }
+    } catch (error) {
+      // Ids of earlier chunks were already updated
+      if (!dryRun) {
+        await recordAuditEvent({
+          req,
+          action,
+          targetIds: ids,
+          before,
+          after,
+          failures,
+          error,
+        });
+      }
+      throw error;
+    }
+
+    if (!dryRun) {
+      await recordAuditEvent({
+        req,
+        action,
+        targetIds: ids,
+        before,
+        after,
+        failures,
+      });
+    }
+
+    const results = ids.map((uid) => ({
+      uid,
+      status: failures.has(uid) ? 'failed' : 'succeeded',
+      changed: !failures.has(uid) && !isEqual(before[uid], after[uid]),
+      before: before[uid],
+      after: after[uid],
+      ...(failures.has(uid) && { error: toItemError(failures.get(uid)) }),
+    }));
+    const succeeded = results.filter(({ status }) => status === 'succeeded');
+
+    res.status(200).send({
+      message: dryRun
+        ? 'Dry run, no user was updated.'
+        : failures.size
+        ? `${succeeded.length} of ${ids.length} users ${userAction.done}.`
+        : `Users successfully ${userAction.done}.`,
+      action,
+      dryRun,
+      updatedUserIds: dryRun ? [] : succeeded.map(({ uid }) => uid),
+      summary: {
+        total: ids.length,
+        succeeded: succeeded.length,
+        failed: failures.size,
+      },
+      results,
+    });
+  } catch (error) {
+    next(error);
   }
 };
@@ -0,0 +1,44 @@
+const { getDownloadURL } = require('firebase-admin/storage');
+const { getFirebase } = require('../config/firebase');
+const createProfileRepository = require('./profileRepository');
+
+/**
+ * Cloud Storage bucket behind the storage repository methods.
+ * @param {Object} bucket - Default bucket of the Firebase project
+ * @returns {Object} Storage repository
+ */
+const createStorageRepository = (bucket) => ({
+  save: (path, buffer, { contentType, metadata } = {}) =>
+    bucket
+      .file(path)
+      .save(buffer, { resumable: false, contentType, metadata: { metadata } }),
+  download: async (path) => (await bucket.file(path).download())[0],
+  exists: async (path) => (await bucket.file(path).exists())[0],
+  getMetadata: async (path) => (await bucket.file(path).getMetadata())[0],
+  delete: (path) => bucket.file(path).delete({ ignoreNotFound: true }),
+  deletePrefix: (prefix) => bucket.deleteFiles({ prefix }),
+  getSignedUrl: async (path, { action = 'read', expires } = {}) =>
+    (
+      await bucket.file(path).getSignedUrl({ version: 'v4', action, expires })
+    )[0],
+  // Long lived URL, needs a `firebaseStorageDownloadTokens` metadata token
+  getDownloadUrl: (path) => getDownloadURL(bucket.file(path)),
+});
+
+/**
+ * Backend using Firebase Authentication, Firestore and Cloud Storage.
+ * @returns {Object} Data backend
+ */
+const createFirestoreBackend = () => {
+  const { auth, firestore, storage } = getFirebase();
+
+  return {
+    name: 'firestore',
+    firestore,
+    users: auth,
+    profiles: createProfileRepository(firestore),
+    storage: createStorageRepository(storage.bucket()),
+  };
+};
+
+module.exports = createFirestoreBackend;
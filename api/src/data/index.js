@@ -0,0 +1,74 @@
+const createFirestoreBackend = require('./firestoreBackend');
+const createMemoryBackend = require('./memoryBackend');
+
+/**
+ * Data access for the whole API. A backend is an object with:
+ *   firestore - Firestore-compatible document store
+ *   users     - Firebase Auth-compatible user accounts and tokens
+ *   profiles  - role profile documents (see profileRepository)
+ *   storage   - file storage (save, download, exists, getMetadata, delete,
+ *               deletePrefix, getSignedUrl, getDownloadUrl)
+ *
+ * Modules read the active backend through the getters below at call time,
+ * so they must not destructure them when requiring this module.
+ */
+
+const BACKENDS = {
+  firestore: createFirestoreBackend,
+  memory: createMemoryBackend,
+};
+
+let current = null;
+
+/**
+ * Creates a backend by name.
+ * @param {string} [name='firestore'] - One of the BACKENDS keys
+ * @returns {Object} Data backend
+ */
+const createBackend = (name = 'firestore') => {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown data backend "${name}", use one of ${Object.keys(BACKENDS).join(
+        ', '
+      )}`
+    );
+  }
+  return factory();
+};
+
+/**
+ * Sets the backend used by the API.
+ * @param {string|Object} backend - Backend name or backend object
+ * @returns {Object} The active backend
+ */
+const setBackend = (backend) => {
+  current = typeof backend === 'string' ? createBackend(backend) : backend;
+  return current;
+};
+
+/**
+ * Returns the active backend, creating the one named by DATA_BACKEND
+ * (Firestore by default) on first use.
+ * @returns {Object} Data backend
+ */
+const getBackend = () =>
+  current || setBackend(process.env.DATA_BACKEND || 'firestore');
+
+module.exports = {
+  createBackend,
+  setBackend,
+  getBackend,
+  get firestore() {
+    return getBackend().firestore;
+  },
+  get users() {
+    return getBackend().users;
+  },
+  get profiles() {
+    return getBackend().profiles;
+  },
+  get storage() {
+    return getBackend().storage;
+  },
+};
@@ -0,0 +1,307 @@
+const { randomBytes, randomUUID } = require('crypto');
+
+/**
+ * In-memory implementation of the Firebase Auth methods used by the app.
+ * Custom tokens are also accepted as ID tokens, since there is no client SDK
+ * to exchange them, and session cookies are opaque tokens kept in memory
+ * like them. Errors carry the same `auth/*` codes as Firebase.
+ */
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+// Session cookie lifetimes accepted by Firebase, in milliseconds
+const MIN_SESSION_MS = 5 * 60 * 1000;
+const MAX_SESSION_MS = 14 * 24 * 60 * 60 * 1000;
+
+const UPDATABLE_FIELDS = [
+  'email',
+  'emailVerified',
+  'displayName',
+  'photoURL',
+  'phoneNumber',
+  'disabled',
+];
+
+const authError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Mirrors the shape of a Firebase UserRecord, including `toJSON`.
+ */
+class MemoryUserRecord {
+  constructor(user) {
+    Object.assign(this, structuredClone(user));
+  }
+
+  toJSON() {
+    return structuredClone({ ...this });
+  }
+}
+
+class MemoryAuth {
+  constructor() {
+    this._users = new Map();
+    this._tokens = new Map();
+    this._sessions = new Map();
+  }
+
+  _find(uid) {
+    const user = this._users.get(uid);
+    if (!user) {
+      throw authError(
+        'auth/user-not-found',
+        `There is no user record corresponding to the provided identifier.`
+      );
+    }
+    return user;
+  }
+
+  _checkUnique(field, value, uid) {
+    if (value === undefined || value === null) return;
+
+    for (const user of this._users.values()) {
+      if (user.uid !== uid && user[field] === value) {
+        const code =
+          field === 'email'
+            ? 'auth/email-already-exists'
+            : 'auth/phone-number-already-exists';
+        throw authError(code, `The ${field} is already in use.`);
+      }
+    }
+  }
+
+  // Passwords are checked, not stored, there is no sign-in to check them
+  _checkPassword(password) {
+    if (password !== undefined && password.length < 6) {
+      throw authError(
+        'auth/invalid-password',
+        'The password must be a string with at least 6 characters.'
+      );
+    }
+  }
+
+  async createUser(properties = {}) {
+    const uid = properties.uid || randomUUID().replace(/-/g, '');
+
+    if (this._users.has(uid)) {
+      throw authError('auth/uid-already-exists', 'The uid is already in use.');
+    }
+    this._checkPassword(properties.password);
+    this._checkUnique('email', properties.email, uid);
+    this._checkUnique('phoneNumber', properties.phoneNumber, uid);
+
+    const user = {
+      uid,
+      email: properties.email,
+      emailVerified: Boolean(properties.emailVerified),
+      displayName: properties.displayName,
+      photoURL: properties.photoURL,
+      phoneNumber: properties.phoneNumber,
+      disabled: Boolean(properties.disabled),
+      metadata: {
+        creationTime: new Date().toUTCString(),
+        lastSignInTime: null,
+      },
+      providerData: [],
+      customClaims: undefined,
+      tokensValidAfterTime: new Date().toUTCString(),
+    };
+    this._users.set(uid, user);
+
+    return new MemoryUserRecord(user);
+  }
+
+  async getUser(uid) {
+    return new MemoryUserRecord(this._find(uid));
+  }
+
+  async getUserByEmail(email) {
+    const user = [...this._users.values()].find((u) => u.email === email);
+    if (!user) {
+      throw authError(
+        'auth/user-not-found',
+        'There is no user record corresponding to the provided email.'
+      );
+    }
+    return new MemoryUserRecord(user);
+  }
+
+  async getUsers(identifiers = []) {
+    const users = [];
+    const notFound = [];
+
+    identifiers.forEach((identifier) => {
+      const user = this._users.get(identifier.uid);
+      if (user) {
+        users.push(new MemoryUserRecord(user));
+      } else {
+        notFound.push(identifier);
+      }
+    });
+
+    return { users, notFound };
+  }
+
+  async listUsers(maxResults = 1000, pageToken) {
+    const uids = [...this._users.keys()].sort();
+    const start = pageToken
+      ? uids.indexOf(Buffer.from(pageToken, 'base64url').toString()) + 1
+      : 0;
+    const page = uids.slice(start, start + maxResults);
+    const hasMore = start + maxResults < uids.length;
+
+    return {
+      users: page.map((uid) => new MemoryUserRecord(this._users.get(uid))),
+      pageToken: hasMore
+        ? Buffer.from(page[page.length - 1]).toString('base64url')
+        : undefined,
+    };
+  }
+
+  async updateUser(uid, properties = {}) {
+    const user = this._find(uid);
+
+    this._checkPassword(properties.password);
+    this._checkUnique('email', properties.email, uid);
+    this._checkUnique('phoneNumber', properties.phoneNumber, uid);
+
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (properties[field] === undefined) return;
+      // Firebase deletes nullable attributes set to null
+      user[field] = properties[field] === null ? undefined : properties[field];
+    });
+
+    return new MemoryUserRecord(user);
+  }
+
+  async deleteUser(uid) {
+    this._find(uid);
+    this._users.delete(uid);
+  }
+
+  async deleteUsers(uids = []) {
+    // Like Firebase, unknown uids count as deleted
+    uids.forEach((uid) => this._users.delete(uid));
+    return { successCount: uids.length, failureCount: 0, errors: [] };
+  }
+
+  async setCustomUserClaims(uid, customUserClaims) {
+    const user = this._find(uid);
+    user.customClaims = customUserClaims
+      ? structuredClone(customUserClaims)
+      : undefined;
+  }
+
+  async revokeRefreshTokens(uid) {
+    const user = this._find(uid);
+    // Revocation applies to tokens issued before the current second
+    user.tokensValidAfterTime = new Date(nowSeconds() * 1000).toUTCString();
+  }
+
+  async createCustomToken(uid, developerClaims = {}) {
+    const token = `memory.${randomBytes(24).toString('base64url')}`;
+    this._tokens.set(token, {
+      uid,
+      developerClaims: structuredClone(developerClaims),
+      iat: nowSeconds(),
+    });
+    return token;
+  }
+
+  // Revocation applies to tokens of sign-ins before tokensValidAfterTime
+  _checkRevoked(user, authTime, revokedCode) {
+    if (user.disabled) {
+      throw authError('auth/user-disabled', 'The user record is disabled.');
+    }
+    const validSince = Date.parse(user.tokensValidAfterTime) / 1000;
+    if (authTime < validSince) {
+      throw authError(revokedCode, 'The token has been revoked.');
+    }
+  }
+
+  _decode(user, { developerClaims, authTime, iat, exp }) {
+    return {
+      ...developerClaims,
+      ...user.customClaims,
+      uid: user.uid,
+      sub: user.uid,
+      email: user.email,
+      email_verified: user.emailVerified,
+      auth_time: authTime,
+      iat,
+      exp,
+      firebase: { sign_in_provider: 'custom' },
+    };
+  }
+
+  async verifyIdToken(idToken, checkRevoked = false) {
+    const token = this._tokens.get(idToken);
+    if (!token) {
+      throw authError('auth/argument-error', 'Decoding ID token failed.');
+    }
+    if (token.iat + TOKEN_TTL_SECONDS < nowSeconds()) {
+      throw authError('auth/id-token-expired', 'ID token has expired.');
+    }
+
+    const user = this._find(token.uid);
+    if (checkRevoked)
+      this._checkRevoked(user, token.iat, 'auth/id-token-revoked');
+
+    return this._decode(user, {
+      developerClaims: token.developerClaims,
+      authTime: token.iat,
+      iat: token.iat,
+      exp: token.iat + TOKEN_TTL_SECONDS,
+    });
+  }
+
+  async createSessionCookie(idToken, { expiresIn } = {}) {
+    if (!(expiresIn >= MIN_SESSION_MS && expiresIn <= MAX_SESSION_MS)) {
+      throw authError(
+        'auth/invalid-session-cookie-duration',
+        'The session cookie duration must be between 5 minutes and 2 weeks.'
+      );
+    }
+    const { auth_time: authTime } = await this.verifyIdToken(idToken);
+    const { uid, developerClaims } = this._tokens.get(idToken);
+
+    const sessionCookie = `memory-session.${randomBytes(24).toString(
+      'base64url'
+    )}`;
+    this._sessions.set(sessionCookie, {
+      uid,
+      developerClaims,
+      authTime,
+      iat: nowSeconds(),
+      exp: nowSeconds() + Math.floor(expiresIn / 1000),
+    });
+    return sessionCookie;
+  }
+
+  async verifySessionCookie(sessionCookie, checkRevoked = false) {
+    const session = this._sessions.get(sessionCookie);
+    if (!session) {
+      throw authError(
+        'auth/argument-error',
+        'Decoding Firebase session cookie failed.'
+      );
+    }
+    if (session.exp < nowSeconds()) {
+      throw authError(
+        'auth/session-cookie-expired',
+        'The Firebase session cookie has expired.'
+      );
+    }
+
+    const user = this._find(session.uid);
+    if (checkRevoked) {
+      this._checkRevoked(user, session.authTime, 'auth/session-cookie-revoked');
+    }
+
+    return this._decode(user, session);
+  }
+}
+
+module.exports = MemoryAuth;
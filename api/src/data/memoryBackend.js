@@ -0,0 +1,23 @@
+const MemoryAuth = require('./memoryAuth');
+const MemoryFirestore = require('./memoryFirestore');
+const MemoryStorage = require('./memoryStorage');
+const createProfileRepository = require('./profileRepository');
+
+/**
+ * Backend keeping everything in process memory, for local development and
+ * tests. Data is lost when the process exits.
+ * @returns {Object} Data backend
+ */
+const createMemoryBackend = () => {
+  const firestore = new MemoryFirestore();
+
+  return {
+    name: 'memory',
+    firestore,
+    users: new MemoryAuth(),
+    profiles: createProfileRepository(firestore),
+    storage: new MemoryStorage(),
+  };
+};
+
+module.exports = createMemoryBackend;
@@ -0,0 +1,541 @@
+const { randomBytes } = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+
+/**
+ * In-memory implementation of the part of the Firestore API used by the app:
+ * collections and subcollections, document reads and writes, batches,
+ * transactions, `getAll`, `recursiveDelete`, queries of a collection or a
+ * collection group with `where`, `orderBy`, `limit` and `startAfter`, and
+ * their `count` aggregation.
+ * Errors carry the same gRPC `code` as Firestore so the error mapper applies.
+ */
+
+// gRPC status codes used by Firestore errors
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const ABORTED = 10;
+
+// Attempts of a transaction whose reads keep changing, as in Firestore
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const AUTO_ID_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const autoId = () =>
+  Array.from(randomBytes(20), (byte) => AUTO_ID_CHARS[byte % 62]).join('');
+
+const firestoreError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const isMap = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Copies a value the way Firestore stores it: maps and arrays are copied,
+ * dates become Timestamps and undefined fields are dropped.
+ * @param {*} value - Value to store or return
+ * @returns {*} The copy
+ */
+const clone = (value) => {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isMap(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const getField = (data, path) =>
+  path
+    .split('.')
+    .reduce((value, key) => (isMap(value) ? value[key] : undefined), data);
+
+const setField = (data, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => {
+    if (!isMap(current[key])) current[key] = {};
+    return current[key];
+  }, data);
+  parent[last] = value;
+};
+
+const mergeMaps = (target, source) => {
+  const output = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    output[key] =
+      isMap(value) && isMap(output[key])
+        ? mergeMaps(output[key], value)
+        : value;
+  });
+  return output;
+};
+
+const toComparable = (value) =>
+  value instanceof Timestamp ? value.toMillis() : value;
+
+const compareValues = (a, b) => {
+  const left = toComparable(a);
+  const right = toComparable(b);
+
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const equals = (a, b) =>
+  a instanceof Timestamp || b instanceof Timestamp
+    ? compareValues(a, b) === 0
+    : JSON.stringify(a) === JSON.stringify(b);
+
+const OPERATORS = {
+  '==': (value, operand) => equals(value, operand),
+  '!=': (value, operand) => value !== undefined && !equals(value, operand),
+  '<': (value, operand) =>
+    value !== undefined && compareValues(value, operand) < 0,
+  '<=': (value, operand) =>
+    value !== undefined && compareValues(value, operand) <= 0,
+  '>': (value, operand) =>
+    value !== undefined && compareValues(value, operand) > 0,
+  '>=': (value, operand) =>
+    value !== undefined && compareValues(value, operand) >= 0,
+  'array-contains': (value, operand) =>
+    Array.isArray(value) && value.some((item) => equals(item, operand)),
+  'array-contains-any': (value, operands) =>
+    Array.isArray(value) &&
+    value.some((item) => operands.some((operand) => equals(item, operand))),
+  in: (value, operands) => operands.some((operand) => equals(value, operand)),
+  'not-in': (value, operands) =>
+    value !== undefined && !operands.some((operand) => equals(value, operand)),
+};
+
+const INEQUALITY_OPERATORS = ['!=', '<', '<=', '>', '>=', 'not-in'];
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getField(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class AggregateQuerySnapshot {
+  constructor(data) {
+    this._data = data;
+  }
+
+  data() {
+    return { ...this._data };
+  }
+}
+
+/**
+ * Count aggregation of a query, `query.count()`.
+ */
+class AggregateQuery {
+  constructor(query) {
+    this._query = query;
+  }
+
+  async get() {
+    const { size } = await this._query.get();
+    return new AggregateQuerySnapshot({ count: size });
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(
+      this._db,
+      this.path.slice(0, this.path.lastIndexOf('/'))
+    );
+  }
+
+  collection(id) {
+    return new CollectionReference(this._db, `${this.path}/${id}`);
+  }
+
+  async get() {
+    return this._db._snapshot(this);
+  }
+
+  async set(data, options) {
+    return this._db._commit([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async create(data) {
+    return this._db._commit([{ type: 'create', ref: this, data }]);
+  }
+
+  async update(data) {
+    return this._db._commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    return this._db._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+class Query {
+  constructor(db, path, options = {}) {
+    this._db = db;
+    this._path = path;
+    this._options = { filters: [], orders: [], ...options };
+  }
+
+  _with(options) {
+    return new Query(this._db, this._path, { ...this._options, ...options });
+  }
+
+  where(field, op, value) {
+    if (!OPERATORS[op]) throw new Error(`Unsupported query operator "${op}"`);
+    return this._with({
+      filters: [...this._options.filters, { field, op, value }],
+    });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({
+      orders: [...this._options.orders, { field, direction }],
+    });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(...cursor) {
+    return this._with({ startAfter: cursor });
+  }
+
+  count() {
+    return new AggregateQuery(this);
+  }
+
+  async get() {
+    const { filters, limit, startAfter } = this._options;
+    let { orders } = this._options;
+
+    // Like Firestore, an inequality filter orders by its field by default
+    const inequality = filters.find((f) => INEQUALITY_OPERATORS.includes(f.op));
+    if (!orders.length && inequality) {
+      orders = [{ field: inequality.field, direction: 'asc' }];
+    }
+
+    const compare = (a, b) => {
+      for (const { field, direction } of orders) {
+        const result = compareValues(
+          getField(a.data, field),
+          getField(b.data, field)
+        );
+        if (result) return direction === 'desc' ? -result : result;
+      }
+      const byId = a.ref.id.localeCompare(b.ref.id);
+      return orders[orders.length - 1]?.direction === 'desc' ? -byId : byId;
+    };
+
+    let docs = this._db
+      ._list(this._path, this._options.allDescendants)
+      .filter(({ data }) =>
+        filters.every(({ field, op, value }) =>
+          OPERATORS[op](getField(data, field), value)
+        )
+      )
+      .filter(({ data }) =>
+        orders.every(({ field }) => getField(data, field) !== undefined)
+      )
+      .sort(compare);
+
+    if (startAfter) {
+      const [first] = startAfter;
+      if (first instanceof DocumentSnapshot) {
+        const cursor = { ref: first.ref, data: first._data };
+        docs = docs.filter((doc) => compare(doc, cursor) > 0);
+      } else {
+        const cursor = {};
+        orders.forEach(({ field }, index) => {
+          setField(cursor, field, startAfter[index]);
+        });
+        const isAfter = (doc) => {
+          for (const [index, { field, direction }] of orders.entries()) {
+            if (index >= startAfter.length) return false;
+            const result = compareValues(
+              getField(doc.data, field),
+              getField(cursor, field)
+            );
+            if (result) return (direction === 'desc' ? -result : result) > 0;
+          }
+          return false;
+        };
+        docs = docs.filter(isAfter);
+      }
+    }
+
+    if (limit !== undefined) docs = docs.slice(0, limit);
+
+    return new QuerySnapshot(
+      docs.map(({ ref, data }) => new DocumentSnapshot(ref, data))
+    );
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this._db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._operations = [];
+  }
+
+  set(ref, data, options) {
+    this._operations.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this._operations.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this._operations.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._operations.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    return this._db._commit(this._operations);
+  }
+}
+
+/**
+ * Writes of a transaction, committed once its callback resolves, and the
+ * documents it read. The commit fails when one of them changed since.
+ */
+class Transaction extends WriteBatch {
+  constructor(db) {
+    super(db);
+    this._reads = new Map();
+  }
+
+  async get(refOrQuery) {
+    const snapshot = await refOrQuery.get();
+    (snapshot.docs || [snapshot]).forEach((doc) => {
+      this._reads.set(doc.ref.path, doc._data);
+    });
+    return snapshot;
+  }
+
+  _isStale() {
+    return [...this._reads].some(
+      ([path, data]) => this._db._documents.get(path) !== data
+    );
+  }
+}
+
+class MemoryFirestore {
+  constructor() {
+    this._documents = new Map();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  collectionGroup(collectionId) {
+    return new Query(this, collectionId, { allDescendants: true });
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Runs `updateFunction` with a transaction and commits its writes, again
+   * from the start when a document it read was written in the meantime.
+   * @param {Function} updateFunction - Async callback given the transaction
+   * @returns {Promise<*>} What the callback resolved to
+   */
+  async runTransaction(updateFunction) {
+    for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt += 1) {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      if (!transaction._isStale()) {
+        this._commit(transaction._operations);
+        return result;
+      }
+    }
+    throw firestoreError(ABORTED, 'Transaction was contended too long');
+  }
+
+  async getAll(...refs) {
+    return refs.map((ref) => this._snapshot(ref));
+  }
+
+  /**
+   * Deletes a document or a collection with every document below it.
+   * @param {DocumentReference|CollectionReference} ref - Where to start
+   */
+  async recursiveDelete(ref) {
+    const prefix = `${ref.path}/`;
+    const operations = [];
+
+    this._documents.forEach((data, path) => {
+      if (path === ref.path || path.startsWith(prefix)) {
+        operations.push({ type: 'delete', ref: this.doc(path) });
+      }
+    });
+
+    this._commit(operations);
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this._documents.get(ref.path));
+  }
+
+  /**
+   * Lists the documents of a collection, or of every collection with that
+   * id when `allDescendants` is set, as a collection group query does.
+   * @param {string} collectionPath - Collection path, or id of the group
+   * @param {boolean} [allDescendants=false] - Whether it is a group
+   * @returns {Array<Object>} `{ref, data}` of the documents
+   */
+  _list(collectionPath, allDescendants = false) {
+    const prefix = `${collectionPath}/`;
+    const docs = [];
+
+    this._documents.forEach((data, path) => {
+      const segments = path.split('/');
+      const matches = allDescendants
+        ? segments[segments.length - 2] === collectionPath
+        : path.startsWith(prefix) && !path.slice(prefix.length).includes('/');
+      if (matches) {
+        docs.push({ ref: new DocumentReference(this, path), data });
+      }
+    });
+
+    return docs;
+  }
+
+  /**
+   * Applies writes atomically: all of them are checked against the staged
+   * state first, and nothing is stored if one fails.
+   * @param {Array<Object>} operations - Writes of a batch or a single write
+   */
+  _commit(operations) {
+    const staged = new Map();
+    const read = (path) =>
+      staged.has(path) ? staged.get(path) : this._documents.get(path);
+
+    operations.forEach(({ type, ref, data, options }) => {
+      const current = read(ref.path);
+
+      switch (type) {
+        case 'create':
+          if (current !== undefined) {
+            throw firestoreError(
+              ALREADY_EXISTS,
+              `Document already exists: ${ref.path}`
+            );
+          }
+          staged.set(ref.path, clone(data));
+          break;
+        case 'set':
+          staged.set(
+            ref.path,
+            options?.merge && current !== undefined
+              ? mergeMaps(current, clone(data))
+              : clone(data)
+          );
+          break;
+        case 'update': {
+          if (current === undefined) {
+            throw firestoreError(
+              NOT_FOUND,
+              `No document to update: ${ref.path}`
+            );
+          }
+          const updated = clone(current);
+          Object.entries(data).forEach(([path, value]) => {
+            setField(updated, path, clone(value));
+          });
+          staged.set(ref.path, updated);
+          break;
+        }
+        case 'delete':
+          staged.set(ref.path, undefined);
+          break;
+      }
+    });
+
+    staged.forEach((data, path) => {
+      if (data === undefined) {
+        this._documents.delete(path);
+      } else {
+        this._documents.set(path, data);
+      }
+    });
+
+    return operations.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+module.exports = MemoryFirestore;
@@ -0,0 +1,79 @@
+/**
+ * In-memory file storage with the same methods as the Cloud Storage
+ * repository. Signed and download URLs use a `memory://` scheme and are
+ * not served.
+ */
+class MemoryStorage {
+  constructor() {
+    this._files = new Map();
+  }
+
+  _find(path) {
+    const file = this._files.get(path);
+    if (!file) {
+      throw Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+    }
+    return file;
+  }
+
+  async save(path, buffer, { contentType, metadata = {} } = {}) {
+    this._files.set(path, {
+      buffer: Buffer.from(buffer),
+      contentType,
+      metadata: { ...metadata },
+      size: buffer.length,
+      updated: new Date().toISOString(),
+    });
+  }
+
+  async download(path) {
+    return Buffer.from(this._find(path).buffer);
+  }
+
+  async exists(path) {
+    return this._files.has(path);
+  }
+
+  async getMetadata(path) {
+    const { contentType, metadata, size, updated } = this._find(path);
+    return {
+      name: path,
+      contentType,
+      metadata: { ...metadata },
+      size,
+      updated,
+    };
+  }
+
+  async delete(path) {
+    this._files.delete(path);
+  }
+
+  async deletePrefix(prefix) {
+    [...this._files.keys()]
+      .filter((path) => path.startsWith(prefix))
+      .forEach((path) => this._files.delete(path));
+  }
+
+  async getSignedUrl(path, { action = 'read', expires } = {}) {
+    this._find(path);
+    const params = new URLSearchParams({
+      action,
+      expires: String(new Date(expires).getTime()),
+    });
+    return `memory://${path}?${params}`;
+  }
+
+  async getDownloadUrl(path) {
+    const { metadata } = this._find(path);
+    if (!metadata.firebaseStorageDownloadTokens) {
+      throw new Error(`No download token for ${path}`);
+    }
+    const params = new URLSearchParams({
+      token: metadata.firebaseStorageDownloadTokens.split(',')[0],
+    });
+    return `memory://${path}?${params}`;
+  }
+}
+
+module.exports = MemoryStorage;
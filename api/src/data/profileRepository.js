@@ -0,0 +1,110 @@
+const {
+  MESSAGES,
+  VALID_ROLES,
+  ADMIN_ROLE,
+  COLLECTIONS,
+} = require('../utils/constants');
+
+/**
+ * Role profile documents (`patients/{uid}`, `doctors/{uid}`, ...) on top of
+ * a Firestore-compatible document store.
+ * @param {Object} firestore - Firestore or MemoryFirestore instance
+ * @returns {Object} Profile repository
+ */
+const createProfileRepository = (firestore) => ({
+  /**
+   * Creates the profile document of a new user.
+   * @param {string} role - One of VALID_ROLES
+   * @param {Object} data - Profile data holding the user `uid`
+   * @returns {Promise<Object>} The stored profile
+   */
+  async create(role, data) {
+    if (!VALID_ROLES.includes(role)) throw MESSAGES.InvalidUserRole;
+
+    const docRef = firestore.collection(role).doc(data.uid);
+    await docRef.set(data);
+    return (await docRef.get()).data();
+  },
+
+  /**
+   * Gets the profile of a user, admins have none. Profiles of soft deleted
+   * accounts are hidden unless asked for.
+   * @param {string} uid - User ID
+   * @param {string} role - User role
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Return deleted profiles too
+   * @returns {Promise<Object|null>} Profile data or null
+   */
+  async get(uid, role, { includeDeleted = false } = {}) {
+    if (!role || role === ADMIN_ROLE) return null;
+
+    const snapshot = await firestore.collection(role).doc(uid).get();
+    if (!snapshot.exists) return null;
+
+    const profile = snapshot.data();
+    return profile.deletedAt && !includeDeleted ? null : profile;
+  },
+
+  /**
+   * Merges fields into a profile, nested objects are merged too.
+   * @param {string} uid - User ID
+   * @param {string} role - User role
+   * @param {Object} updates - Fields to merge
+   * @returns {Promise<Object>} The stored profile
+   */
+  async merge(uid, role, updates) {
+    const docRef = firestore.collection(role).doc(uid);
+    await docRef.set(updates, { merge: true });
+    return (await docRef.get()).data();
+  },
+
+  /**
+   * Marks the existing profile documents of the given users as deleted, or
+   * clears the mark with a null `deletedAt`.
+   * @param {Array<string>} uids - User IDs
+   * @param {Object|null} deletedAt - Deletion Timestamp, or null to restore
+   */
+  async setDeleted(uids, deletedAt) {
+    const collections = Object.values(COLLECTIONS).filter(Boolean);
+    const refs = collections.flatMap((collection) =>
+      uids.map((uid) => firestore.collection(collection).doc(uid))
+    );
+    if (!refs.length) return;
+
+    const snapshots = await firestore.getAll(...refs);
+    const existing = snapshots.filter((snapshot) => snapshot.exists);
+
+    for (let i = 0; i < existing.length; i += 500) {
+      const batch = firestore.batch();
+      existing
+        .slice(i, i + 500)
+        .forEach(({ ref }) => batch.set(ref, { deletedAt }, { merge: true }));
+      await batch.commit();
+    }
+  },
+
+  /**
+   * Deletes the documents of the given users from every profile collection,
+   * with their subcollections such as the journal and documents of patients.
+   * @param {Array<string>} uids - User IDs
+   */
+  async deleteAll(uids) {
+    const collections = Object.values(COLLECTIONS).filter(Boolean);
+
+    for (let i = 0; i < uids.length; i += 500) {
+      await Promise.all(
+        collections.flatMap((collection) =>
+          uids
+            .slice(i, i + 500)
+            .map((uid) =>
+              firestore.recursiveDelete(
+                firestore.collection(collection).doc(uid)
+              )
+            )
+        )
+      );
+    }
+  },
+});
+
+module.exports = createProfileRepository;
@@ -1,17 +1,31 @@
-const { auth } = require('../config/firebase');
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+const { toAppError } = require('../utils/errorMapper');
+const { authenticate, hasValidCsrfToken } = require('../utils/sessions');
 
+/**
+ * Sets `req.user` to the decoded token of the request, read from the
+ * `Authorization: Bearer` header or else the session cookie. Requests
+ * authenticated by the cookie must carry the CSRF token when changing state.
+ */
 module.exports = async (req, res, next) => {
   try {
-    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    const credentials = await authenticate(req);
 
-    if (!idToken) throw new Error('No token provided');
+    if (!credentials) throw new UnauthorizedError('Login', 'TOKEN_MISSING');
+    if (credentials.fromCookie && !hasValidCsrfToken(req)) {
+      throw new ForbiddenError('Invalid CSRF token', 'CSRF_TOKEN_INVALID');
+    }
 
-    const decodedToken = await auth.verifyIdToken(idToken);
-    req.user = decodedToken;
+    req.user = credentials.decodedToken;
     next();
   } catch (error) {
-    console.error({ error });
+    const appError = toAppError(error);
 
-    res.status(401).json({ error: 'Unauthorized', message: 'Login' });
+    // Anything but a known auth failure still means "not logged in"
+    next(
+      appError.status === 401 || appError.status === 403
+        ? appError
+        : new UnauthorizedError('Login', 'UNAUTHORIZED', { cause: error })
+    );
   }
 };
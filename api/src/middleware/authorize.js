@@ -0,0 +1,41 @@
+const { getUserRole, hasPermission } = require('../utils/permissions');
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Ends the request before it reaches the controller.
+ * @param {Object} req - Express request object
+ * @param {Function} next - Express next function
+ * @param {string} message - Reason sent to the client
+ */
+const deny = (req, next, message) =>
+  next(req.user ? new ForbiddenError(message) : new UnauthorizedError());
+
+/**
+ * Allows the request only for users with one of the given roles.
+ * Must be mounted after authMiddleware.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (req.user && roles.includes(getUserRole(req.user))) return next();
+
+    return deny(req, next, 'User does not have the required role');
+  };
+
+/**
+ * Allows the request only for users holding all the given permissions.
+ * Must be mounted after authMiddleware.
+ * @param {...string} permissions - Required permissions from PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (req.user && hasPermission(req.user, ...permissions)) return next();
+
+    return deny(req, next, 'Insufficient permissions to perform this action');
+  };
+
+module.exports = { requireRole, requirePermission };
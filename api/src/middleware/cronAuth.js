@@ -0,0 +1,24 @@
+const { timingSafeEqual } = require('crypto');
+const { UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Allows scheduled jobs only. Vercel Cron sends the CRON_SECRET environment
+ * variable as a bearer token, and nothing is allowed while it is unset.
+ */
+module.exports = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+
+  if (
+    secret &&
+    received.length === expected.length &&
+    timingSafeEqual(received, expected)
+  ) {
+    return next();
+  }
+
+  return next(
+    new UnauthorizedError('Invalid cron secret', 'CRON_UNAUTHORIZED')
+  );
+};
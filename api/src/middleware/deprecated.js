@@ -0,0 +1,16 @@
+/**
+ * Marks the responses of a deprecated route with the Deprecation header
+ * and a Link to the route replacing it, so clients can find and migrate
+ * their calls before the route is removed.
+ * @param {string} successor - Path of the replacing route, relative to the router
+ * @returns {Function} Express middleware
+ */
+const deprecated = (successor) => (req, res, next) => {
+  res.set({
+    Deprecation: 'true',
+    Link: `<${req.baseUrl}${successor}>; rel="successor-version"`,
+  });
+  next();
+};
+
+module.exports = deprecated;
@@ -1,29 +1,46 @@
+const { toAppError } = require('../utils/errorMapper');
+
+/**
+ * Sends every error in the same envelope:
+ *   {
+ *     status: 'error',
+ *     code: 'NOT_FOUND',          // stable machine-readable code
+ *     message: 'User not found',  // human readable, generic for 5xx in production
+ *     requestId: '...',           // same value as the X-Request-Id header
+ *     details?: [...],            // e.g. field errors of VALIDATION_FAILED
+ *     stack?: '...',              // development only
+ *   }
+ */
 module.exports = (err, req, res, next) => {
-  console.error(err.stack);
-
-  // Default error status and message
-  let status = 500;
-  let message = 'Something went wrong!';
-
-  // Check if it's a known error type
-  if (err.name === 'ValidationError') {
-    status = 400;
-    message = err.message;
-  } else if (err.name === 'UnauthorizedError') {
-    status = 401;
-    message = 'Unauthorized access';
+  const error = toAppError(err);
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}]`, err.stack);
   }
 
-  // In development, send the full error message
-  // In production, send a generic message
+  if (res.headersSent) return next(err);
+
+  // Internal errors keep their details out of production responses
+  const message =
+    error.status < 500
+      ? error.message
+      : isDevelopment
+      ? err.message
+      : 'Something went wrong!';
+
   const errorResponse = {
-    error: process.env.NODE_ENV === 'development' ? err.message : message,
+    status: 'error',
+    code: error.code,
+    message,
+    requestId: req.id,
   };
 
+  if (error.details !== undefined) errorResponse.details = error.details;
+
   // Optionally include the stack trace in development
-  if (process.env.NODE_ENV === 'development') {
-    errorResponse.stack = err.stack;
-  }
+  if (isDevelopment) errorResponse.stack = err.stack;
 
-  res.status(status).json(errorResponse);
+  if (error.headers) res.set(error.headers);
+  res.status(error.status).json(errorResponse);
 };
@@ -0,0 +1,24 @@
+const { toAppError } = require('../utils/errorMapper');
+const { toOperationOutcome } = require('../utils/fhir');
+const { FHIR_SETTINGS } = require('../utils/constants');
+
+/**
+ * Sends the errors of the FHIR routes as an OperationOutcome, the error
+ * body FHIR clients expect, instead of the error envelope of the API. The
+ * request id stays in the X-Request-Id header.
+ */
+module.exports = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}]`, err.stack);
+  }
+
+  if (res.headersSent) return next(err);
+
+  if (error.headers) res.set(error.headers);
+  res
+    .status(error.status)
+    .type(FHIR_SETTINGS.CONTENT_TYPE)
+    .json(toOperationOutcome(err));
+};
@@ -1,7 +1,22 @@
 const authMiddleware = require('./authMiddleware');
 const errorHandler = require('./errorHandler');
+const fhirErrorHandler = require('./fhirErrorHandler');
+const requestId = require('./requestId');
+const cronAuth = require('./cronAuth');
+const uploadFile = require('./uploadFile');
+const rateLimit = require('./rateLimit');
+const deprecated = require('./deprecated');
+const { requireRole, requirePermission } = require('./authorize');
 
 module.exports = {
   authMiddleware,
   errorHandler,
+  fhirErrorHandler,
+  requestId,
+  cronAuth,
+  uploadFile,
+  rateLimit,
+  deprecated,
+  requireRole,
+  requirePermission,
 };
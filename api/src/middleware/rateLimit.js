@@ -0,0 +1,43 @@
+const { createCache, getCounterStore } = require('../cache');
+const { RATE_LIMIT_POLICIES } = require('../utils/constants');
+const { RateLimitedError } = require('../utils/errors');
+
+// Counters are shared by every instance with Redis, and kept apart from the
+// cached responses in memory so those cannot evict them
+const counters = createCache('rate-limit', { store: getCounterStore });
+
+/**
+ * Limits requests with a fixed window counter per client, as set by a
+ * policy of RATE_LIMIT_POLICIES. Responses carry the RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset (seconds) headers, and requests
+ * over the limit get a 429 with Retry-After. Policies counting by user must
+ * run after authMiddleware. Requests are let through when the store fails.
+ * @param {string} name - Policy name
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+  const { limit, windowMs, by } = policy;
+
+  return async (req, res, next) => {
+    const client =
+      by === 'user' && req.user ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+    const counter = await counters.increment(`${name}:${client}`, windowMs);
+    if (!counter) return next();
+
+    const reset = Math.max(1, Math.ceil(counter.ttl / 1000));
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - counter.count)),
+      'RateLimit-Reset': String(reset),
+    });
+
+    if (counter.count > limit) {
+      return next(new RateLimitedError(undefined, reset));
+    }
+    return next();
+  };
+};
+
+module.exports = rateLimit;
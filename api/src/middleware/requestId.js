@@ -0,0 +1,13 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * Tags each request with an ID, reusing a sane X-Request-Id sent by a proxy.
+ * The ID is echoed in the response header and in error envelopes.
+ */
+module.exports = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+
+  req.id = /^[\w-]{8,128}$/.test(header || '') ? header : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
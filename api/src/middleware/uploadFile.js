@@ -0,0 +1,22 @@
+const multer = require('multer');
+
+/**
+ * Parses a multipart body holding one file, kept in memory as `req.file`,
+ * or up to `maxFiles` files of the same field, kept as `req.files`.
+ * Files in other fields, more files and files over `maxBytes` are
+ * rejected, see UPLOAD_ERRORS. Other body fields are ignored.
+ * @param {string} field - Name of the file field
+ * @param {Object} options
+ * @param {number} options.maxBytes - Maximum size of each file
+ * @param {number} [options.maxFiles=1] - Maximum number of files
+ * @returns {Function} Express middleware
+ */
+const uploadFile = (field, { maxBytes, maxFiles = 1 }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles },
+  });
+  return maxFiles > 1 ? upload.array(field, maxFiles) : upload.single(field);
+};
+
+module.exports = uploadFile;
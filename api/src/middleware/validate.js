@@ -0,0 +1,58 @@
+const { ValidationError } = require('../utils/errors');
+const { validateFields } = require('../utils/validators');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validates `req.params`, `req.query` and `req.body` against the schemas a
+ * route declares and replaces them with the validated values, so unknown
+ * fields never reach the controller.
+ * A schema can be a function of the request for role dependent bodies,
+ * or `false` for a location that takes no fields, which rejects any.
+ * `refine` receives the validated request and returns cross-field errors
+ * in the same `{ location, field, message }` shape.
+ * @param {Object} schemas
+ * @param {Object|Function|false} [schemas.params] - Schema of the route params
+ * @param {Object|Function|false} [schemas.query] - Schema of the query string
+ * @param {Object|Function|false} [schemas.body] - Schema of the body
+ * @param {Function} [schemas.refine] - Extra checks returning field errors
+ * @returns {Function} Express middleware
+ * @throws {ValidationError} When any field is invalid
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach((location) => {
+    const schema =
+      typeof schemas[location] === 'function'
+        ? schemas[location](req)
+        : schemas[location];
+    if (schema === false) {
+      Object.keys(req[location] ?? {}).forEach((field) =>
+        errors.push({ location, field, message: 'is not allowed' })
+      );
+      return;
+    }
+    if (!schema) return;
+
+    const locationErrors = [];
+    const value = validateFields(schema, req[location], locationErrors);
+
+    locationErrors.forEach(({ field, message }) =>
+      errors.push({ location, field, message })
+    );
+    req[location] = value;
+  });
+
+  if (!errors.length && schemas.refine) {
+    errors.push(...schemas.refine(req));
+  }
+
+  if (errors.length) {
+    throw new ValidationError('Request validation failed', errors);
+  }
+
+  next();
+};
+
+module.exports = validate;
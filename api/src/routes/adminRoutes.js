@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const adminSchemas = require('../schemas/adminSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+
+router.use(authMiddleware, requirePermission(PERMISSIONS.ADMINS_MANAGE));
+
+/**
+ * Admin role management, super admins only. The first super admin is
+ * created with `npm run admins:bootstrap`.
+ * @route {GET} / - Admins and their tier
+ * @route {PUT} /:uid - Grant an admin tier (`adminRole`) to a user
+ * @route {DELETE} /:uid - Revoke the admin role of a user
+ */
+router.get('/', adminController.listAdmins);
+router.put(
+  '/:uid',
+  validate(adminSchemas.grantAdminRole),
+  adminController.grantAdminRole
+);
+router.delete(
+  '/:uid',
+  validate(adminSchemas.revokeAdminRole),
+  adminController.revokeAdminRole
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const appointmentController = require('../controllers/appointmentController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const appointmentSchemas = require('../schemas/appointmentSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+
+router.use(authMiddleware);
+
+/**
+ * Doctor availability.
+ * PUT publishes the weekly windows and date exceptions of the logged in doctor,
+ * GET returns a doctor's availability and its free slots between two dates.
+ * @route {PUT} /availability
+ * @route {GET} /availability/:doctorId
+ * @route {GET} /availability/:doctorId/slots?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+router.put(
+  '/availability',
+  requirePermission(PERMISSIONS.AVAILABILITY_MANAGE),
+  validate(appointmentSchemas.setAvailability),
+  appointmentController.setAvailability
+);
+router.get(
+  '/availability/:doctorId',
+  requirePermission(PERMISSIONS.AVAILABILITY_READ),
+  validate(appointmentSchemas.getAvailability),
+  appointmentController.getAvailability
+);
+router.get(
+  '/availability/:doctorId/slots',
+  requirePermission(PERMISSIONS.AVAILABILITY_READ),
+  validate(appointmentSchemas.getAvailableSlots),
+  appointmentController.getAvailableSlots
+);
+
+/**
+ * Appointments of the logged in doctor or patient.
+ * @route {GET} / - List upcoming or past appointments (?scope=upcoming|past&limit&cursor)
+ * @route {POST} / - Book a slot (patients only)
+ * @route {PUT} /:id/reschedule - Move a booking to another slot (patients only)
+ * @route {POST} /:id/cancel - Cancel a booking
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE_OWN),
+  validate(appointmentSchemas.listAppointments),
+  appointmentController.listAppointments
+);
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.APPOINTMENTS_BOOK),
+  validate(appointmentSchemas.bookAppointment),
+  appointmentController.bookAppointment
+);
+router.put(
+  '/:id/reschedule',
+  requirePermission(PERMISSIONS.APPOINTMENTS_BOOK),
+  validate(appointmentSchemas.rescheduleAppointment),
+  appointmentController.rescheduleAppointment
+);
+router.post(
+  '/:id/cancel',
+  requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE_OWN),
+  validate(appointmentSchemas.cancelAppointment),
+  appointmentController.cancelAppointment
+);
+
+module.exports = router;
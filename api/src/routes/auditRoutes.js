@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const auditSchemas = require('../schemas/auditSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+
+router.use(authMiddleware, requirePermission(PERMISSIONS.AUDIT_READ));
+
+/**
+ * Audit trail of admin account actions, admins only.
+ * Both routes filter by `actorId`, `targetId`, `action`, `outcome` and a
+ * `from`/`to` creation time range.
+ * @route {GET} / - Records newest first, paginated with `limit` and `cursor`
+ * @route {GET} /export - Every matching record as a `csv` or `json` download
+ */
+router.get(
+  '/',
+  validate(auditSchemas.listRecords),
+  auditController.listRecords
+);
+router.get(
+  '/export',
+  validate(auditSchemas.exportRecords),
+  auditController.exportRecords
+);
+
+module.exports = router;
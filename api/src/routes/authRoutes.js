@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController.js');
+const validate = require('../middleware/validate.js');
+const authSchemas = require('../schemas/authSchemas.js');
+
+/**
+ * Cookie sessions of browsers, see utils/sessions.js.
+ * @route {POST} /session-login - Exchange an ID token for a session cookie
+ * @route {POST} /logout - Clear the session cookie and revoke the refresh tokens
+ */
+router.post(
+  '/session-login',
+  validate(authSchemas.sessionLogin),
+  authController.sessionLogin
+);
+router.post('/logout', authController.logout);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const consentController = require('../controllers/consentController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const consentSchemas = require('../schemas/consentSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+
+router.use(authMiddleware);
+
+/**
+ * Consent grants from patients to doctors, scoped to profile, journal or documents.
+ * @route {GET} / - List grants of the logged in patient, or active grants of the logged in doctor
+ * @route {POST} / - Grant `doctorId` access to `scopes` with an optional `expiresAt`
+ * @route {DELETE} /:grantId - Revoke a grant
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.CONSENTS_READ_OWN),
+  consentController.listGrants
+);
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.CONSENTS_MANAGE_OWN),
+  validate(consentSchemas.createGrant),
+  consentController.createGrant
+);
+router.delete(
+  '/:grantId',
+  requirePermission(PERMISSIONS.CONSENTS_MANAGE_OWN),
+  validate(consentSchemas.revokeGrant),
+  consentController.revokeGrant
+);
+
+module.exports = router;
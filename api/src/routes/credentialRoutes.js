@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const credentialController = require('../controllers/credentialController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const uploadFile = require('../middleware/uploadFile.js');
+const credentialSchemas = require('../schemas/credentialSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+const { CREDENTIAL_SETTINGS } = require('../utils/constants.js');
+
+router.use(authMiddleware);
+
+const canSubmit = requirePermission(PERMISSIONS.CREDENTIALS_SUBMIT_OWN);
+const canReview = requirePermission(PERMISSIONS.CREDENTIALS_REVIEW);
+// Supporting documents, such as a scan of the license
+const uploadDocuments = uploadFile('documents', {
+  maxBytes: CREDENTIAL_SETTINGS.MAX_DOCUMENT_BYTES,
+  maxFiles: CREDENTIAL_SETTINGS.MAX_DOCUMENTS,
+});
+
+/**
+ * License verification of doctors. Doctors submit their credentials,
+ * admins review them and approving them verifies the doctor.
+ * @route {POST} / - Submit credentials of the logged in doctor, with `documents` files
+ * @route {GET} /me - List submissions of the logged in doctor
+ * @route {PUT} /:submissionId - Update a submission sent back for more information
+ * @route {GET} / - Review queue of submissions with a `status`, paginated with `limit` and `cursor`
+ * @route {GET} /:submissionId - Get a submission with signed links to its documents
+ * @route {POST} /:submissionId/decision - `approve`, `reject` or `request_info` with a `reason`
+ */
+router.post(
+  '/',
+  canSubmit,
+  uploadDocuments,
+  validate(credentialSchemas.submitCredentials),
+  credentialController.submitCredentials
+);
+router.get('/me', canSubmit, credentialController.listMySubmissions);
+router.put(
+  '/:submissionId',
+  canSubmit,
+  uploadDocuments,
+  validate(credentialSchemas.resubmitCredentials),
+  credentialController.resubmitCredentials
+);
+router.get(
+  '/',
+  canReview,
+  validate(credentialSchemas.listSubmissions),
+  credentialController.listSubmissions
+);
+router.get(
+  '/:submissionId',
+  canReview,
+  validate(credentialSchemas.getSubmission),
+  credentialController.getSubmission
+);
+router.post(
+  '/:submissionId/decision',
+  canReview,
+  validate(credentialSchemas.decideSubmission),
+  credentialController.decideSubmission
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cronController.js');
+const cronAuth = require('../middleware/cronAuth.js');
+
+router.use(cronAuth);
+
+/**
+ * Scheduled jobs, run by Vercel Cron (see vercel.json).
+ * @route {GET} /purge-deleted-accounts - Purge soft deleted accounts past their retention period
+ * @route {GET} /expire-credentials - Revoke the verification of doctors whose license expired
+ * @route {GET} /process-data-exports - Retry stalled data exports and delete expired archives
+ */
+router.get('/purge-deleted-accounts', cronController.purgeDeletedAccounts);
+router.get('/expire-credentials', cronController.expireCredentials);
+router.get('/process-data-exports', cronController.processDataExports);
+
+module.exports = router;
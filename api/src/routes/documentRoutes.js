@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const documentController = require('../controllers/documentController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const uploadFile = require('../middleware/uploadFile.js');
+const documentSchemas = require('../schemas/documentSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+const { DOCUMENT_SETTINGS } = require('../utils/constants.js');
+
+const ownDocuments = requirePermission(PERMISSIONS.DOCUMENTS_MANAGE_OWN);
+const sharedDocuments = requirePermission(PERMISSIONS.DOCUMENTS_READ_SHARED);
+const manageQuotas = requirePermission(PERMISSIONS.DOCUMENTS_QUOTAS_MANAGE);
+
+router.use(authMiddleware);
+
+/**
+ * Storage quotas of patients.
+ * @route {GET} /quota - Quota and usage of the logged in patient
+ * @route {GET|PUT} /quotas/:patientId - Read or set the quota of a patient (admins)
+ */
+router.get('/quota', ownDocuments, documentController.getMyQuota);
+router.get(
+  '/quotas/:patientId',
+  manageQuotas,
+  validate(documentSchemas.getQuota),
+  documentController.getQuota
+);
+router.put(
+  '/quotas/:patientId',
+  manageQuotas,
+  validate(documentSchemas.setQuota),
+  documentController.setQuota
+);
+
+/**
+ * Documents a patient shared with the logged in (verified) doctor.
+ * @route {GET} /shared/:patientId
+ * @route {GET} /shared/:patientId/:documentId/download
+ */
+router.get(
+  '/shared/:patientId',
+  sharedDocuments,
+  validate(documentSchemas.listSharedDocuments),
+  documentController.listSharedDocuments
+);
+router.get(
+  '/shared/:patientId/:documentId/download',
+  sharedDocuments,
+  validate(documentSchemas.getSharedDocument),
+  documentController.downloadSharedDocument
+);
+
+/**
+ * Medical documents of the logged in patient.
+ * Downloads return a short-lived signed URL rather than the file.
+ * @route {GET} / - List documents (?type&journalEntryId&limit&cursor)
+ * @route {POST} / - Upload the `file` field of a multipart body with `type`, `date`, `description` and `journalEntryId`
+ * @route {GET|DELETE} /:documentId - Read or delete a document
+ * @route {GET} /:documentId/download - Download link of a document
+ * @route {POST} /:documentId/shares - Share a document with `doctorId`
+ * @route {DELETE} /:documentId/shares/:doctorId - Stop sharing a document
+ */
+router.get(
+  '/',
+  ownDocuments,
+  validate(documentSchemas.listDocuments),
+  documentController.listDocuments
+);
+router.post(
+  '/',
+  ownDocuments,
+  uploadFile('file', { maxBytes: DOCUMENT_SETTINGS.MAX_BYTES }),
+  validate(documentSchemas.uploadDocument),
+  documentController.uploadDocument
+);
+router.get(
+  '/:documentId',
+  ownDocuments,
+  validate(documentSchemas.getDocument),
+  documentController.getDocument
+);
+router.delete(
+  '/:documentId',
+  ownDocuments,
+  validate(documentSchemas.deleteDocument),
+  documentController.deleteDocument
+);
+router.get(
+  '/:documentId/download',
+  ownDocuments,
+  validate(documentSchemas.getDocument),
+  documentController.downloadDocument
+);
+router.post(
+  '/:documentId/shares',
+  ownDocuments,
+  validate(documentSchemas.shareDocument),
+  documentController.shareDocument
+);
+router.delete(
+  '/:documentId/shares/:doctorId',
+  ownDocuments,
+  validate(documentSchemas.unshareDocument),
+  documentController.unshareDocument
+);
+
+module.exports = router;
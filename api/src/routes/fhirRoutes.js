@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const fhirController = require('../controllers/fhirController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const fhirErrorHandler = require('../middleware/fhirErrorHandler.js');
+const fhirSchemas = require('../schemas/fhirSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+const {
+  DOCTOR_ROLE,
+  PATIENT_ROLE,
+  FHIR_SETTINGS,
+} = require('../utils/constants.js');
+
+router.use(authMiddleware);
+
+const canRead = requirePermission(PERMISSIONS.USERS_READ);
+
+/**
+ * FHIR R4 interface of patient and doctor accounts, as Patient and
+ * Practitioner resources. Errors are sent as an OperationOutcome.
+ * @route {GET} /Patient/:id - Read a patient
+ * @route {GET} /Patient - Search patients by `_id`, a comma separated list
+ * @route {GET} /Practitioner/:id - Read a doctor
+ * @route {GET} /Practitioner - Search doctors by `_id`, a comma separated list
+ * @route {POST} /import - Create or update accounts from a Patient, a Practitioner or a batch or collection Bundle of them
+ */
+[
+  [PATIENT_ROLE, 'Patient'],
+  [DOCTOR_ROLE, 'Practitioner'],
+].forEach(([role, resourceType]) => {
+  router.get(
+    `/${resourceType}/:id`,
+    canRead,
+    validate(fhirSchemas.readResource),
+    fhirController.readResource(role)
+  );
+  router.get(
+    `/${resourceType}`,
+    canRead,
+    validate(fhirSchemas.searchResources),
+    fhirController.searchResources(role)
+  );
+});
+router.post(
+  '/import',
+  requirePermission(PERMISSIONS.FHIR_IMPORT),
+  express.json({
+    type: FHIR_SETTINGS.CONTENT_TYPE,
+    limit: FHIR_SETTINGS.MAX_BODY_BYTES,
+  }),
+  fhirController.importResources
+);
+
+router.use(fhirErrorHandler);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const journalController = require('../controllers/journalController.js');
+const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const journalSchemas = require('../schemas/journalSchemas.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+
+const ownJournal = requirePermission(PERMISSIONS.JOURNAL_MANAGE_OWN);
+const sharedJournal = requirePermission(PERMISSIONS.JOURNAL_READ_SHARED);
+
+router.use(authMiddleware);
+
+/**
+ * Shares of the logged in patient's journal with doctors (read-only).
+ * @route {GET} /shares - List granted shares
+ * @route {POST} /shares - Share `entryIds` or a `from`/`to` date range with `doctorId`
+ * @route {DELETE} /shares/:shareId - Revoke a share
+ */
+router.get('/shares', ownJournal, journalController.listShares);
+router.post(
+  '/shares',
+  ownJournal,
+  validate(journalSchemas.createShare),
+  journalController.createShare
+);
+router.delete(
+  '/shares/:shareId',
+  ownJournal,
+  validate(journalSchemas.deleteShare),
+  journalController.deleteShare
+);
+
+/**
+ * Entries a patient shared with the logged in (verified) doctor.
+ * @route {GET} /shared/:patientId
+ * @route {GET} /shared/:patientId/:entryId
+ */
+router.get(
+  '/shared/:patientId',
+  sharedJournal,
+  validate(journalSchemas.listSharedEntries),
+  journalController.listSharedEntries
+);
+router.get(
+  '/shared/:patientId/:entryId',
+  sharedJournal,
+  validate(journalSchemas.getSharedEntry),
+  journalController.getSharedEntry
+);
+
+/**
+ * Journal entries of the logged in patient.
+ * @route {GET} / - List entries (?from&to&tags&limit&cursor)
+ * @route {POST} / - Create an entry
+ * @route {GET|PUT|DELETE} /:entryId - Read, update or delete an entry
+ */
+router.get(
+  '/',
+  ownJournal,
+  validate(journalSchemas.listEntries),
+  journalController.listEntries
+);
+router.post(
+  '/',
+  ownJournal,
+  validate(journalSchemas.createEntry),
+  journalController.createEntry
+);
+router.get(
+  '/:entryId',
+  ownJournal,
+  validate(journalSchemas.getEntry),
+  journalController.getEntry
+);
+router.put(
+  '/:entryId',
+  ownJournal,
+  validate(journalSchemas.updateEntry),
+  journalController.updateEntry
+);
+router.delete(
+  '/:entryId',
+  ownJournal,
+  validate(journalSchemas.deleteEntry),
+  journalController.deleteEntry
+);
+
+module.exports = router;
@@ -2,25 +2,195 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController.js');
 const authMiddleware = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/authorize.js');
+const validate = require('../middleware/validate.js');
+const uploadFile = require('../middleware/uploadFile.js');
+const rateLimit = require('../middleware/rateLimit.js');
+const deprecated = require('../middleware/deprecated.js');
+const userSchemas = require('../schemas/userSchemas.js');
 const { updateUserAccount } = require('../controllers/updateUserAccount.js');
+const profileController = require('../controllers/profileController.js');
+const accountController = require('../controllers/accountController.js');
+const dataExportController = require('../controllers/dataExportController.js');
+const { PERMISSIONS } = require('../utils/permissions.js');
+const { PHOTO_SETTINGS } = require('../utils/constants.js');
 
-router.post('/create-user', userController.signUp);
-router.get('/get-users', authMiddleware, userController.getUserData);
-router.post('/get-all-users', authMiddleware, userController.getAllUsers); // Retrieve all user data (requires authentication)
+router.post(
+  '/create-user',
+  rateLimit('signup'),
+  validate(userSchemas.signUp),
+  userController.signUp
+);
+router.get(
+  '/get-users',
+  authMiddleware,
+  requirePermission(PERMISSIONS.USERS_READ),
+  validate(userSchemas.getUserData),
+  userController.getUserData
+);
+router.post(
+  '/get-all-users',
+  authMiddleware,
+  requirePermission(PERMISSIONS.USERS_LIST),
+  rateLimit('search'),
+  validate(userSchemas.getAllUsers),
+  userController.getAllUsers
+); // Retrieve all user data (requires authentication)
 
 /**
  * PUT route to update user accounts, accessible only to authorized users.
  * @name updateUserAccount
  * @route {PUT} /update-user-account
  * @middleware authMiddleware - Requires authentication middleware to check user permissions.
+ * @middleware requirePermission - Requires the users:manage permission (admins).
  * @controller updateUserAccount - Calls the updateUserAccount controller to handle the request.
  */
-router.post('/update-user-account', authMiddleware, updateUserAccount); // Retrieve all user data (requires authentication)
+router.post(
+  '/update-user-account',
+  authMiddleware,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(userSchemas.updateUserAccount),
+  updateUserAccount
+);
+
+/**
+ * Account of the logged in user.
+ * GET returns it, PUT updates the display name and DELETE soft deletes it.
+ * Changing the email or password and deleting the account need a sign-in
+ * of the last few minutes, and sign the user out everywhere.
+ * @route {GET|PUT|DELETE} /me
+ * @route {PUT} /me/email - Change the email, which must be verified again
+ * @route {PUT} /me/password - Change the password, checked against PASSWORD_POLICY
+ * @middleware authMiddleware - Requires a logged in user.
+ */
+router.get(
+  '/me',
+  authMiddleware,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE_OWN),
+  validate(userSchemas.getMyAccount),
+  accountController.getMyAccount
+);
+router.put(
+  '/me',
+  authMiddleware,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE_OWN),
+  validate(userSchemas.updateMyAccount),
+  accountController.updateMyAccount
+);
+router.delete(
+  '/me',
+  authMiddleware,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE_OWN),
+  validate(userSchemas.deleteMyAccount),
+  accountController.deleteMyAccount
+);
+router.put(
+  '/me/email',
+  authMiddleware,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE_OWN),
+  validate(userSchemas.changeMyEmail),
+  accountController.changeMyEmail
+);
+router.put(
+  '/me/password',
+  authMiddleware,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE_OWN),
+  validate(userSchemas.changeMyPassword),
+  accountController.changeMyPassword
+);
 
+/**
+ * Personal data exports of the logged in user.
+ * POST builds a ZIP archive of everything held about the user and returns
+ * a short-lived download link to it. GET lists the exports or returns the
+ * status of one, with a download link once it is ready.
+ * @route {GET|POST} /me/exports
+ * @route {GET} /me/exports/:exportId
+ * @middleware authMiddleware - Requires a logged in user.
+ */
+router.post(
+  '/me/exports',
+  authMiddleware,
+  requirePermission(PERMISSIONS.DATA_EXPORT_OWN),
+  rateLimit('dataExport'),
+  validate(userSchemas.requestDataExport),
+  dataExportController.requestDataExport
+);
+router.get(
+  '/me/exports',
+  authMiddleware,
+  requirePermission(PERMISSIONS.DATA_EXPORT_OWN),
+  validate(userSchemas.listMyDataExports),
+  dataExportController.listMyDataExports
+);
+router.get(
+  '/me/exports/:exportId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.DATA_EXPORT_OWN),
+  validate(userSchemas.getMyDataExport),
+  dataExportController.getMyDataExport
+);
+
+/**
+ * Profile photo of the logged in user.
+ * PUT uploads a JPEG, PNG or WebP image as the `photo` field of a multipart
+ * body, DELETE removes it.
+ * @route {PUT|DELETE} /me/photo
+ * @middleware authMiddleware - Requires a logged in user.
+ */
+router.put(
+  '/me/photo',
+  authMiddleware,
+  requirePermission(PERMISSIONS.PHOTO_UPDATE_OWN),
+  uploadFile('photo', { maxBytes: PHOTO_SETTINGS.MAX_BYTES }),
+  validate(userSchemas.uploadPhoto),
+  userController.uploadPhoto
+);
+router.delete(
+  '/me/photo',
+  authMiddleware,
+  requirePermission(PERMISSIONS.PHOTO_UPDATE_OWN),
+  validate(userSchemas.deletePhoto),
+  userController.deletePhoto
+);
+
+/**
+ * Deprecated, use PUT /me/photo. Kept for existing clients: it takes the
+ * same multipart upload, while the external `photoURL` it used to accept
+ * is refused with PHOTO_URL_UNSUPPORTED.
+ * @route {POST} /update-photo-url
+ * @middleware authMiddleware - Requires a logged in user.
+ */
 router.post(
   '/update-photo-url',
+  deprecated('/me/photo'),
   authMiddleware,
+  requirePermission(PERMISSIONS.PHOTO_UPDATE_OWN),
+  uploadFile('photo', { maxBytes: PHOTO_SETTINGS.MAX_BYTES }),
+  validate(userSchemas.updateProfilePicture),
   userController.updateProfilePicture
-); // Retrieve all user data (requires authentication)
+);
+
+/**
+ * Profile of the logged in doctor or patient.
+ * GET returns the profile with its missing required fields,
+ * PUT validates and merges fields and recomputes `isProfileComplete`.
+ * @route {GET|PUT} /me/profile
+ * @middleware authMiddleware - Requires a logged in doctor or patient.
+ */
+router.get(
+  '/me/profile',
+  authMiddleware,
+  requirePermission(PERMISSIONS.PROFILE_MANAGE_OWN),
+  validate(userSchemas.getMyProfile),
+  profileController.getMyProfile
+);
+router.put(
+  '/me/profile',
+  authMiddleware,
+  requirePermission(PERMISSIONS.PROFILE_MANAGE_OWN),
+  validate(userSchemas.updateMyProfile),
+  profileController.updateMyProfile
+);
 
 module.exports = router;
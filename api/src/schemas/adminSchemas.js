@@ -0,0 +1,26 @@
+const { ADMIN_TIERS } = require('../utils/constants');
+const { isId, isOneOf } = require('../utils/validators');
+
+const adminParams = {
+  uid: { required: true, validate: isId },
+};
+
+/**
+ * Request schemas of the admin routes.
+ */
+const grantAdminRole = {
+  params: adminParams,
+  body: {
+    adminRole: {
+      required: true,
+      validate: isOneOf(Object.values(ADMIN_TIERS)),
+    },
+  },
+};
+
+const revokeAdminRole = { params: adminParams };
+
+module.exports = {
+  grantAdminRole,
+  revokeAdminRole,
+};
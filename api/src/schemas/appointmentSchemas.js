@@ -0,0 +1,164 @@
+const {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_SETTINGS,
+} = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isInteger,
+  isTime,
+  isDate,
+  isDateTime,
+  isTimeZone,
+  isId,
+  toInteger,
+} = require('../utils/validators');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WINDOW_FIELDS = {
+  start: { required: true, validate: isTime },
+  end: { required: true, validate: isTime },
+};
+
+/**
+ * Checks that every availability window starts before it ends.
+ * HH:MM strings compare correctly as text.
+ * @param {Object} availability - Validated availability body
+ * @returns {Array<{location: string, field: string, message: string}>} Errors
+ */
+const checkWindows = ({ weekly, exceptions }) =>
+  [
+    ...weekly
+      .map((window, index) => ({ window, field: `weekly[${index}]` }))
+      .filter(({ window }) => window.start >= window.end),
+    ...exceptions.flatMap((exception, index) =>
+      exception.windows
+        .map((window, windowIndex) => ({
+          window,
+          field: `exceptions[${index}].windows[${windowIndex}]`,
+        }))
+        .filter(({ window }) => window.start >= window.end)
+    ),
+  ].map(({ field }) => ({
+    location: 'body',
+    field,
+    message: 'start must be before end',
+  }));
+
+const doctorParams = { doctorId: { required: true, validate: isId } };
+const appointmentParams = { id: { required: true, validate: isId } };
+
+/**
+ * Request schemas of the appointment routes.
+ */
+const setAvailability = {
+  body: {
+    timeZone: { required: true, validate: isTimeZone },
+    slotMinutes: {
+      default: APPOINTMENT_SETTINGS.DEFAULT_SLOT_MINUTES,
+      validate: isInteger(10, 240),
+    },
+    weekly: {
+      required: true,
+      maxItems: 50,
+      items: {
+        fields: {
+          day: { required: true, validate: isInteger(0, 6) },
+          ...WINDOW_FIELDS,
+        },
+      },
+    },
+    exceptions: {
+      default: () => [],
+      maxItems: 365,
+      items: {
+        fields: {
+          date: { required: true, validate: isDate() },
+          // An empty list marks a day off
+          windows: {
+            required: true,
+            maxItems: 20,
+            items: { fields: WINDOW_FIELDS },
+          },
+        },
+      },
+    },
+  },
+  refine: (req) => checkWindows(req.body),
+};
+
+const getAvailability = { params: doctorParams };
+
+const getAvailableSlots = {
+  params: doctorParams,
+  query: {
+    from: { required: true, validate: isDate() },
+    to: { required: true, validate: isDate() },
+  },
+  refine: ({ query: { from, to } }) => {
+    const days = (new Date(to) - new Date(from)) / DAY_MS + 1;
+
+    if (days < 1) {
+      return [
+        { location: 'query', field: 'from', message: 'must not be after to' },
+      ];
+    }
+    if (days > APPOINTMENT_SETTINGS.MAX_SLOT_RANGE_DAYS) {
+      return [
+        {
+          location: 'query',
+          field: 'to',
+          message: `range cannot exceed ${APPOINTMENT_SETTINGS.MAX_SLOT_RANGE_DAYS} days`,
+        },
+      ];
+    }
+    return [];
+  },
+};
+
+const listAppointments = {
+  query: {
+    scope: { default: 'upcoming', validate: isOneOf(['upcoming', 'past']) },
+    status: { validate: isOneOf(Object.values(APPOINTMENT_STATUS)) },
+    limit: {
+      coerce: toInteger,
+      default: APPOINTMENT_SETTINGS.DEFAULT_PAGE_SIZE,
+      validate: isInteger(1, APPOINTMENT_SETTINGS.MAX_PAGE_SIZE),
+    },
+    // Id of the last appointment of the previous page
+    cursor: { validate: isId },
+  },
+};
+
+const bookAppointment = {
+  body: {
+    doctorId: { required: true, validate: isId },
+    startTime: { required: true, validate: isDateTime },
+    reason: { default: '', validate: isString(500) },
+  },
+};
+
+const rescheduleAppointment = {
+  params: appointmentParams,
+  body: {
+    startTime: { required: true, validate: isDateTime },
+  },
+};
+
+const cancelAppointment = {
+  params: appointmentParams,
+  body: {
+    reason: { default: '', validate: isString(500) },
+  },
+};
+
+module.exports = {
+  setAvailability,
+  getAvailability,
+  getAvailableSlots,
+  listAppointments,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+};
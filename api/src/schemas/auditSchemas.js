@@ -0,0 +1,53 @@
+const { AUDIT_OUTCOMES, AUDIT_SETTINGS } = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isInteger,
+  isDateTime,
+  isId,
+  toInteger,
+} = require('../utils/validators');
+
+const FILTERS = {
+  actorId: { validate: isId },
+  targetId: { validate: isId },
+  action: { validate: isString(50, 1) },
+  outcome: { validate: isOneOf(Object.values(AUDIT_OUTCOMES)) },
+  from: { validate: isDateTime },
+  to: { validate: isDateTime },
+};
+
+const checkDateRange = ({ query }) =>
+  query.from && query.to && new Date(query.from) > new Date(query.to)
+    ? [{ location: 'query', field: 'from', message: 'must not be after to' }]
+    : [];
+
+/**
+ * Request schemas of the audit log routes.
+ */
+const listRecords = {
+  query: {
+    ...FILTERS,
+    limit: {
+      coerce: toInteger,
+      default: AUDIT_SETTINGS.DEFAULT_PAGE_SIZE,
+      validate: isInteger(1, AUDIT_SETTINGS.MAX_PAGE_SIZE),
+    },
+    // Id of the last record of the previous page
+    cursor: { validate: isId },
+  },
+  refine: checkDateRange,
+};
+
+const exportRecords = {
+  query: {
+    ...FILTERS,
+    format: { default: 'csv', validate: isOneOf(['csv', 'json']) },
+  },
+  refine: checkDateRange,
+};
+
+module.exports = {
+  listRecords,
+  exportRecords,
+};
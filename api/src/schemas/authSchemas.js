@@ -0,0 +1,14 @@
+const { isString } = require('../utils/validators');
+
+/**
+ * Request schemas of the auth routes.
+ */
+const sessionLogin = {
+  body: {
+    idToken: { required: true, validate: isString(4096, 1) },
+  },
+};
+
+module.exports = {
+  sessionLogin,
+};
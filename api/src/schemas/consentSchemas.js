@@ -0,0 +1,28 @@
+const { CONSENT_SCOPES } = require('../utils/constants');
+const { isOneOf, isFutureDateTime, isId } = require('../utils/validators');
+
+/**
+ * Request schemas of the consent routes.
+ */
+const createGrant = {
+  body: {
+    doctorId: { required: true, validate: isId },
+    scopes: {
+      required: true,
+      minItems: 1,
+      maxItems: Object.values(CONSENT_SCOPES).length,
+      items: { validate: isOneOf(Object.values(CONSENT_SCOPES)) },
+    },
+    // No expiry when left out or null
+    expiresAt: { nullable: true, validate: isFutureDateTime },
+  },
+};
+
+const revokeGrant = {
+  params: { grantId: { required: true, validate: isId } },
+};
+
+module.exports = {
+  createGrant,
+  revokeGrant,
+};
@@ -0,0 +1,76 @@
+const {
+  CREDENTIAL_STATUS,
+  CREDENTIAL_SETTINGS,
+} = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isInteger,
+  isFutureDateTime,
+  isId,
+  toInteger,
+} = require('../utils/validators');
+
+// Decisions an admin can take on a submission
+const DECISIONS = ['approve', 'reject', 'request_info'];
+
+const submissionParams = {
+  submissionId: { required: true, validate: isId },
+};
+
+const SUBMISSION_FIELDS = {
+  licenseNumber: { required: true, validate: isString(50, 1) },
+  issuingAuthority: { required: true, validate: isString(200, 1) },
+  expiresAt: { required: true, validate: isFutureDateTime },
+};
+
+/**
+ * Request schemas of the credential routes. Submissions are multipart
+ * bodies with their supporting documents as files, so their fields arrive
+ * as strings.
+ */
+const submitCredentials = { body: SUBMISSION_FIELDS };
+
+const resubmitCredentials = {
+  params: submissionParams,
+  body: SUBMISSION_FIELDS,
+};
+
+const getSubmission = { params: submissionParams };
+
+const listSubmissions = {
+  query: {
+    status: {
+      default: CREDENTIAL_STATUS.PENDING,
+      validate: isOneOf(Object.values(CREDENTIAL_STATUS)),
+    },
+    limit: {
+      coerce: toInteger,
+      default: CREDENTIAL_SETTINGS.DEFAULT_PAGE_SIZE,
+      validate: isInteger(1, CREDENTIAL_SETTINGS.MAX_PAGE_SIZE),
+    },
+    // Id of the last submission of the previous page
+    cursor: { validate: isId },
+  },
+};
+
+const decideSubmission = {
+  params: submissionParams,
+  body: {
+    decision: { required: true, validate: isOneOf(DECISIONS) },
+    // Shown to the doctor, required unless approving
+    reason: { validate: isString(1000, 1) },
+  },
+  refine: ({ body }) =>
+    body.decision !== 'approve' && !body.reason
+      ? [{ location: 'body', field: 'reason', message: 'is required' }]
+      : [],
+};
+
+module.exports = {
+  submitCredentials,
+  resubmitCredentials,
+  getSubmission,
+  listSubmissions,
+  decideSubmission,
+};
@@ -0,0 +1,92 @@
+const { DOCUMENT_TYPES, DOCUMENT_SETTINGS } = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isInteger,
+  isDate,
+  isId,
+  toInteger,
+} = require('../utils/validators');
+
+const documentParams = { documentId: { required: true, validate: isId } };
+
+const sharedDocumentParams = {
+  patientId: { required: true, validate: isId },
+  documentId: { required: true, validate: isId },
+};
+
+/**
+ * Request schemas of the document routes. Uploads are multipart bodies, so
+ * their metadata fields arrive as strings.
+ */
+const uploadDocument = {
+  body: {
+    type: { required: true, validate: isOneOf(DOCUMENT_TYPES) },
+    // Date of the report, prescription or imaging, not of the upload
+    date: { required: true, validate: isDate({ allowFuture: false }) },
+    description: { default: '', validate: isString(1000) },
+    // Journal entry of the patient the document belongs to
+    journalEntryId: { validate: isId },
+  },
+};
+
+const listDocuments = {
+  query: {
+    type: { validate: isOneOf(DOCUMENT_TYPES) },
+    journalEntryId: { validate: isId },
+    limit: {
+      coerce: toInteger,
+      default: DOCUMENT_SETTINGS.DEFAULT_PAGE_SIZE,
+      validate: isInteger(1, DOCUMENT_SETTINGS.MAX_PAGE_SIZE),
+    },
+    cursor: { validate: isId },
+  },
+};
+
+const getDocument = { params: documentParams };
+
+const deleteDocument = { params: documentParams };
+
+const shareDocument = {
+  params: documentParams,
+  body: { doctorId: { required: true, validate: isId } },
+};
+
+const unshareDocument = {
+  params: { ...documentParams, doctorId: { required: true, validate: isId } },
+};
+
+const listSharedDocuments = {
+  params: { patientId: { required: true, validate: isId } },
+};
+
+const getSharedDocument = { params: sharedDocumentParams };
+
+const getQuota = {
+  params: { patientId: { required: true, validate: isId } },
+};
+
+const setQuota = {
+  params: { patientId: { required: true, validate: isId } },
+  body: {
+    // Null restores the default quota
+    quotaBytes: {
+      required: true,
+      nullable: true,
+      validate: isInteger(0, DOCUMENT_SETTINGS.MAX_QUOTA_BYTES),
+    },
+  },
+};
+
+module.exports = {
+  uploadDocument,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  shareDocument,
+  unshareDocument,
+  listSharedDocuments,
+  getSharedDocument,
+  getQuota,
+  setQuota,
+};
@@ -0,0 +1,30 @@
+const { FHIR_SETTINGS } = require('../utils/constants');
+const { isId, toList } = require('../utils/validators');
+
+/**
+ * Request schemas of the FHIR routes. Imported resources are checked
+ * against the FHIR structure definitions by the controller.
+ */
+const readResource = {
+  params: {
+    id: { required: true, validate: isId },
+  },
+};
+
+const searchResources = {
+  query: {
+    // A comma separated list, as FHIR token searches take several values
+    _id: {
+      required: true,
+      coerce: toList,
+      minItems: 1,
+      maxItems: FHIR_SETTINGS.MAX_SEARCH_IDS,
+      items: { validate: isId },
+    },
+  },
+};
+
+module.exports = {
+  readResource,
+  searchResources,
+};
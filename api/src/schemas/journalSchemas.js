@@ -0,0 +1,164 @@
+const { JOURNAL_SETTINGS } = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isInteger,
+  isTime,
+  isDate,
+  isId,
+  toInteger,
+  toList,
+  partial,
+} = require('../utils/validators');
+
+const MOODS = ['very-bad', 'bad', 'neutral', 'good', 'very-good'];
+
+const isTag = (value) =>
+  typeof value === 'string' && /^[a-z0-9][a-z0-9-]{0,29}$/.test(value)
+    ? null
+    : 'must be lowercase letters, digits or dashes (max 30)';
+
+/**
+ * Checks that a `from` date is not after a `to` date.
+ * @param {Object} values - Object holding `from` and `to`
+ * @param {string} location - Request location of the values
+ * @returns {Array<{location: string, field: string, message: string}>} Errors
+ */
+const checkDateRange = ({ from, to }, location) =>
+  from && to && from > to
+    ? [{ location, field: 'from', message: 'must not be after to' }]
+    : [];
+
+/**
+ * Schema of a journal entry stored under `patients/{uid}/journal`.
+ * @constant
+ * @type {Object<string, Object>}
+ */
+const JOURNAL_ENTRY_SCHEMA = {
+  date: { required: true, validate: isDate({ allowFuture: false }) },
+  mood: { required: false, validate: isOneOf(MOODS) },
+  symptoms: {
+    default: () => [],
+    maxItems: 30,
+    items: {
+      fields: {
+        name: { required: true, validate: isString(100, 1) },
+        severity: { required: true, validate: isInteger(1, 10) },
+        notes: { required: false, validate: isString(500) },
+      },
+    },
+  },
+  medications: {
+    default: () => [],
+    maxItems: 30,
+    items: {
+      fields: {
+        name: { required: true, validate: isString(100, 1) },
+        dose: { required: false, validate: isString(50) },
+        takenAt: { required: false, validate: isTime },
+      },
+    },
+  },
+  notes: { default: '', validate: isString(5000) },
+  tags: { default: () => [], maxItems: 20, items: { validate: isTag } },
+};
+
+const entryParams = { entryId: { required: true, validate: isId } };
+
+/**
+ * Request schemas of the journal routes.
+ */
+const listEntries = {
+  query: {
+    from: { validate: isDate() },
+    to: { validate: isDate() },
+    tags: {
+      coerce: toList,
+      maxItems: JOURNAL_SETTINGS.MAX_TAG_FILTERS,
+      items: { validate: isTag },
+    },
+    limit: {
+      coerce: toInteger,
+      default: JOURNAL_SETTINGS.DEFAULT_PAGE_SIZE,
+      validate: isInteger(1, JOURNAL_SETTINGS.MAX_PAGE_SIZE),
+    },
+    cursor: { validate: isId },
+  },
+  refine: (req) => checkDateRange(req.query, 'query'),
+};
+
+const createEntry = { body: JOURNAL_ENTRY_SCHEMA };
+
+const getEntry = { params: entryParams };
+
+const updateEntry = {
+  params: entryParams,
+  body: partial(JOURNAL_ENTRY_SCHEMA),
+};
+
+const deleteEntry = { params: entryParams };
+
+const createShare = {
+  body: {
+    doctorId: { required: true, validate: isId },
+    entryIds: {
+      minItems: 1,
+      maxItems: 100,
+      items: { validate: isId },
+    },
+    from: { validate: isDate() },
+    to: { validate: isDate() },
+  },
+  refine: ({ body }) => {
+    const hasRange = body.from !== undefined || body.to !== undefined;
+
+    if (body.entryIds && hasRange) {
+      return [
+        {
+          location: 'body',
+          field: 'entryIds',
+          message: 'cannot be combined with from/to',
+        },
+      ];
+    }
+    if (!body.entryIds && !(body.from && body.to)) {
+      return [
+        {
+          location: 'body',
+          field: 'entryIds',
+          message: 'or from and to are required',
+        },
+      ];
+    }
+    return checkDateRange(body, 'body');
+  },
+};
+
+const deleteShare = {
+  params: { shareId: { required: true, validate: isId } },
+};
+
+const listSharedEntries = {
+  params: { patientId: { required: true, validate: isId } },
+};
+
+const getSharedEntry = {
+  params: {
+    patientId: { required: true, validate: isId },
+    entryId: { required: true, validate: isId },
+  },
+};
+
+module.exports = {
+  MOODS,
+  JOURNAL_ENTRY_SCHEMA,
+  listEntries,
+  createEntry,
+  getEntry,
+  updateEntry,
+  deleteEntry,
+  createShare,
+  deleteShare,
+  listSharedEntries,
+  getSharedEntry,
+};
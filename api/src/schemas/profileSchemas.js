@@ -0,0 +1,115 @@
+const { DOCTOR_ROLE, PATIENT_ROLE } = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isPhoneNumber,
+  isDate,
+  isBoolean,
+  partial,
+} = require('../utils/validators');
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const GENDERS = ['female', 'male', 'non-binary', 'other', 'prefer-not-to-say'];
+
+const isDateOfBirth = isDate({ allowFuture: false });
+
+const isLicenseNumber = (value) =>
+  typeof value === 'string' && /^[A-Za-z0-9\-/]{4,30}$/.test(value.trim())
+    ? null
+    : 'must be 4-30 letters, digits, dashes or slashes';
+
+const ADDRESS_FIELDS = {
+  line1: { required: true, validate: isString(200) },
+  line2: { required: false, validate: isString(200) },
+  city: { required: true, validate: isString(100) },
+  state: { required: false, validate: isString(100) },
+  postalCode: { required: true, validate: isString(20) },
+  country: { required: true, validate: isString(100) },
+};
+
+const EMERGENCY_CONTACT_FIELDS = {
+  name: { required: true, validate: isString(100) },
+  relationship: { required: true, validate: isString(50) },
+  phoneNumber: { required: true, validate: isPhoneNumber },
+};
+
+/**
+ * Profile schemas for each role collection.
+ * `required` fields decide whether the profile counts as complete.
+ * @constant
+ * @type {Object<string, Object>}
+ */
+const PROFILE_SCHEMAS = {
+  [DOCTOR_ROLE]: {
+    specialty: { required: true, validate: isString(100) },
+    licenseNumber: { required: true, validate: isLicenseNumber },
+    clinicAddress: { required: true, fields: ADDRESS_FIELDS },
+    phoneNumber: { required: true, validate: isPhoneNumber },
+    dateOfBirth: { required: false, validate: isDateOfBirth },
+    gender: { required: false, validate: isOneOf(GENDERS) },
+    bio: { required: false, validate: isString(2000) },
+    languages: {
+      required: false,
+      items: { validate: isString(50, 1) },
+      maxItems: 20,
+    },
+    acceptingNewPatients: { required: false, validate: isBoolean },
+  },
+  [PATIENT_ROLE]: {
+    dateOfBirth: { required: true, validate: isDateOfBirth },
+    bloodType: { required: true, validate: isOneOf(BLOOD_TYPES) },
+    emergencyContact: { required: true, fields: EMERGENCY_CONTACT_FIELDS },
+    allergies: {
+      required: false,
+      items: { validate: isString(100, 1) },
+      maxItems: 50,
+    },
+    phoneNumber: { required: false, validate: isPhoneNumber },
+    gender: { required: false, validate: isOneOf(GENDERS) },
+  },
+};
+
+/**
+ * Request body schemas of profile updates. Every field is optional and the
+ * optional ones can be cleared by sending null.
+ * @constant
+ * @type {Object<string, Object>}
+ */
+const PROFILE_UPDATE_SCHEMAS = Object.fromEntries(
+  Object.entries(PROFILE_SCHEMAS).map(([role, fields]) => [
+    role,
+    partial(fields, { nullable: true }),
+  ])
+);
+
+const isFilled = (definition, value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  if (definition.fields) {
+    return Object.entries(definition.fields)
+      .filter(([, nested]) => nested.required)
+      .every(([key, nested]) => isFilled(nested, value[key]));
+  }
+  return true;
+};
+
+/**
+ * Lists the required fields that are still missing from a profile.
+ * @param {string} role - Role collection of the user
+ * @param {Object} profile - Stored profile data
+ * @returns {Array<string>} Names of the missing required fields
+ */
+const getMissingProfileFields = (role, profile = {}) =>
+  Object.entries(PROFILE_SCHEMAS[role] || {})
+    .filter(([, definition]) => definition.required)
+    .filter(([field, definition]) => !isFilled(definition, profile[field]))
+    .map(([field]) => field);
+
+module.exports = {
+  BLOOD_TYPES,
+  GENDERS,
+  PROFILE_SCHEMAS,
+  PROFILE_UPDATE_SCHEMAS,
+  getMissingProfileFields,
+};
@@ -0,0 +1,252 @@
+const {
+  VALID_ROLES,
+  USER_ACCOUNT_ACTIONS,
+  BULK_ACTION_SETTINGS,
+  PASSWORD_POLICY,
+} = require('../utils/constants');
+const {
+  isString,
+  isOneOf,
+  isInteger,
+  isEmail,
+  isId,
+  isBoolean,
+  toInteger,
+  toBoolean,
+  toList,
+} = require('../utils/validators');
+const { PROFILE_UPDATE_SCHEMAS } = require('./profileSchemas');
+const {
+  DIRECTORY_FILTERS,
+  FILTERS_BY_DIRECTORY,
+  PAGE_SIZE,
+  SORT_FIELDS,
+  getDirectory,
+} = require('../utils/directory');
+const {
+  MAX_QUERY_DISJUNCTIONS,
+  countDisjunctions,
+} = require('../utils/directoryFilters');
+
+const isSearch = (value) => {
+  const terms = Array.isArray(value) ? value : [value];
+  const valid =
+    terms.length <= 10 &&
+    terms.every((term) => typeof term === 'string' && term.length <= 100);
+  return valid
+    ? null
+    : 'must be a string or up to 10 strings of 100 characters';
+};
+
+/**
+ * Checks a password against PASSWORD_POLICY. The email of the account,
+ * when given, cannot be part of the password.
+ * @param {Object} [options]
+ * @param {string} [options.email] - Email of the account
+ * @returns {Function} Validator for the password
+ */
+const isStrongPassword =
+  ({ email } = {}) =>
+  (value) => {
+    const { MIN_LENGTH, MAX_LENGTH, MIN_CHARACTER_CLASSES } = PASSWORD_POLICY;
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length < MIN_LENGTH || value.length > MAX_LENGTH) {
+      return `must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters`;
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/].filter((pattern) =>
+      pattern.test(value)
+    ).length;
+    if (classes < MIN_CHARACTER_CLASSES) {
+      return `must mix at least ${MIN_CHARACTER_CLASSES} of lowercase letters, uppercase letters, digits and symbols`;
+    }
+
+    const localPart = String(email ?? '')
+      .split('@')[0]
+      .toLowerCase();
+    if (localPart.length >= 3 && value.toLowerCase().includes(localPart)) {
+      return 'cannot contain the email address';
+    }
+    return null;
+  };
+
+/**
+ * Request schemas of the user routes.
+ */
+const signUp = {
+  body: (req) => ({
+    email: { required: true, validate: isEmail },
+    password: {
+      required: true,
+      validate: isStrongPassword({ email: req.body?.email }),
+    },
+    firstName: { required: true, validate: isString(50, 1) },
+    lastName: { required: true, validate: isString(50, 1) },
+    role: { required: true, validate: isOneOf(VALID_ROLES) },
+  }),
+};
+
+const getUserData = {
+  query: {
+    // auth.getUsers accepts at most 100 identifiers
+    ids: {
+      required: true,
+      coerce: toList,
+      minItems: 1,
+      maxItems: 100,
+      items: { validate: isId },
+    },
+  },
+};
+
+const FILTER_FIELDS = {
+  string: {
+    // A single value is accepted for a one-item list
+    coerce: (value) => (typeof value === 'string' ? [value] : value),
+    minItems: 1,
+    maxItems: 20,
+    items: { validate: isString(100, 1) },
+  },
+  boolean: { coerce: toBoolean, validate: isBoolean },
+};
+
+const getAllUsers = {
+  body: (req) => ({
+    search: { validate: isSearch },
+    // Signed cursor from nextCursor/prevCursor of a previous page
+    cursor: { validate: isString(8192, 1) },
+    limit: {
+      coerce: toInteger,
+      default: PAGE_SIZE,
+      validate: isInteger(1, 50),
+    },
+    // Filters depend on the directory the requester browses
+    filters: {
+      default: () => ({}),
+      fields: Object.fromEntries(
+        FILTERS_BY_DIRECTORY[getDirectory(req.user)].map((key) => [
+          key,
+          FILTER_FIELDS[DIRECTORY_FILTERS[key].type],
+        ])
+      ),
+    },
+    sort: {
+      default: () => ({}),
+      fields: {
+        by: { validate: isOneOf(['relevance', ...Object.keys(SORT_FIELDS)]) },
+        order: { validate: isOneOf(['asc', 'desc']) },
+      },
+    },
+  }),
+  refine: ({ body }) => [
+    ...(body.sort.by === 'relevance' && !body.search?.length
+      ? [
+          {
+            location: 'body',
+            field: 'sort.by',
+            message: 'relevance requires a search',
+          },
+        ]
+      : []),
+    // Each combination of string filter values is a query disjunction
+    ...(countDisjunctions(body.filters) > MAX_QUERY_DISJUNCTIONS
+      ? [
+          {
+            location: 'body',
+            field: 'filters',
+            message: `cannot combine more than ${MAX_QUERY_DISJUNCTIONS} string filter values`,
+          },
+        ]
+      : []),
+  ],
+};
+
+const updateUserAccount = {
+  body: {
+    ids: {
+      required: true,
+      minItems: 1,
+      maxItems: BULK_ACTION_SETTINGS.MAX_IDS,
+      items: { validate: isId },
+    },
+    action: { required: true, validate: isOneOf(USER_ACCOUNT_ACTIONS) },
+    // Report what would change without writing anything
+    dryRun: { default: false, validate: isBoolean },
+  },
+};
+
+const updateMyProfile = {
+  body: (req) => PROFILE_UPDATE_SCHEMAS[req.user.role],
+};
+
+const updateMyAccount = {
+  body: {
+    displayName: { required: true, validate: isString(100, 1) },
+  },
+};
+
+const changeMyEmail = {
+  body: {
+    email: { required: true, validate: isEmail },
+  },
+};
+
+const changeMyPassword = {
+  body: (req) => ({
+    password: {
+      required: true,
+      validate: isStrongPassword({ email: req.user.email }),
+    },
+  }),
+};
+
+// Routes that take no input reject any query or body field
+const NO_INPUT = { query: false, body: false };
+
+const getMyAccount = NO_INPUT;
+
+const deleteMyAccount = NO_INPUT;
+
+const getMyProfile = NO_INPUT;
+
+const requestDataExport = NO_INPUT;
+
+const listMyDataExports = NO_INPUT;
+
+const getMyDataExport = {
+  params: {
+    exportId: { required: true, validate: isId },
+  },
+  query: false,
+};
+
+// The photo is the `photo` file of a multipart body, without other fields
+const uploadPhoto = NO_INPUT;
+
+const deletePhoto = NO_INPUT;
+
+// Deprecated route, its controller explains that `photoURL` is gone
+const updateProfilePicture = {
+  query: false,
+  body: { photoURL: {} },
+};
+
+module.exports = {
+  signUp,
+  getUserData,
+  getAllUsers,
+  updateUserAccount,
+  updateMyProfile,
+  updateMyAccount,
+  changeMyEmail,
+  changeMyPassword,
+  getMyAccount,
+  deleteMyAccount,
+  getMyProfile,
+  requestDataExport,
+  listMyDataExports,
+  getMyDataExport,
+  uploadPhoto,
+  deletePhoto,
+  updateProfilePicture,
+};
@@ -0,0 +1,315 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  DELETED_ACCOUNTS_COLLECTION,
+  ACCOUNT_DELETION_SETTINGS,
+  BULK_ACTION_SETTINGS,
+  APPOINTMENT_COLLECTIONS,
+  JOURNAL_COLLECTIONS,
+  CONSENTS_COLLECTION,
+  CREDENTIALS_COLLECTION,
+  DATA_EXPORTS_COLLECTION,
+  STORAGE_QUOTAS_COLLECTION,
+} = require('./constants');
+const { syncSearchIndex, removeFromSearchIndex } = require('./searchIndex');
+const { invalidateDirectories } = require('./directory');
+const {
+  SYSTEM_ACTOR,
+  getAccountStates,
+  recordAuditEvent,
+} = require('./auditLog');
+const { chunk, mapSettled, getFailures } = require('./batching');
+const { revokeSessions, forgetAccountStatus } = require('./sessions');
+
+/**
+ * Soft deletion of user accounts. A deleted account is disabled, its profile
+ * documents are marked with `deletedAt` and hidden from every listing, and a
+ * `deletedAccounts/{uid}` record keeps what a restore needs until the
+ * account is purged, by an admin or once the retention period has passed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values of an `in` filter, the Firestore limit
+const MAX_IN_VALUES = 30;
+
+const deletedAccountsRef = () =>
+  backend.firestore.collection(DELETED_ACCOUNTS_COLLECTION);
+
+/**
+ * Reads the deletion records of the given users.
+ * @param {Array<string>} uids - User IDs
+ * @returns {Promise<Map<string, Object>>} Records of the soft deleted ones, by uid
+ */
+const getDeletedAccounts = async (uids) => {
+  if (!uids.length) return new Map();
+
+  const snapshots = await backend.firestore.getAll(
+    ...uids.map((uid) => deletedAccountsRef().doc(uid))
+  );
+  return new Map(
+    snapshots
+      .filter((snapshot) => snapshot.exists)
+      .map((snapshot) => [snapshot.id, snapshot.data()])
+  );
+};
+
+/**
+ * Soft deletes accounts. Accounts already deleted keep their original
+ * deletion record, so deleting again does not extend the retention, but
+ * are disabled and marked again in case an earlier attempt stopped midway.
+ * Deleted accounts are signed out.
+ * @param {Array<Object>} targets - `{ uid, state, deletion }` of existing
+ * accounts, `state` from getAccountStates and `deletion` from getDeletedAccounts
+ * @param {Object} [options]
+ * @param {string} [options.deletedBy] - Uid of the admin deleting them
+ * @returns {Promise<Map<string, Error>>} Errors of the accounts that failed, by uid
+ */
+const softDeleteAccounts = async (targets, { deletedBy = null } = {}) => {
+  const now = Timestamp.now();
+  const purgeAfter = Timestamp.fromMillis(
+    now.toMillis() + ACCOUNT_DELETION_SETTINGS.RETENTION_DAYS * DAY_MS
+  );
+
+  const settled = await mapSettled(
+    targets,
+    BULK_ACTION_SETTINGS.CONCURRENCY,
+    async ({ uid, state, deletion }) => {
+      // Stored first, so a failure below still leaves a restorable account
+      if (!deletion) {
+        await deletedAccountsRef()
+          .doc(uid)
+          .set({
+            uid,
+            role: state.claims?.role ?? null,
+            wasDisabled: Boolean(state.disabled),
+            deletedBy,
+            deletedAt: now,
+            purgeAfter,
+          });
+      }
+      await backend.users.updateUser(uid, { disabled: true });
+      await revokeSessions([uid]);
+      await backend.profiles.setDeleted([uid], deletion?.deletedAt ?? now);
+    }
+  );
+
+  const failures = getFailures(targets, settled);
+  const deleted = targets.filter(({ uid }) => !failures.has(uid));
+
+  await syncSearchIndex(deleted.map(({ uid }) => uid));
+  await invalidateDirectories(deleted.map(({ state }) => state.claims?.role));
+
+  return failures;
+};
+
+/**
+ * Restores soft deleted accounts, enabling those that were enabled when
+ * they were deleted.
+ * @param {Array<Object>} targets - `{ uid, state, deletion }` of soft deleted accounts
+ * @returns {Promise<Map<string, Error>>} Errors of the accounts that failed, by uid
+ */
+const restoreAccounts = async (targets) => {
+  const settled = await mapSettled(
+    targets,
+    BULK_ACTION_SETTINGS.CONCURRENCY,
+    async ({ uid, deletion }) => {
+      if (!deletion.wasDisabled) {
+        await backend.users.updateUser(uid, { disabled: false });
+        await forgetAccountStatus([uid]);
+      }
+      await backend.profiles.setDeleted([uid], null);
+      // Removed last, a failed restore can be retried
+      await deletedAccountsRef().doc(uid).delete();
+    }
+  );
+
+  const failures = getFailures(targets, settled);
+  const restored = targets.filter(({ uid }) => !failures.has(uid));
+
+  await syncSearchIndex(restored.map(({ uid }) => uid));
+  await invalidateDirectories(restored.map(({ deletion }) => deletion.role));
+
+  return failures;
+};
+
+/**
+ * Deletes the records of a user kept outside of their profiles: their
+ * appointments with the slot locks of these, consents and journal shares on
+ * either side, credential submissions, data exports, availability and
+ * storage quota. The audit log is kept, it is the trail of what admins did,
+ * purges included.
+ * @param {string} uid - User ID
+ */
+const deleteLinkedRecords = async (uid) => {
+  const { firestore } = backend;
+  const appointmentsRef = firestore.collection(
+    APPOINTMENT_COLLECTIONS.APPOINTMENTS
+  );
+  const consentsRef = firestore.collection(CONSENTS_COLLECTION);
+
+  const [patientAppointments, doctorAppointments, ...snapshots] =
+    await Promise.all([
+      appointmentsRef.where('patientId', '==', uid).get(),
+      appointmentsRef.where('doctorId', '==', uid).get(),
+      consentsRef.where('patientId', '==', uid).get(),
+      consentsRef.where('doctorId', '==', uid).get(),
+      // Shares of their own journal go with their patient profile
+      firestore
+        .collectionGroup(JOURNAL_COLLECTIONS.SHARES)
+        .where('doctorId', '==', uid)
+        .get(),
+      firestore
+        .collection(CREDENTIALS_COLLECTION)
+        .where('doctorId', '==', uid)
+        .get(),
+      firestore
+        .collection(DATA_EXPORTS_COLLECTION)
+        .where('uid', '==', uid)
+        .get(),
+    ]);
+
+  const appointmentIds = [
+    ...patientAppointments.docs,
+    ...doctorAppointments.docs,
+  ].map((doc) => doc.id);
+  const slotLocks = await Promise.all(
+    chunk(appointmentIds, MAX_IN_VALUES).map((ids) =>
+      firestore
+        .collection(APPOINTMENT_COLLECTIONS.SLOT_LOCKS)
+        .where('appointmentId', 'in', ids)
+        .get()
+    )
+  );
+
+  // By path, a user booking themselves is in both appointment queries
+  const refs = new Map(
+    [patientAppointments, doctorAppointments, ...snapshots, ...slotLocks]
+      .flatMap((snapshot) => snapshot.docs.map((doc) => doc.ref))
+      .concat([
+        firestore.collection(APPOINTMENT_COLLECTIONS.AVAILABILITY).doc(uid),
+        firestore.collection(STORAGE_QUOTAS_COLLECTION).doc(uid),
+      ])
+      .map((ref) => [ref.path, ref])
+  );
+
+  for (const group of chunk([...refs.values()], 500)) {
+    const batch = firestore.batch();
+    group.forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+};
+
+/**
+ * Permanently deletes accounts from Firebase Authentication, every profile
+ * collection with its subcollections, the records linked to them (see
+ * deleteLinkedRecords), the search index and their stored files. Accounts
+ * are deleted from Firebase Authentication 1000 at a time (the
+ * auth.deleteUsers limit) and only the ones it deleted are removed from
+ * Firestore.
+ * @param {Array<Object>} targets - `{ uid, deletion }` of soft deleted accounts
+ * @returns {Promise<Map<string, Error>>} Errors of the accounts that failed, by uid
+ */
+const purgeAccounts = async (targets) => {
+  const failures = new Map();
+
+  for (const uids of chunk(
+    targets.map(({ uid }) => uid),
+    1000
+  )) {
+    const { errors } = await backend.users.deleteUsers(uids);
+    errors.forEach(({ index, error }) => failures.set(uids[index], error));
+  }
+
+  const purged = targets.filter(({ uid }) => !failures.has(uid));
+  const purgedIds = purged.map(({ uid }) => uid);
+
+  await Promise.all([
+    backend.profiles.deleteAll(purgedIds),
+    removeFromSearchIndex(purgedIds),
+    ...purgedIds.map(deleteLinkedRecords),
+    // Photos, documents, credentials and data exports
+    ...purgedIds.map((uid) => backend.storage.deletePrefix(`users/${uid}/`)),
+  ]);
+
+  // The deletion records go last, a failed purge is retried by the next run
+  for (const uids of chunk(purgedIds, 500)) {
+    const batch = backend.firestore.batch();
+    uids.forEach((uid) => batch.delete(deletedAccountsRef().doc(uid)));
+    await batch.commit();
+  }
+
+  await invalidateDirectories(purged.map(({ deletion }) => deletion.role));
+
+  return failures;
+};
+
+/**
+ * Purges every account whose retention period has passed, 100 at a time,
+ * and records each batch in the audit log. Accounts that fail are reported
+ * in the audit log and retried by the next run.
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request that triggered the purge, if any
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {Promise<{purged: number, failed: number}>} Number of purged and failed accounts
+ */
+const purgeExpiredAccounts = async ({ req, now = new Date() } = {}) => {
+  const { CHUNK_SIZE } = BULK_ACTION_SETTINGS;
+  let purged = 0;
+  let failed = 0;
+  let lastDoc = null;
+
+  do {
+    let query = deletedAccountsRef()
+      .where('purgeAfter', '<=', Timestamp.fromDate(now))
+      .orderBy('purgeAfter')
+      .limit(CHUNK_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    lastDoc =
+      snapshot.size === CHUNK_SIZE ? snapshot.docs[CHUNK_SIZE - 1] : null;
+
+    const targets = snapshot.docs.map((doc) => ({
+      uid: doc.id,
+      deletion: doc.data(),
+    }));
+    const uids = targets.map(({ uid }) => uid);
+
+    const event = {
+      req,
+      actor: SYSTEM_ACTOR,
+      action: 'purge',
+      targetIds: uids,
+    };
+    const before = await getAccountStates(uids);
+
+    let failures;
+    try {
+      failures = await purgeAccounts(targets);
+    } catch (error) {
+      await recordAuditEvent({ ...event, before, error });
+      throw error;
+    }
+    await recordAuditEvent({
+      ...event,
+      before,
+      after: await getAccountStates(uids),
+      failures,
+    });
+
+    purged += uids.length - failures.size;
+    failed += failures.size;
+  } while (lastDoc);
+
+  return { purged, failed };
+};
+
+module.exports = {
+  getDeletedAccounts,
+  softDeleteAccounts,
+  restoreAccounts,
+  purgeAccounts,
+  purgeExpiredAccounts,
+};
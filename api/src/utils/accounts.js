@@ -0,0 +1,75 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const { assign } = require('radash');
+const { uid: uniqueID } = require('uid');
+const backend = require('../data');
+const { AddToDatabase } = require('./functions');
+const { syncSearchIndex } = require('./searchIndex');
+const { invalidateDirectories } = require('./directory');
+const { getMissingProfileFields } = require('../schemas/profileSchemas');
+
+/**
+ * Creates a doctor or patient account: the auth user, an empty profile in
+ * its role collection with a custom `{role}_id`, and the `role` claim.
+ * Accounts never get admin privileges here, admins are granted through
+ * /admins.
+ * @param {Object} account
+ * @param {string} account.email - Email address
+ * @param {string} [account.password] - Password, accounts created without one sign in after a password reset
+ * @param {string} account.displayName - Display name
+ * @param {string} account.role - One of VALID_ROLES
+ * @returns {Promise<{userRecord: Object, profile: Object, claims: Object}>}
+ */
+const createAccount = async ({ email, password, displayName, role }) => {
+  const userRecord = await backend.users.createUser({
+    email,
+    password,
+    displayName,
+  });
+  const { uid } = userRecord;
+  const claims = { role };
+
+  const profile = await AddToDatabase(
+    {
+      uid,
+      isProfileComplete: false,
+      createdAt: Timestamp.now(),
+      [`${role}_id`]: `${String(role).substring(0, 3)}_${uniqueID(6)}`,
+    },
+    role
+  );
+
+  await backend.users.setCustomUserClaims(uid, claims);
+  await syncSearchIndex([uid]);
+  await invalidateDirectories([role]);
+
+  return { userRecord, profile, claims };
+};
+
+/**
+ * Merges validated fields into the profile of a user, then recomputes
+ * `isProfileComplete` from the required fields of the role schema.
+ * @param {string} uid - User ID
+ * @param {string} role - Role collection of the profile
+ * @param {Object} current - Stored profile
+ * @param {Object} fields - Fields validated against PROFILE_UPDATE_SCHEMAS
+ * @returns {Promise<{profile: Object, missingFields: Array<string>}>} The stored profile
+ */
+const mergeProfile = async (uid, role, current, fields) => {
+  // Nested objects are merged the same way Firestore merges them below
+  const missingFields = getMissingProfileFields(role, assign(current, fields));
+
+  const profile = await backend.profiles.merge(uid, role, {
+    ...fields,
+    isProfileComplete: missingFields.length === 0,
+    updatedAt: Timestamp.now(),
+  });
+  await syncSearchIndex([uid]);
+  await invalidateDirectories([role]);
+
+  return { profile, missingFields };
+};
+
+module.exports = {
+  createAccount,
+  mergeProfile,
+};
@@ -0,0 +1,127 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const { omit } = require('radash');
+const backend = require('../data');
+const { ADMIN_ROLE, ADMIN_TIERS, COLLECTIONS } = require('./constants');
+const { syncSearchIndex } = require('./searchIndex');
+const { invalidateDirectories } = require('./directory');
+const { revokeSessions } = require('./sessions');
+const { NotFoundError } = require('./errors');
+
+/**
+ * Admins. An admin has the ADMIN_ROLE role and an ADMIN_TIERS tier in the
+ * `adminRole` claim, and a profile in COLLECTIONS.ADMINS that remembers the
+ * role they had before, restored when the admin role is revoked. Changing
+ * the role of a user signs them out, so their tokens carry the new claims.
+ */
+
+const adminsRef = () => backend.firestore.collection(COLLECTIONS.ADMINS);
+
+/**
+ * Converts an admin profile for responses.
+ * @param {Object} doc - Document snapshot
+ * @returns {Object} Admin profile with ISO timestamps
+ */
+const serializeAdmin = (doc) =>
+  Object.fromEntries(
+    Object.entries(doc.data()).map(([key, value]) => [
+      key,
+      value instanceof Timestamp ? value.toDate().toISOString() : value,
+    ])
+  );
+
+/**
+ * Refreshes what depends on the role of a user.
+ * @param {string} uid - User ID
+ * @param {Array<string>} roles - Roles the user had and has
+ */
+const applyRoleChange = async (uid, roles) => {
+  await revokeSessions([uid]);
+  await syncSearchIndex([uid]);
+  await invalidateDirectories(roles);
+};
+
+/**
+ * Makes a user an admin of a tier, or moves an admin to another tier.
+ * @param {string} uid - User ID
+ * @param {string} adminRole - One of ADMIN_TIERS
+ * @param {Object} [options]
+ * @param {string} [options.grantedBy] - Uid of the admin granting it, null for the bootstrap
+ * @returns {Promise<Object>} Snapshot of the admin profile
+ */
+const grantAdminRole = async (uid, adminRole, { grantedBy = null } = {}) => {
+  const user = await backend.users.getUser(uid);
+  const claims = user.customClaims || {};
+  const adminRef = adminsRef().doc(uid);
+  const current = await adminRef.get();
+  const now = Timestamp.now();
+
+  // Stored first, so a failure below leaves a revocable admin
+  await adminRef.set({
+    uid,
+    email: user.email ?? null,
+    adminRole,
+    previousRole: current.exists
+      ? current.get('previousRole')
+      : claims.role !== ADMIN_ROLE
+      ? claims.role ?? null
+      : null,
+    grantedBy,
+    grantedAt: current.exists ? current.get('grantedAt') : now,
+    updatedAt: now,
+  });
+  await backend.users.setCustomUserClaims(uid, {
+    // `admin` is the claim of admins created before the tiers
+    ...omit(claims, ['admin']),
+    role: ADMIN_ROLE,
+    adminRole,
+  });
+  await applyRoleChange(uid, [claims.role, ADMIN_ROLE]);
+
+  return adminRef.get();
+};
+
+/**
+ * Takes the admin role from a user, giving them back the role they had
+ * before it was granted, if any.
+ * @param {string} uid - User ID
+ * @throws {NotFoundError} When the user is not an admin
+ */
+const revokeAdminRole = async (uid) => {
+  const adminRef = adminsRef().doc(uid);
+  const current = await adminRef.get();
+  if (!current.exists) {
+    throw new NotFoundError('Admin not found', 'ADMIN_NOT_FOUND');
+  }
+
+  const { previousRole } = current.data();
+  const user = await backend.users.getUser(uid);
+  const claims = omit(user.customClaims || {}, ['admin', 'adminRole', 'role']);
+
+  await backend.users.setCustomUserClaims(
+    uid,
+    previousRole ? { ...claims, role: previousRole } : claims
+  );
+  await applyRoleChange(uid, [ADMIN_ROLE, previousRole]);
+  // Removed last, a failed revocation can be retried
+  await adminRef.delete();
+};
+
+/**
+ * Checks whether a super admin exists, which the bootstrap requires not to.
+ * @returns {Promise<boolean>}
+ */
+const hasSuperAdmin = async () => {
+  const snapshot = await adminsRef()
+    .where('adminRole', '==', ADMIN_TIERS.SUPER_ADMIN)
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+};
+
+module.exports = {
+  adminsRef,
+  serializeAdmin,
+  grantAdminRole,
+  revokeAdminRole,
+  hasSuperAdmin,
+};
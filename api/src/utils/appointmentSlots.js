@@ -0,0 +1,124 @@
+const { APPOINTMENT_SETTINGS } = require('./constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Returns the offset in milliseconds between UTC and the given time zone at a moment.
+ * @param {Date} date - Moment to compute the offset for
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(
+    parts.map(({ type, value }) => [type, Number(value)])
+  );
+
+  const asUtc = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Converts a wall clock time in a time zone into a UTC Date.
+ * @param {string} date - Local date in YYYY-MM-DD format
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The matching UTC moment
+ */
+const zonedTimeToUtc = (date, minutes, timeZone) => {
+  const guess = new Date(`${date}T00:00:00.000Z`).getTime() + minutes * 60000;
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  return new Date(guess - offset);
+};
+
+/**
+ * Generates the bookable slots of a doctor between two local dates (inclusive).
+ * Exceptions replace the weekly windows of their date; an empty list is a day off.
+ * @param {Object} availability - Stored availability document
+ * @param {string} from - First local date (YYYY-MM-DD)
+ * @param {string} to - Last local date (YYYY-MM-DD)
+ * @returns {Array<{startTime: string, endTime: string}>} Slots in UTC ISO strings
+ */
+const generateSlots = (availability, from, to) => {
+  const { timeZone, weekly = [], exceptions = [] } = availability;
+  const slotMinutes =
+    availability.slotMinutes || APPOINTMENT_SETTINGS.DEFAULT_SLOT_MINUTES;
+  const exceptionsByDate = new Map(exceptions.map((e) => [e.date, e.windows]));
+  const slots = new Map();
+
+  const last = new Date(`${to}T00:00:00.000Z`).getTime();
+  for (
+    let day = new Date(`${from}T00:00:00.000Z`).getTime();
+    day <= last;
+    day += DAY_MS
+  ) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    const weekday = new Date(day).getUTCDay();
+    const windows = exceptionsByDate.has(date)
+      ? exceptionsByDate.get(date)
+      : weekly.filter((window) => window.day === weekday);
+
+    windows.forEach(({ start, end }) => {
+      for (
+        let minute = toMinutes(start);
+        minute + slotMinutes <= toMinutes(end);
+        minute += slotMinutes
+      ) {
+        const startTime = zonedTimeToUtc(date, minute, timeZone);
+        const endTime = new Date(startTime.getTime() + slotMinutes * 60000);
+        slots.set(startTime.toISOString(), {
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+        });
+      }
+    });
+  }
+
+  return Array.from(slots.values()).sort((a, b) =>
+    a.startTime.localeCompare(b.startTime)
+  );
+};
+
+/**
+ * Finds the published slot that starts at the given moment.
+ * @param {Object} availability - Stored availability document
+ * @param {Date} startTime - Requested start of the appointment
+ * @returns {Object|undefined} The matching slot, if any
+ */
+const findSlot = (availability, startTime) => {
+  // Look one day around the UTC date so every time zone is covered
+  const from = new Date(startTime.getTime() - DAY_MS).toISOString();
+  const to = new Date(startTime.getTime() + DAY_MS).toISOString();
+
+  return generateSlots(availability, from.slice(0, 10), to.slice(0, 10)).find(
+    (slot) => slot.startTime === startTime.toISOString()
+  );
+};
+
+module.exports = {
+  generateSlots,
+  findSlot,
+};
@@ -0,0 +1,167 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const { AUDIT_LOG_COLLECTION, AUDIT_OUTCOMES } = require('./constants');
+const { toAppError } = require('./errorMapper');
+const { getUserRole } = require('./permissions');
+
+/**
+ * Audit trail of admin account actions and scheduled jobs. Records are
+ * only ever created, with generated ids, and no code path updates or
+ * deletes them.
+ */
+
+// Actor of the audit records written by scheduled jobs
+const SYSTEM_ACTOR = { uid: null, email: null, role: 'system' };
+
+const auditLogRef = () => backend.firestore.collection(AUDIT_LOG_COLLECTION);
+
+/**
+ * Reads the audited state of accounts: whether they exist, their custom
+ * claims and their disabled flag.
+ * @param {Array<string>} uids - User IDs
+ * @returns {Promise<Object<string, {exists: boolean, disabled: ?boolean, claims: ?Object}>>} State by uid
+ */
+const getAccountStates = async (uids) => {
+  const states = Object.fromEntries(
+    uids.map((uid) => [uid, { exists: false, disabled: null, claims: null }])
+  );
+
+  // auth.getUsers accepts at most 100 identifiers
+  for (let i = 0; i < uids.length; i += 100) {
+    const { users } = await backend.users.getUsers(
+      uids.slice(i, i + 100).map((uid) => ({ uid }))
+    );
+    users.forEach((record) => {
+      states[record.uid] = {
+        exists: true,
+        disabled: Boolean(record.disabled),
+        claims: record.customClaims || {},
+      };
+    });
+  }
+
+  return states;
+};
+
+/**
+ * Appends a record to the audit trail. The action already happened when it
+ * is called, so a failed write is logged with the whole record instead of
+ * failing the request.
+ * @param {Object} event
+ * @param {Object} [event.req] - Express request of the action, for the actor, IP, user agent and request id
+ * @param {Object} [event.actor] - `{ uid, email, role }` of the actor, defaults to the logged in user
+ * @param {string} event.action - Action name
+ * @param {Array<string>} event.targetIds - Target user IDs
+ * @param {Object} [event.before] - Account states before the action (getAccountStates)
+ * @param {Object} [event.after] - Account states after the action
+ * @param {Map<string, Error>} [event.failures] - Errors of the targets a bulk action failed for
+ * @param {Error} [event.error] - Error the whole action failed with
+ * @returns {Promise<string|null>} Id of the record, null when it could not be written
+ */
+const recordAuditEvent = async ({
+  req,
+  actor = {
+    uid: req?.user?.uid ?? null,
+    email: req?.user?.email ?? null,
+    role: getUserRole(req?.user) ?? null,
+  },
+  action,
+  targetIds,
+  before = {},
+  after = {},
+  failures = new Map(),
+  error,
+}) => {
+  const toRecordError = (cause) => {
+    const { code } = toAppError(cause);
+    return { code, message: cause.message };
+  };
+
+  let outcome = AUDIT_OUTCOMES.SUCCESS;
+  if (error || (failures.size && failures.size === targetIds.length)) {
+    outcome = AUDIT_OUTCOMES.FAILURE;
+  } else if (failures.size) {
+    outcome = AUDIT_OUTCOMES.PARTIAL;
+  }
+
+  const record = {
+    actor,
+    action,
+    targetIds,
+    changes: targetIds.map((uid) => ({
+      uid,
+      before: before[uid] ?? null,
+      after: after[uid] ?? null,
+      error: failures.has(uid) ? toRecordError(failures.get(uid)) : null,
+    })),
+    ip: req?.ip ?? null,
+    userAgent: req?.get('user-agent') ?? null,
+    requestId: req?.id ?? null,
+    outcome,
+    error: error ? toRecordError(error) : null,
+    createdAt: Timestamp.now(),
+  };
+
+  try {
+    const recordRef = await auditLogRef().add(record);
+    return recordRef.id;
+  } catch (writeError) {
+    console.error(
+      'Error writing audit record:',
+      JSON.stringify(record),
+      writeError
+    );
+    return null;
+  }
+};
+
+/**
+ * Builds the query of audit records matching the filters, newest first.
+ * @param {Object} filters
+ * @param {string} [filters.actorId] - Uid of the admin who acted
+ * @param {string} [filters.targetId] - Uid of an affected user
+ * @param {string} [filters.action] - Action name
+ * @param {string} [filters.outcome] - One of AUDIT_OUTCOMES
+ * @param {string} [filters.from] - Earliest creation time (ISO)
+ * @param {string} [filters.to] - Latest creation time (ISO)
+ * @returns {Object} Firestore query
+ */
+const queryAuditLog = ({ actorId, targetId, action, outcome, from, to }) => {
+  let query = auditLogRef();
+
+  if (actorId) query = query.where('actor.uid', '==', actorId);
+  if (targetId) query = query.where('targetIds', 'array-contains', targetId);
+  if (action) query = query.where('action', '==', action);
+  if (outcome) query = query.where('outcome', '==', outcome);
+  if (from) {
+    query = query.where('createdAt', '>=', Timestamp.fromDate(new Date(from)));
+  }
+  if (to) {
+    query = query.where('createdAt', '<=', Timestamp.fromDate(new Date(to)));
+  }
+
+  return query.orderBy('createdAt', 'desc');
+};
+
+/**
+ * Converts an audit record document for responses.
+ * @param {Object} doc - Document snapshot
+ * @returns {Object} Record with its id and an ISO `createdAt`
+ */
+const serializeAuditRecord = (doc) => {
+  const record = doc.data();
+  return {
+    id: doc.id,
+    ...record,
+    createdAt: record.createdAt.toDate().toISOString(),
+  };
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  auditLogRef,
+  getAccountStates,
+  recordAuditEvent,
+  queryAuditLog,
+  serializeAuditRecord,
+};
@@ -0,0 +1,63 @@
+/**
+ * Helpers to process long lists within API limits.
+ */
+
+/**
+ * Splits a list into lists of at most `size` items.
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum size of a chunk
+ * @returns {Array<Array>} Chunks, in order
+ */
+const chunk = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, index) =>
+    items.slice(index * size, (index + 1) * size)
+  );
+
+/**
+ * Maps items with an async function, running at most `limit` calls at once.
+ * Every item is processed, a rejection is returned in place of its result.
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of pending calls
+ * @param {Function} fn - Async function receiving an item and its index
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} Settled
+ * results, in the same shape and order as Promise.allSettled
+ */
+const mapSettled = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = {
+          status: 'fulfilled',
+          value: await fn(items[index], index),
+        };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+/**
+ * Collects the rejections of mapSettled over targets by their uid.
+ * @param {Array<{uid: string}>} targets - Mapped targets
+ * @param {Array<Object>} settled - Results of mapSettled over the targets
+ * @returns {Map<string, *>} Rejection reasons by uid
+ */
+const getFailures = (targets, settled) =>
+  new Map(
+    settled
+      .map((result, index) => [targets[index].uid, result])
+      .filter(([, result]) => result.status === 'rejected')
+      .map(([uid, result]) => [uid, result.reason])
+  );
+
+module.exports = { chunk, mapSettled, getFailures };
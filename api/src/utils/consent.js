@@ -0,0 +1,104 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const backend = require('../data');
+const {
+  CONSENTS_COLLECTION,
+  CONSENT_SCOPES,
+  DOCTOR_ROLE,
+  PATIENT_ROLE,
+} = require('./constants');
+const { isAdmin } = require('./permissions');
+const { getDeletedAccounts } = require('./accountDeletion');
+
+const consentsRef = () => backend.firestore.collection(CONSENTS_COLLECTION);
+
+/**
+ * Grants are stored one per patient, doctor and scope so a single read
+ * answers whether a doctor may see a kind of patient data.
+ * @param {string} patientId - Patient who owns the data
+ * @param {string} doctorId - Doctor receiving access
+ * @param {string} scope - One of CONSENT_SCOPES
+ * @returns {string} Document id of the grant
+ */
+const getGrantId = (patientId, doctorId, scope) =>
+  `${patientId}_${doctorId}_${scope}`;
+
+/**
+ * Checks whether a grant is neither revoked nor expired.
+ * @param {Object} grant - Grant document data
+ * @returns {boolean}
+ */
+const isGrantActive = (grant) =>
+  Boolean(grant) &&
+  !grant.revokedAt &&
+  (!grant.expiresAt || grant.expiresAt.toMillis() > Timestamp.now().toMillis());
+
+/**
+ * Checks whether a doctor currently has access to a scope of a patient's data.
+ * @param {string} patientId - Patient who owns the data
+ * @param {string} doctorId - Doctor requesting access
+ * @param {string} scope - One of CONSENT_SCOPES
+ * @returns {Promise<boolean>}
+ */
+const hasActiveGrant = async (patientId, doctorId, scope) => {
+  const snapshot = await consentsRef()
+    .doc(getGrantId(patientId, doctorId, scope))
+    .get();
+  return snapshot.exists && isGrantActive(snapshot.data());
+};
+
+/**
+ * Lists the patients that currently grant a doctor access to a scope.
+ * @param {string} doctorId - Doctor receiving access
+ * @param {string} scope - One of CONSENT_SCOPES
+ * @returns {Promise<Set<string>>} Patient ids
+ */
+const getGrantingPatientIds = async (doctorId, scope) => {
+  const snapshot = await consentsRef()
+    .where('doctorId', '==', doctorId)
+    .where('scope', '==', scope)
+    .get();
+
+  return new Set(
+    snapshot.docs
+      .map((doc) => doc.data())
+      .filter(isGrantActive)
+      .map((grant) => grant.patientId)
+  );
+};
+
+/**
+ * Keeps the user records a requester may read. Patient records are only
+ * returned to themselves, admins and doctors the patient granted profile
+ * access to, and soft deleted accounts only to admins.
+ * @param {Object} requester - Decoded token of the logged in user
+ * @param {Array<Object>} records - Firebase user records
+ * @returns {Promise<Array<Object>>} The visible records, in order
+ */
+const filterVisibleRecords = async (requester, records) => {
+  if (isAdmin(requester)) return records;
+
+  const grantingPatientIds =
+    requester?.role === DOCTOR_ROLE
+      ? await getGrantingPatientIds(requester.uid, CONSENT_SCOPES.PROFILE)
+      : new Set();
+  const deletedAccounts = await getDeletedAccounts(
+    records.map((record) => record.uid)
+  );
+
+  return records.filter(
+    (record) =>
+      !deletedAccounts.has(record.uid) &&
+      (record.uid === requester?.uid ||
+        record.customClaims?.role !== PATIENT_ROLE ||
+        grantingPatientIds.has(record.uid))
+  );
+};
+
+module.exports = {
+  consentsRef,
+  getGrantId,
+  isGrantActive,
+  hasActiveGrant,
+  getGrantingPatientIds,
+  filterVisibleRecords,
+};
@@ -3,14 +3,270 @@ const DOCTOR_ROLE = 'doctors';
 const ADMIN_ROLE = 'admin@medjournal';
 const CACHE_DURATION = 5 * 60 * 1000;
 
+const CACHE_SETTINGS = {
+  KEY_PREFIX: process.env.CACHE_KEY_PREFIX || 'medjournal',
+  MAX_ENTRIES: Number(process.env.CACHE_MAX_ENTRIES) || 1000,
+  // Rate limit counters of an in-memory store, one per client and policy
+  MAX_COUNTERS: Number(process.env.CACHE_MAX_COUNTERS) || 100000,
+  // Larger values are not cached
+  MAX_VALUE_BYTES: 1024 * 1024,
+};
+
+/**
+ * Cookie sessions, see utils/sessions.js. The session cookie holds a
+ * Firebase session cookie and the CSRF cookie a token that cookie
+ * authenticated requests changing state must repeat in CSRF_HEADER.
+ */
+const SESSION_SETTINGS = {
+  // The only cookie forwarded by Firebase Hosting
+  COOKIE_NAME: '__session',
+  CSRF_COOKIE_NAME: 'csrfToken',
+  CSRF_HEADER: 'X-CSRF-Token',
+  EXPIRES_IN_MS: 5 * 24 * 60 * 60 * 1000,
+  // Sessions are only created from ID tokens of recent sign-ins
+  MAX_AUTH_AGE_SECONDS: 5 * 60,
+  // How long the account status used by revocation checks is cached. With
+  // an in-memory cache, other instances see revocations after this delay
+  REVOCATION_CHECK_TTL_MS: 30 * 1000,
+};
+
+/**
+ * Rate limits by policy name, see middleware/rateLimit.js. `by` is the
+ * bucket requests are counted in: 'ip' for the client IP, 'user' for the
+ * uid of logged in users and the IP of anonymous ones.
+ */
+const RATE_LIMIT_POLICIES = {
+  // Every request, as a backstop
+  global: {
+    limit: Number(process.env.GLOBAL_RATE_LIMIT) || 600,
+    windowMs: 60 * 1000,
+    by: 'ip',
+  },
+  // Account creation is unauthenticated
+  signup: {
+    limit: Number(process.env.SIGNUP_RATE_LIMIT) || 10,
+    windowMs: 60 * 60 * 1000,
+    by: 'ip',
+  },
+  // A search cache miss walks the whole auth user list
+  search: {
+    limit: Number(process.env.SEARCH_RATE_LIMIT) || 30,
+    windowMs: 60 * 1000,
+    by: 'user',
+  },
+  // Every export reads all the records and files of a user
+  dataExport: {
+    limit: Number(process.env.DATA_EXPORT_RATE_LIMIT) || 5,
+    windowMs: 24 * 60 * 60 * 1000,
+    by: 'user',
+  },
+};
+
 const COLLECTIONS = {
   USERS: 'users',
   DOCTORS: DOCTOR_ROLE,
   PATIENTS: PATIENT_ROLE,
-  ADMINS: process.env.ADMIN_COLLECTION,
+  // Admin profiles, `{uid, adminRole, previousRole, grantedBy, ...}` by uid
+  ADMINS: process.env.ADMIN_COLLECTION || 'admins',
 };
 const VALID_ROLES = [PATIENT_ROLE, DOCTOR_ROLE];
 
+// Checked on sign up and password changes, see isStrongPassword
+const PASSWORD_POLICY = {
+  MIN_LENGTH: 10,
+  MAX_LENGTH: 128,
+  // Character classes a password must mix: lowercase, uppercase, digits, symbols
+  MIN_CHARACTER_CLASSES: 3,
+};
+
+/**
+ * Tiers of admins, held in the `adminRole` custom claim next to the
+ * ADMIN_ROLE role. See ADMIN_TIER_PERMISSIONS for what each can do.
+ */
+const ADMIN_TIERS = {
+  SUPER_ADMIN: 'super_admin',
+  SUPPORT: 'support',
+  REVIEWER: 'reviewer',
+};
+
+// Tier of admins made before the tiers existed, who have no `adminRole`
+// claim and keep the full admin permissions they had
+const LEGACY_ADMIN_TIER = ADMIN_TIERS.SUPER_ADMIN;
+
+// Actions accepted by the update-user-account endpoint
+const USER_ACCOUNT_ACTIONS = [
+  'delete',
+  'restore',
+  'purge',
+  'enable',
+  'disable',
+  // Doctors are verified by approving their credentials, see CREDENTIAL_STATUS
+  'falsify',
+  'signout',
+];
+
+const BULK_ACTION_SETTINGS = {
+  MAX_IDS: 5000,
+  // Ids loaded and written together, auth.getUsers accepts at most 100
+  CHUNK_SIZE: 100,
+  // Auth calls running at the same time within a chunk
+  CONCURRENCY: 10,
+};
+
+// Soft deleted accounts waiting for their purge, by uid
+const DELETED_ACCOUNTS_COLLECTION = 'deletedAccounts';
+
+const ACCOUNT_DELETION_SETTINGS = {
+  RETENTION_DAYS: Number(process.env.ACCOUNT_RETENTION_DAYS) || 30,
+};
+
+const APPOINTMENT_COLLECTIONS = {
+  APPOINTMENTS: 'appointments',
+  AVAILABILITY: 'availability',
+  SLOT_LOCKS: 'appointmentSlots',
+};
+
+const APPOINTMENT_STATUS = {
+  BOOKED: 'booked',
+  CANCELLED: 'cancelled',
+};
+
+const APPOINTMENT_SETTINGS = {
+  DEFAULT_SLOT_MINUTES: 30,
+  CANCELLATION_WINDOW_HOURS:
+    Number(process.env.CANCELLATION_WINDOW_HOURS) || 24,
+  MAX_BOOKING_DAYS_AHEAD: 90,
+  MAX_SLOT_RANGE_DAYS: 31,
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+};
+
+// Subcollections stored under each document of the patients collection
+const JOURNAL_COLLECTIONS = {
+  ENTRIES: 'journal',
+  SHARES: 'journalShares',
+};
+
+const JOURNAL_SETTINGS = {
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+  MAX_TAG_FILTERS: 10,
+};
+
+const CONSENTS_COLLECTION = 'consents';
+
+// Denormalized users (processUserRecord output) used by search
+const SEARCH_INDEX_COLLECTION = 'userSearchIndex';
+
+// Values of each string directory filter, by filter key, for the facets
+const SEARCH_FACETS_COLLECTION = 'userSearchFacets';
+
+// Append-only trail of admin account actions
+const AUDIT_LOG_COLLECTION = 'auditLog';
+
+const AUDIT_OUTCOMES = {
+  SUCCESS: 'success',
+  // Bulk actions that failed for some of their targets
+  PARTIAL: 'partial',
+  FAILURE: 'failure',
+};
+
+const AUDIT_SETTINGS = {
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+  MAX_EXPORT_RECORDS: 10000,
+};
+
+/**
+ * Profile photo uploads. Photos are square WebP images, stored with their
+ * thumbnails under `users/{uid}/photo/`.
+ */
+const PHOTO_SETTINGS = {
+  MAX_BYTES: 5 * 1024 * 1024,
+  // Larger images are rejected before they are decoded
+  MAX_PIXELS: 40 * 1000 * 1000,
+  SIZE: 512,
+  THUMBNAIL_SIZES: { medium: 256, small: 64 },
+};
+
+// Medical documents of patients, stored under `patients/{uid}/documents`
+const DOCUMENTS_COLLECTION = 'documents';
+
+// Per patient storage quotas set by admins and bytes in use, by patient uid
+const STORAGE_QUOTAS_COLLECTION = 'storageQuotas';
+
+const DOCUMENT_TYPES = ['lab_report', 'prescription', 'imaging', 'other'];
+
+const DOCUMENT_SETTINGS = {
+  MAX_BYTES: 20 * 1024 * 1024,
+  CONTENT_TYPES: ['application/pdf', 'image/jpeg', 'image/png'],
+  // Quota of patients without one set by an admin
+  DEFAULT_QUOTA_BYTES: 500 * 1024 * 1024,
+  MAX_QUOTA_BYTES: 50 * 1024 * 1024 * 1024,
+  DOWNLOAD_URL_TTL_MS: 5 * 60 * 1000,
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+};
+
+// Credential submissions of doctors, reviewed by admins
+const CREDENTIALS_COLLECTION = 'credentialSubmissions';
+
+const CREDENTIAL_STATUS = {
+  PENDING: 'pending',
+  NEEDS_INFO: 'needs_info',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  // Approved submissions whose license expired
+  EXPIRED: 'expired',
+};
+
+const CREDENTIAL_SETTINGS = {
+  MAX_DOCUMENTS: 10,
+  MAX_DOCUMENT_BYTES: 10 * 1024 * 1024,
+  DOCUMENT_CONTENT_TYPES: DOCUMENT_SETTINGS.CONTENT_TYPES,
+  DOWNLOAD_URL_TTL_MS: 5 * 60 * 1000,
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+};
+
+const CONSENT_SCOPES = {
+  PROFILE: 'profile',
+  JOURNAL: 'journal',
+  DOCUMENTS: 'documents',
+};
+
+// Personal data exports of users, `{uid, status, storagePath, ...}` by id
+const DATA_EXPORTS_COLLECTION = 'dataExports';
+
+const DATA_EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed',
+  // Ready exports whose archive was deleted after the retention period
+  EXPIRED: 'expired',
+};
+
+const DATA_EXPORT_SETTINGS = {
+  RETENTION_DAYS: Number(process.env.DATA_EXPORT_RETENTION_DAYS) || 7,
+  DOWNLOAD_URL_TTL_MS: 15 * 60 * 1000,
+  // Exports left pending or processing this long are retried by the cron job
+  STALE_AFTER_MS: 10 * 60 * 1000,
+  MAX_ATTEMPTS: 3,
+};
+
+/**
+ * HL7 FHIR R4 interface. BASE_URL is the public base of the /fhir routes
+ * and namespaces the identifier systems and extensions the API defines.
+ */
+const FHIR_SETTINGS = {
+  BASE_URL: process.env.FHIR_BASE_URL || 'https://api.medjournal.app/fhir',
+  CONTENT_TYPE: 'application/fhir+json',
+  MAX_BODY_BYTES: 1024 * 1024,
+  MAX_BUNDLE_ENTRIES: 100,
+  MAX_SEARCH_IDS: 100,
+};
+
 const MESSAGES = {
   userRole: 'User Role is required',
   InvalidUserRole: 'Invalid selection of Role',
@@ -21,7 +277,41 @@ module.exports = {
   DOCTOR_ROLE,
   VALID_ROLES,
   ADMIN_ROLE,
+  ADMIN_TIERS,
+  LEGACY_ADMIN_TIER,
+  PASSWORD_POLICY,
   COLLECTIONS,
   MESSAGES,
   CACHE_DURATION,
+  CACHE_SETTINGS,
+  SESSION_SETTINGS,
+  RATE_LIMIT_POLICIES,
+  USER_ACCOUNT_ACTIONS,
+  BULK_ACTION_SETTINGS,
+  DELETED_ACCOUNTS_COLLECTION,
+  ACCOUNT_DELETION_SETTINGS,
+  APPOINTMENT_COLLECTIONS,
+  APPOINTMENT_STATUS,
+  APPOINTMENT_SETTINGS,
+  JOURNAL_COLLECTIONS,
+  JOURNAL_SETTINGS,
+  CONSENTS_COLLECTION,
+  CONSENT_SCOPES,
+  SEARCH_INDEX_COLLECTION,
+  SEARCH_FACETS_COLLECTION,
+  AUDIT_LOG_COLLECTION,
+  AUDIT_OUTCOMES,
+  AUDIT_SETTINGS,
+  PHOTO_SETTINGS,
+  DOCUMENTS_COLLECTION,
+  STORAGE_QUOTAS_COLLECTION,
+  DOCUMENT_TYPES,
+  DOCUMENT_SETTINGS,
+  CREDENTIALS_COLLECTION,
+  CREDENTIAL_STATUS,
+  CREDENTIAL_SETTINGS,
+  DATA_EXPORTS_COLLECTION,
+  DATA_EXPORT_STATUS,
+  DATA_EXPORT_SETTINGS,
+  FHIR_SETTINGS,
 };
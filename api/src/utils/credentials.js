@@ -0,0 +1,217 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const { omit } = require('radash');
+const backend = require('../data');
+const {
+  DOCTOR_ROLE,
+  CREDENTIALS_COLLECTION,
+  CREDENTIAL_STATUS,
+  BULK_ACTION_SETTINGS,
+} = require('./constants');
+const { syncSearchIndex } = require('./searchIndex');
+const { invalidateDirectories } = require('./directory');
+const {
+  SYSTEM_ACTOR,
+  getAccountStates,
+  recordAuditEvent,
+} = require('./auditLog');
+const { mapSettled, getFailures } = require('./batching');
+const { revokeSessions } = require('./sessions');
+
+/**
+ * Credential verification of doctors. Doctors submit their license, admins
+ * review the submission, and approving it sets the `verified` claim until
+ * the license expires (`verifiedUntil`, in seconds). A submission moves
+ * from pending to approved, rejected or needs_info, and back to pending
+ * when the doctor answers a request for information. Approved submissions
+ * become expired once their license expires.
+ */
+
+const credentialsRef = () =>
+  backend.firestore.collection(CREDENTIALS_COLLECTION);
+
+/**
+ * Builds the storage path of a supporting document of a submission. It
+ * sits under the folder of the doctor, so purging the account removes it.
+ * @param {string} doctorId - Doctor user ID
+ * @param {string} submissionId - Submission document id
+ * @param {string} documentId - Id of the uploaded file
+ * @returns {string}
+ */
+const getCredentialDocumentPath = (doctorId, submissionId, documentId) =>
+  `users/${doctorId}/credentials/${submissionId}/${documentId}`;
+
+/**
+ * Builds a status change for the `history` of a submission.
+ * @param {string} status - One of CREDENTIAL_STATUS
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Uid of the user who changed it, null for scheduled jobs
+ * @param {string} [options.reason] - Reason given for the change
+ * @returns {Object} History entry
+ */
+const toHistoryEntry = (status, { actorId = null, reason = null } = {}) => ({
+  status,
+  actorId,
+  reason,
+  at: Timestamp.now(),
+});
+
+/**
+ * Converts a submission document for responses. The storage paths of its
+ * documents stay internal, reviewers download them through signed URLs.
+ * @param {Object} doc - Document snapshot
+ * @returns {Object} Submission with its id and ISO dates
+ */
+const serializeSubmission = (doc) => {
+  const submission = doc.data();
+  const toIso = (timestamp) => timestamp?.toDate().toISOString() ?? null;
+
+  return {
+    id: doc.id,
+    doctorId: submission.doctorId,
+    licenseNumber: submission.licenseNumber,
+    issuingAuthority: submission.issuingAuthority,
+    expiresAt: toIso(submission.expiresAt),
+    documents: submission.documents.map((document) =>
+      omit(document, ['storagePath'])
+    ),
+    status: submission.status,
+    reason: submission.reason,
+    submittedAt: toIso(submission.submittedAt),
+    reviewedBy: submission.reviewedBy,
+    reviewedAt: toIso(submission.reviewedAt),
+    history: submission.history.map((entry) => ({
+      ...entry,
+      at: toIso(entry.at),
+    })),
+  };
+};
+
+/**
+ * Builds the custom claims of a verified or unverified doctor, keeping their
+ * other claims.
+ * @param {Object} claims - Current custom claims
+ * @param {Timestamp|null} expiresAt - Expiry of the approved license, null to unverify
+ * @returns {Object} New custom claims
+ */
+const toVerificationClaims = (claims, expiresAt) =>
+  expiresAt
+    ? {
+        ...claims,
+        verified: true,
+        verifiedUntil: Math.floor(expiresAt.toMillis() / 1000),
+      }
+    : { ...omit(claims, ['verifiedUntil']), verified: false };
+
+/**
+ * Sets or clears the verification of a doctor, then refreshes their search
+ * index entry and the directory cache. Clearing it also signs the doctor
+ * out, so their tokens drop the claim.
+ * @param {string} uid - Doctor user ID
+ * @param {Object} claims - Current custom claims of the doctor
+ * @param {Timestamp|null} expiresAt - Expiry of the approved license, null to clear
+ */
+const setVerification = async (uid, claims, expiresAt) => {
+  await backend.users.setCustomUserClaims(
+    uid,
+    toVerificationClaims(claims, expiresAt)
+  );
+  if (!expiresAt) await revokeSessions([uid]);
+  await syncSearchIndex([uid]);
+  await invalidateDirectories([DOCTOR_ROLE]);
+};
+
+/**
+ * Marks approved submissions whose license expired as expired, 100 at a
+ * time, and clears the verification of their doctors, unless a later
+ * approval verified them past that expiry. Each batch is recorded in the
+ * audit log and failed ones are retried by the next run.
+ * The `verified` claim already stops granting permissions at
+ * `verifiedUntil`, this keeps the claim, the directory and the submissions
+ * in line with it.
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request that triggered the run, if any
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {Promise<{expired: number, failed: number}>} Number of expired and failed submissions
+ */
+const expireCredentials = async ({ req, now = new Date() } = {}) => {
+  const { CHUNK_SIZE, CONCURRENCY } = BULK_ACTION_SETTINGS;
+  let expired = 0;
+  let failed = 0;
+  let lastDoc = null;
+
+  do {
+    let query = credentialsRef()
+      .where('status', '==', CREDENTIAL_STATUS.APPROVED)
+      .where('expiresAt', '<=', Timestamp.fromDate(now))
+      .orderBy('expiresAt')
+      .limit(CHUNK_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    lastDoc =
+      snapshot.size === CHUNK_SIZE ? snapshot.docs[CHUNK_SIZE - 1] : null;
+
+    const doctorIds = [
+      ...new Set(snapshot.docs.map((doc) => doc.get('doctorId'))),
+    ];
+    const before = await getAccountStates(doctorIds);
+
+    const settled = await mapSettled(
+      doctorIds,
+      CONCURRENCY,
+      async (doctorId) => {
+        const { exists, claims } = before[doctorId];
+        if (exists && claims.verifiedUntil * 1000 <= now.getTime()) {
+          await setVerification(doctorId, claims, null);
+        }
+        // Marked last, a failed run is retried by the next one
+        const docs = snapshot.docs.filter(
+          (doc) => doc.get('doctorId') === doctorId
+        );
+        for (const doc of docs) {
+          await doc.ref.update({
+            status: CREDENTIAL_STATUS.EXPIRED,
+            updatedAt: Timestamp.now(),
+            history: [
+              ...doc.get('history'),
+              toHistoryEntry(CREDENTIAL_STATUS.EXPIRED),
+            ],
+          });
+        }
+      }
+    );
+    const failures = getFailures(
+      doctorIds.map((uid) => ({ uid })),
+      settled
+    );
+
+    await recordAuditEvent({
+      req,
+      actor: SYSTEM_ACTOR,
+      action: 'expire-credentials',
+      targetIds: doctorIds,
+      before,
+      after: await getAccountStates(doctorIds),
+      failures,
+    });
+
+    const failedDocs = snapshot.docs.filter((doc) =>
+      failures.has(doc.get('doctorId'))
+    );
+    expired += snapshot.size - failedDocs.length;
+    failed += failedDocs.length;
+  } while (lastDoc);
+
+  return { expired, failed };
+};
+
+module.exports = {
+  credentialsRef,
+  getCredentialDocumentPath,
+  toHistoryEntry,
+  serializeSubmission,
+  toVerificationClaims,
+  setVerification,
+  expireCredentials,
+};
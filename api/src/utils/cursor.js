@@ -0,0 +1,66 @@
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+const { ValidationError } = require('./errors');
+
+let fallbackSecret = null;
+
+/**
+ * Secret used to sign cursors. Every instance must share CURSOR_SECRET;
+ * without it cursors only work on the instance that issued them.
+ * @returns {string|Buffer}
+ */
+const getSecret = () => {
+  if (process.env.CURSOR_SECRET) return process.env.CURSOR_SECRET;
+
+  if (!fallbackSecret) {
+    console.warn('CURSOR_SECRET is not set, using a per-process secret');
+    fallbackSecret = randomBytes(32);
+  }
+  return fallbackSecret;
+};
+
+const sign = (body) =>
+  createHmac('sha256', getSecret()).update(body).digest('base64url');
+
+/**
+ * Encodes a payload into an opaque, signed cursor.
+ * @param {Object} payload - JSON-serializable state of the next request
+ * @returns {string} `<base64url payload>.<base64url HMAC-SHA256>`
+ */
+const encodeCursor = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * Verifies and decodes a cursor made by encodeCursor.
+ * @param {string} cursor - Cursor sent by the client
+ * @returns {Object} The payload
+ * @throws {ValidationError} INVALID_CURSOR when malformed or tampered with
+ */
+const decodeCursor = (cursor) => {
+  const [body, signature, extra] = String(cursor).split('.');
+  const expected = body && sign(body);
+
+  const isValid =
+    body &&
+    signature &&
+    extra === undefined &&
+    signature.length === expected.length &&
+    timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (isValid) {
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch {
+      // Falls through to the error below
+    }
+  }
+
+  throw new ValidationError(
+    'The requested page is not available',
+    [],
+    'INVALID_CURSOR'
+  );
+};
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,421 @@
+const path = require('path');
+const { Timestamp } = require('firebase-admin/firestore');
+const { omit } = require('radash');
+const backend = require('../data');
+const {
+  PATIENT_ROLE,
+  VALID_ROLES,
+  APPOINTMENT_COLLECTIONS,
+  JOURNAL_COLLECTIONS,
+  AUDIT_SETTINGS,
+  DATA_EXPORTS_COLLECTION,
+  DATA_EXPORT_STATUS,
+  DATA_EXPORT_SETTINGS,
+} = require('./constants');
+const { getProfileData } = require('./functions');
+const { consentsRef } = require('./consent');
+const { adminsRef, serializeAdmin } = require('./admins');
+const { credentialsRef, serializeSubmission } = require('./credentials');
+const { documentsRef, quotasRef, serializeDocument } = require('./documents');
+const { queryAuditLog } = require('./auditLog');
+const { getPhotoPaths } = require('./photos');
+const { createZip } = require('./zip');
+
+/**
+ * Personal data exports (right of access). A user requests an export, the
+ * archive of every record held about them is built within the request and
+ * stored at `users/{uid}/exports/{exportId}.zip`, then downloaded through
+ * short-lived signed URLs until it expires. Exports a request could not
+ * finish are retried by the process-data-exports job, which also deletes
+ * expired archives.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dataExportsRef = () =>
+  backend.firestore.collection(DATA_EXPORTS_COLLECTION);
+
+/**
+ * Storage path of the archive of an export.
+ * @param {string} uid - User ID
+ * @param {string} exportId - Export id
+ * @returns {string}
+ */
+const getExportPath = (uid, exportId) => `users/${uid}/exports/${exportId}.zip`;
+
+/**
+ * Converts stored data to JSON friendly values, timestamps to ISO strings.
+ * @param {*} value - Firestore data
+ * @returns {*}
+ */
+const toPlainData = (value) => {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toPlainData);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlainData(item)])
+    );
+  }
+  return value;
+};
+
+const serializeRecord = (doc) => toPlainData({ id: doc.id, ...doc.data() });
+
+/**
+ * Converts an export document for responses. The storage path stays
+ * internal, archives are downloaded through signed URLs.
+ * @param {Object} doc - Document snapshot
+ * @returns {Object} Export with its id and ISO timestamps
+ */
+const serializeDataExport = (doc) =>
+  toPlainData({ id: doc.id, ...omit(doc.data(), ['storagePath']) });
+
+/**
+ * Converts an audit record about a user for their export. The actor is
+ * someone else, an admin or the user themselves, so only the action, its
+ * time and the role of the actor are kept, not their email, IP address or
+ * user agent.
+ * @param {Object} doc - Audit record snapshot
+ * @returns {{action: string, actorRole: ?string, createdAt: string}}
+ */
+const toExportedAuditRecord = (doc) => ({
+  action: doc.get('action'),
+  actorRole: doc.get('actor.role') ?? null,
+  createdAt: doc.get('createdAt').toDate().toISOString(),
+});
+
+/**
+ * Reads the documents of the queries, without duplicates, in query order.
+ * @param {Array<Object>} queries - Firestore queries
+ * @returns {Promise<Array<Object>>} Document snapshots
+ */
+const getUniqueDocs = async (queries) => {
+  const snapshots = await Promise.all(queries.map((query) => query.get()));
+  const docs = new Map();
+  snapshots.forEach((snapshot) =>
+    snapshot.docs.forEach((doc) => docs.set(doc.ref.path, doc))
+  );
+  return [...docs.values()];
+};
+
+/**
+ * Gathers everything held about a user: the auth record, the profile of
+ * their role collection and every record and file linked to their uid.
+ * @param {string} uid - User ID
+ * @returns {Promise<{record: Object, sections: Array<Object>, files: Array<Object>}>}
+ * `sections` are `{ name, title, data }` JSON files, `files` are `{ name, data }`
+ * stored files
+ */
+const collectPersonalData = async (uid) => {
+  const record = await backend.users.getUser(uid);
+  const claims = record.customClaims || {};
+  const patientRef = backend.firestore.collection(PATIENT_ROLE).doc(uid);
+
+  const [admin, quota, availability] = await Promise.all([
+    adminsRef().doc(uid).get(),
+    quotasRef().doc(uid).get(),
+    backend.firestore
+      .collection(APPOINTMENT_COLLECTIONS.AVAILABILITY)
+      .doc(uid)
+      .get(),
+  ]);
+  // Admins keep the profile of the role they had before their promotion
+  const role = admin.exists ? admin.get('previousRole') : claims.role;
+  const appointmentsRef = backend.firestore.collection(
+    APPOINTMENT_COLLECTIONS.APPOINTMENTS
+  );
+
+  const [
+    profile,
+    appointments,
+    consents,
+    journalEntries,
+    journalShares,
+    documents,
+    credentials,
+    auditRecords,
+  ] = await Promise.all([
+    VALID_ROLES.includes(role) ? getProfileData(uid, role) : null,
+    getUniqueDocs([
+      appointmentsRef.where('patientId', '==', uid),
+      appointmentsRef.where('doctorId', '==', uid),
+    ]),
+    getUniqueDocs([
+      consentsRef().where('patientId', '==', uid),
+      consentsRef().where('doctorId', '==', uid),
+    ]),
+    patientRef.collection(JOURNAL_COLLECTIONS.ENTRIES).orderBy('date').get(),
+    patientRef.collection(JOURNAL_COLLECTIONS.SHARES).get(),
+    documentsRef(uid).orderBy('createdAt').get(),
+    credentialsRef().where('doctorId', '==', uid).orderBy('submittedAt').get(),
+    // Records of what admins did to others hold their data, not the user's
+    queryAuditLog({ targetId: uid })
+      .limit(AUDIT_SETTINGS.MAX_EXPORT_RECORDS)
+      .get(),
+  ]);
+
+  const sections = [
+    {
+      name: 'account.json',
+      title: 'Sign-in account',
+      data: toPlainData(
+        omit(record.toJSON(), ['passwordHash', 'passwordSalt'])
+      ),
+    },
+    {
+      name: 'profile.json',
+      title: 'Profile',
+      data: profile && toPlainData(profile),
+    },
+    {
+      name: 'admin.json',
+      title: 'Admin role',
+      data: admin.exists ? serializeAdmin(admin) : null,
+    },
+    {
+      name: 'appointments.json',
+      title: 'Appointments',
+      data: appointments.map(serializeRecord),
+    },
+    {
+      name: 'availability.json',
+      title: 'Appointment availability',
+      data: availability.exists ? serializeRecord(availability) : null,
+    },
+    {
+      name: 'consents.json',
+      title: 'Consent grants',
+      data: consents.map(serializeRecord),
+    },
+    {
+      name: 'journal-entries.json',
+      title: 'Journal entries',
+      data: journalEntries.docs.map(serializeRecord),
+    },
+    {
+      name: 'journal-shares.json',
+      title: 'Journal shares',
+      data: journalShares.docs.map(serializeRecord),
+    },
+    {
+      name: 'documents.json',
+      title: 'Medical documents',
+      data: documents.docs.map(serializeDocument),
+    },
+    {
+      name: 'storage-quota.json',
+      title: 'Document storage quota',
+      data: quota.exists ? serializeRecord(quota) : null,
+    },
+    {
+      name: 'credentials.json',
+      title: 'Credential submissions',
+      data: credentials.docs.map(serializeSubmission),
+    },
+    {
+      name: 'audit-log.json',
+      title: 'Account activity',
+      data: auditRecords.docs.map(toExportedAuditRecord).reverse(),
+    },
+  ].filter(({ data }) => (Array.isArray(data) ? data.length : data));
+
+  const files = [];
+  for (const doc of documents.docs) {
+    const { storagePath, fileName } = doc.data();
+    files.push({
+      name: `files/documents/${doc.id}-${path.basename(fileName)}`,
+      data: await backend.storage.download(storagePath),
+    });
+  }
+  for (const doc of credentials.docs) {
+    for (const { id, name, storagePath } of doc.get('documents')) {
+      files.push({
+        name: `files/credentials/${doc.id}/${id}-${path.basename(name)}`,
+        data: await backend.storage.download(storagePath),
+      });
+    }
+  }
+  for (const photoPath of getPhotoPaths(uid)) {
+    if (await backend.storage.exists(photoPath)) {
+      files.push({
+        name: `files/photo/${path.basename(photoPath)}`,
+        data: await backend.storage.download(photoPath),
+      });
+    }
+  }
+
+  return { record, sections, files };
+};
+
+/**
+ * Writes the human-readable summary of an archive.
+ * @param {Object} data - Result of collectPersonalData
+ * @param {Date} generatedAt - Generation time
+ * @returns {string}
+ */
+const toSummary = ({ record, sections, files }, generatedAt) => {
+  const describe = ({ data }) =>
+    Array.isArray(data)
+      ? `${data.length} record${data.length === 1 ? '' : 's'}`
+      : '1 record';
+
+  return [
+    'MedJournal personal data export',
+    '',
+    `Account: ${record.email ?? record.uid}`,
+    `User ID: ${record.uid}`,
+    `Generated at: ${generatedAt.toISOString()}`,
+    '',
+    'This archive holds every record we keep about you. Each JSON file',
+    'holds one kind of record, dates are in UTC (ISO 8601).',
+    '',
+    'Contents:',
+    ...sections.map(
+      (section) =>
+        `  ${section.name.padEnd(24)}${section.title} (${describe(section)})`
+    ),
+    ...(files.length
+      ? [`  ${'files/'.padEnd(24)}Uploaded files (${files.length})`]
+      : []),
+    '',
+  ].join('\n');
+};
+
+/**
+ * Builds the ZIP archive of a user's personal data: a README.txt summary,
+ * one JSON file per kind of record and the uploaded files.
+ * @param {string} uid - User ID
+ * @returns {Promise<{archive: Buffer, contents: Object<string, number>}>}
+ * The archive and the number of records of each JSON file
+ */
+const buildDataArchive = async (uid) => {
+  const generatedAt = new Date();
+  const data = await collectPersonalData(uid);
+
+  const archive = createZip(
+    [
+      { name: 'README.txt', data: toSummary(data, generatedAt) },
+      ...data.sections.map(({ name, data: sectionData }) => ({
+        name,
+        data: JSON.stringify(sectionData, null, 2),
+      })),
+      ...data.files,
+    ],
+    { modifiedAt: generatedAt }
+  );
+
+  return {
+    archive,
+    contents: Object.fromEntries(
+      data.sections.map(({ name, data: sectionData }) => [
+        name,
+        Array.isArray(sectionData) ? sectionData.length : 1,
+      ])
+    ),
+  };
+};
+
+/**
+ * Builds and stores the archive of a pending export. Failed attempts leave
+ * it pending for the cron job, up to MAX_ATTEMPTS, then mark it failed.
+ * Exports that are not pending or processing are left alone.
+ * @param {string} exportId - Export id
+ * @returns {Promise<string|null>} Status it ended with, null when not found
+ */
+const processDataExport = async (exportId) => {
+  const { PENDING, PROCESSING, READY, FAILED } = DATA_EXPORT_STATUS;
+  const exportRef = dataExportsRef().doc(exportId);
+
+  const snapshot = await exportRef.get();
+  if (!snapshot.exists) return null;
+  const { uid, status, attempts } = snapshot.data();
+  if (![PENDING, PROCESSING].includes(status)) return status;
+
+  await exportRef.update({
+    status: PROCESSING,
+    attempts: attempts + 1,
+    updatedAt: Timestamp.now(),
+  });
+
+  try {
+    const { archive, contents } = await buildDataArchive(uid);
+    const storagePath = getExportPath(uid, exportId);
+    await backend.storage.save(storagePath, archive, {
+      contentType: 'application/zip',
+    });
+
+    const now = Timestamp.now();
+    await exportRef.update({
+      status: READY,
+      storagePath,
+      size: archive.length,
+      contents,
+      updatedAt: now,
+      completedAt: now,
+      expiresAt: Timestamp.fromMillis(
+        now.toMillis() + DATA_EXPORT_SETTINGS.RETENTION_DAYS * DAY_MS
+      ),
+    });
+    return READY;
+  } catch (error) {
+    console.error(`Error exporting the data of user ${uid}:`, error);
+    const nextStatus =
+      attempts + 1 >= DATA_EXPORT_SETTINGS.MAX_ATTEMPTS ? FAILED : PENDING;
+    await exportRef.update({ status: nextStatus, updatedAt: Timestamp.now() });
+    return nextStatus;
+  }
+};
+
+/**
+ * Retries exports left pending or processing for STALE_AFTER_MS, one at a
+ * time as each archive is built in memory, and deletes the archives of
+ * ready exports past their expiry.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {Promise<{ready: number, failed: number, expired: number}>} Number of exports that became ready, failed or expired
+ */
+const processDataExports = async ({ now = new Date() } = {}) => {
+  const { PENDING, PROCESSING, READY, FAILED, EXPIRED } = DATA_EXPORT_STATUS;
+  const counts = { ready: 0, failed: 0, expired: 0 };
+
+  const staleBefore = Timestamp.fromMillis(
+    now.getTime() - DATA_EXPORT_SETTINGS.STALE_AFTER_MS
+  );
+  const stale = await dataExportsRef()
+    .where('status', 'in', [PENDING, PROCESSING])
+    .where('updatedAt', '<=', staleBefore)
+    .orderBy('updatedAt')
+    .get();
+
+  for (const doc of stale.docs) {
+    const status = await processDataExport(doc.id);
+    if (status === READY) counts.ready += 1;
+    if (status === FAILED) counts.failed += 1;
+  }
+
+  const expired = await dataExportsRef()
+    .where('status', '==', READY)
+    .where('expiresAt', '<=', Timestamp.fromDate(now))
+    .get();
+
+  for (const doc of expired.docs) {
+    await backend.storage.delete(doc.get('storagePath'));
+    await doc.ref.update({
+      status: EXPIRED,
+      storagePath: null,
+      updatedAt: Timestamp.now(),
+    });
+    counts.expired += 1;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  dataExportsRef,
+  serializeDataExport,
+  collectPersonalData,
+  buildDataArchive,
+  processDataExport,
+  processDataExports,
+};
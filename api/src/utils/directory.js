@@ -0,0 +1,433 @@
+const { omit } = require('radash');
+const { ADMIN_ROLE, DOCTOR_ROLE, PATIENT_ROLE } = require('./constants');
+const { getUserRole } = require('./permissions');
+const { encodeCursor, decodeCursor } = require('./cursor');
+const { ValidationError } = require('./errors');
+const { SearchQuery } = require('./functions');
+const {
+  getIndexedUsers,
+  getIndexedPage,
+  countIndexedUsers,
+  getFacetValues,
+} = require('./searchIndex');
+const {
+  DIRECTORY_FILTERS,
+  SORT_FIELDS,
+  normalize,
+  toList,
+  toQueryTokens,
+  matchesWithTypos,
+} = require('./directoryFilters');
+const { createCache } = require('../cache');
+
+const PAGE_SIZE = 10;
+
+// Search results and listing counts by directory, keyed
+// `<directory>:<search and filters>`
+const searchCache = createCache('directory-search');
+
+/**
+ * Filters available in each directory: admins browse every user, patients
+ * browse doctors and doctors browse their patients.
+ * @constant
+ * @type {Object<string, Array<string>>}
+ */
+const FILTERS_BY_DIRECTORY = {
+  [ADMIN_ROLE]: [
+    'role',
+    'disabled',
+    'emailVerified',
+    'profileComplete',
+    'deleted',
+  ],
+  [DOCTOR_ROLE]: [
+    'specialty',
+    'city',
+    'language',
+    'verified',
+    'acceptingNewPatients',
+  ],
+  [PATIENT_ROLE]: [],
+};
+
+// Fields of the index entries listings are ordered by, by sort
+const INDEX_SORT_FIELDS = {
+  name: 'sortName',
+  createdAt: 'createdAt',
+};
+
+/**
+ * Returns which directory a user browses.
+ * @param {Object} user - Decoded token of the requester
+ * @returns {string} ADMIN_ROLE for every user, else the role being listed
+ */
+const getDirectory = (user) => {
+  const role = getUserRole(user);
+  if (role === ADMIN_ROLE) return ADMIN_ROLE;
+  return role === DOCTOR_ROLE ? PATIENT_ROLE : DOCTOR_ROLE;
+};
+
+/**
+ * Returns the role listed by a directory, none for the admin directory.
+ * @param {string} directory - Result of getDirectory
+ * @returns {string|undefined}
+ */
+const getDirectoryRole = (directory) =>
+  directory === ADMIN_ROLE ? undefined : directory;
+
+/**
+ * Adds the filters every request of a directory has: directories of a role
+ * only list complete profiles that are not deleted.
+ * @param {string} directory - Result of getDirectory
+ * @param {Object} filters - Requested filters
+ * @returns {Object} Filters of the index query
+ */
+const withDirectoryFilters = (directory, filters) =>
+  getDirectoryRole(directory)
+    ? { ...filters, profileComplete: true, deleted: false }
+    : filters;
+
+const sortFacet = (facet) =>
+  facet.sort(
+    (a, b) => b.count - a.count || String(a.value).localeCompare(b.value)
+  );
+
+/**
+ * Counts the values of each filterable field among loaded users. The count
+ * of a field ignores its own filter, so clients can show how many results
+ * each option adds.
+ * @param {Object} loaded - Result of getDirectoryUsers
+ * @param {Array<string>} keys - Filterable fields of the directory
+ * @returns {Object<string, Array<{value: *, count: number}>>} Facets
+ */
+const getFacets = ({ users, facetUsers }, keys) =>
+  Object.fromEntries(
+    keys.map((key) => {
+      const counts = new Map();
+
+      (facetUsers[key] ?? users).forEach((user) => {
+        toList(DIRECTORY_FILTERS[key].get(user)).forEach((value) => {
+          const id = typeof value === 'string' ? normalize(value) : value;
+          const facet = counts.get(id) || { value, count: 0 };
+          facet.count += 1;
+          counts.set(id, facet);
+        });
+      });
+
+      return [key, sortFacet([...counts.values()])];
+    })
+  );
+
+/**
+ * Counts the users of a listing and, like getFacets, the values of each
+ * filterable field, with count aggregations. String fields count the
+ * values indexed users have, see getFacetValues.
+ * @param {string} directory - Result of getDirectory
+ * @param {Object} filters - Requested filters
+ * @returns {Promise<{totalCount: number, facets: Object}>}
+ */
+const countDirectory = async (directory, filters) => {
+  const count = (countFilters) =>
+    countIndexedUsers({
+      role: getDirectoryRole(directory),
+      filters: withDirectoryFilters(directory, countFilters),
+    });
+
+  const facets = await Promise.all(
+    FILTERS_BY_DIRECTORY[directory].map(async (key) => {
+      const values =
+        DIRECTORY_FILTERS[key].type === 'boolean'
+          ? [true, false].map((value) => ({ value, expected: value }))
+          : (await getFacetValues(key)).map(({ id, value }) => ({
+              value,
+              expected: [id],
+            }));
+
+      const counted = await Promise.all(
+        values.map(async ({ value, expected }) => ({
+          value,
+          count: await count({ ...omit(filters, [key]), [key]: expected }),
+        }))
+      );
+      return [key, sortFacet(counted.filter((facet) => facet.count > 0))];
+    })
+  );
+
+  return {
+    totalCount: await count(filters),
+    facets: Object.fromEntries(facets),
+  };
+};
+
+/**
+ * Ranks the candidates of a search with the fuzzy search. Candidates it
+ * does not match but that match with typos follow, with a score of 0.
+ * @param {Array<string>|string} search - Search terms
+ * @param {Array<Object>} users - Candidates read by their search tokens
+ * @returns {Array<Object>} Matching users with their `searchScore`, best first
+ */
+const rankUsers = (search, users) => {
+  const ranked = SearchQuery(search, users, { limit: users.length });
+  const found = new Set(ranked.map(({ uid }) => uid));
+
+  return [
+    ...ranked,
+    ...users
+      .filter((user) => !found.has(user.uid) && matchesWithTypos(search, user))
+      .map((user) => ({ ...user, searchScore: 0 })),
+  ];
+};
+
+const getSort = (search, sort = {}) => {
+  const by = sort.by || (search?.length ? 'relevance' : 'name');
+  const order = sort.order || (by === 'name' ? 'asc' : 'desc');
+  return { by, order };
+};
+
+const compareValues = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+
+/**
+ * Returns the key users are ordered by: their sort value, then their uid
+ * to order equal values, as index queries do in getIndexedPage.
+ * @param {Object} user - Indexed user, with its `searchScore` when searched
+ * @param {string} by - Sort field, or 'relevance'
+ * @returns {Array} `[sort value, uid]`
+ */
+const toSortKey = (user, by) => [
+  by === 'relevance' ? user.searchScore : SORT_FIELDS[by](user),
+  user.uid,
+];
+
+const compareKeys = ([value, uid], [otherValue, otherUid], order) => {
+  const result =
+    compareValues(value, otherValue) || compareValues(uid, otherUid);
+  return order === 'desc' ? -result : result;
+};
+
+/**
+ * Pages users read in full, such as search results, like getIndexedPage
+ * pages the index: after or before the sort key of a cursor.
+ * @param {Array<Object>} users - Users to page
+ * @param {Object} sort - `{ by, order }`
+ * @param {Object} query - `{ after, before, limit }` of getDirectoryQuery
+ * @returns {{users: Array<Object>, hasNextPage: boolean, hasPrevPage: boolean}}
+ */
+const pageUsers = (users, { by, order }, { after, before, limit }) => {
+  const sorted = [...users].sort((a, b) =>
+    compareKeys(toSortKey(a, by), toSortKey(b, by), order)
+  );
+  const countUntil = (key, inclusive) =>
+    sorted.filter((user) => {
+      const result = compareKeys(toSortKey(user, by), key, order);
+      return inclusive ? result <= 0 : result < 0;
+    }).length;
+
+  const end = before ? countUntil(before, false) : undefined;
+  const start = before
+    ? Math.max(end - limit, 0)
+    : after
+    ? countUntil(after, true)
+    : 0;
+  const stop = end ?? start + limit;
+
+  return {
+    users: sorted.slice(start, stop),
+    hasNextPage: stop < sorted.length,
+    hasPrevPage: start > 0,
+  };
+};
+
+const getDefaultFilters = (directory) =>
+  Object.fromEntries(
+    FILTERS_BY_DIRECTORY[directory]
+      .filter((key) => DIRECTORY_FILTERS[key].default !== undefined)
+      .map((key) => [key, DIRECTORY_FILTERS[key].default])
+  );
+
+/**
+ * Resolves the query of a directory request. A cursor carries the query it
+ * was issued for, so the other fields of the body are ignored when one is
+ * sent, and the sort key of the user its page starts after or ends before.
+ * @param {Object} user - Decoded token of the requester
+ * @param {Object} body - Validated request body
+ * @returns {Object} `{ directory, search, filters, sort, after, before, limit }`
+ * @throws {ValidationError} INVALID_CURSOR for a cursor of another user or directory
+ */
+const getDirectoryQuery = (user, body) => {
+  const directory = getDirectory(user);
+  const { limit } = body;
+
+  if (!body.cursor) {
+    const { search, sort } = body;
+    const filters = { ...getDefaultFilters(directory), ...body.filters };
+    return { directory, search, filters, sort, limit };
+  }
+
+  const cursor = decodeCursor(body.cursor);
+  if (cursor.uid !== user.uid || cursor.directory !== directory) {
+    throw new ValidationError(
+      'The requested page is not available',
+      [],
+      'INVALID_CURSOR'
+    );
+  }
+
+  const { after, before } = cursor;
+  return { directory, ...cursor.query, after, before, limit };
+};
+
+/**
+ * Reads the users of a directory search, or of a directory restricted to
+ * given users, from the search index. Searches read every user with a
+ * token of the search terms, or a typo variant of one, and rank them. Each
+ * field filtered on is read again without its filter for its facet.
+ * Search results are cached until a write to a user of the directory
+ * invalidates them, except when restricted to given users.
+ * @param {Object} query - Result of getDirectoryQuery
+ * @param {Array<string>} [uids] - Only these users, such as the patients of a doctor
+ * @returns {Promise<{users: Array<Object>, facetUsers: Object<string, Array<Object>>}>} Indexed users, ordered by score when searched, and the users of each filtered facet
+ */
+const getDirectoryUsers = async (query, uids) => {
+  const { directory, search, filters = {} } = query;
+  const searched = Boolean(search?.length);
+
+  const load = async (directoryFilters) => {
+    const users = await getIndexedUsers({
+      uids,
+      role: getDirectoryRole(directory),
+      filters: withDirectoryFilters(directory, directoryFilters),
+      tokens: searched ? toQueryTokens(search) : [],
+    });
+    return searched ? rankUsers(search, users) : users;
+  };
+  const loadAll = async () => {
+    const facetKeys = FILTERS_BY_DIRECTORY[directory].filter(
+      (key) => filters[key] !== undefined
+    );
+    const facetUsers = {};
+    for (const key of facetKeys) {
+      facetUsers[key] = await load(omit(filters, [key]));
+    }
+    return { users: await load(filters), facetUsers };
+  };
+
+  if (uids) return loadAll();
+
+  return searchCache.remember(
+    `${directory}:${JSON.stringify({ search, filters })}`,
+    loadAll
+  );
+};
+
+/**
+ * Reads a page of a directory listing from the search index, with the
+ * query of the page in sort order, and counts the listing with count
+ * aggregations (cached like search results).
+ * @param {Object} query - Result of getDirectoryQuery
+ * @param {Object} sort - `{ by, order }`
+ * @returns {Promise<Object>} `{ users, hasNextPage, hasPrevPage, totalCount, facets }`
+ */
+const listDirectory = async (query, { by, order }) => {
+  const { directory, filters = {}, after, before, limit } = query;
+
+  const [page, counts] = await Promise.all([
+    getIndexedPage({
+      role: getDirectoryRole(directory),
+      filters: withDirectoryFilters(directory, filters),
+      sort: { field: INDEX_SORT_FIELDS[by], order },
+      after,
+      before,
+      limit,
+    }),
+    searchCache.remember(`${directory}:${JSON.stringify({ filters })}`, () =>
+      countDirectory(directory, filters)
+    ),
+  ]);
+
+  return {
+    users: page.users,
+    // A cursor points at a user of an adjacent page
+    hasNextPage: before ? true : page.hasMore,
+    hasPrevPage: before ? page.hasMore : Boolean(after),
+    ...counts,
+  };
+};
+
+/**
+ * Drops cached search results that may list users of the given roles, or
+ * every cached search result without roles. Call it after writing accounts,
+ * claims or profiles.
+ * @param {Array<string>} [roles] - Roles of the written users
+ */
+const invalidateDirectories = async (roles) => {
+  if (!roles) return searchCache.invalidate();
+
+  // The admin directory lists users of every role
+  const directories = new Set([ADMIN_ROLE, ...roles.filter(Boolean)]);
+  await Promise.all(
+    [...directories].map((directory) => searchCache.invalidate(`${directory}:`))
+  );
+};
+
+/**
+ * Reads a page of a directory request with its counts and facets. Listings
+ * are paged by the index query, searches and directories restricted to
+ * given users are read in full and paged here. Cursors hold the sort key
+ * of the last or first user of the page.
+ * @param {Object} user - Decoded token of the requester, cursors are bound to it
+ * @param {Object} query - Result of getDirectoryQuery
+ * @param {Array<string>} [uids] - Only these users, such as the patients of a doctor
+ * @returns {Promise<Object>} Page of users with cursors and facets
+ */
+const queryDirectory = async (user, query, uids) => {
+  const { directory, search, filters = {}, limit = PAGE_SIZE } = query;
+  const sort = getSort(search, query.sort);
+
+  let result;
+  if (search?.length || uids) {
+    const loaded = await getDirectoryUsers(query, uids);
+    result = {
+      ...pageUsers(loaded.users, sort, { ...query, limit }),
+      totalCount: loaded.users.length,
+      facets: getFacets(loaded, FILTERS_BY_DIRECTORY[directory]),
+    };
+  } else {
+    result = await listDirectory({ ...query, limit }, sort);
+  }
+
+  const { users, hasNextPage, hasPrevPage } = result;
+  const toCursor = (position) =>
+    encodeCursor({
+      uid: user.uid,
+      directory,
+      query: { search, filters, sort: query.sort },
+      ...position,
+    });
+
+  return {
+    users,
+    totalCount: result.totalCount,
+    nextCursor:
+      hasNextPage && users.length
+        ? toCursor({ after: toSortKey(users[users.length - 1], sort.by) })
+        : null,
+    prevCursor:
+      hasPrevPage && users.length
+        ? toCursor({ before: toSortKey(users[0], sort.by) })
+        : null,
+    hasNextPage,
+    hasPrevPage,
+    facets: result.facets,
+  };
+};
+
+module.exports = {
+  DIRECTORY_FILTERS,
+  FILTERS_BY_DIRECTORY,
+  SORT_FIELDS,
+  PAGE_SIZE,
+  getDirectory,
+  getDirectoryQuery,
+  invalidateDirectories,
+  queryDirectory,
+};
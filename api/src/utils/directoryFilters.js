@@ -0,0 +1,241 @@
+/**
+ * Structured filters of the user directory and the index fields Firestore
+ * queries them on. Index documents keep a normalized copy of each filter
+ * value under `index.filters` and the prefixes and typo variants of their
+ * searchable words under `index.tokens`, so searches and filters are
+ * answered by the database instead of by reading every user.
+ */
+
+// Longest word prefix stored in, and searched for in, `index.tokens`
+const MAX_TOKEN_LENGTH = 20;
+
+// Shortest word also indexed and searched with one letter left out. Two
+// words one typo apart (a wrong, missing, extra or swapped letter) share
+// such a variant, or one is the variant of the other.
+const MIN_TYPO_WORD_LENGTH = 4;
+
+// Most disjunctions of a Firestore query: the product of the value counts
+// of its `in` and `array-contains-any` filters
+const MAX_QUERY_DISJUNCTIONS = 30;
+
+/**
+ * Structured filters of the user directory, read from indexed users.
+ * `string` filters match any of the requested values (case-insensitive),
+ * against every item for `list` filters. Those are indexed as lists and
+ * queried with `array-contains-any`, which a query holds only once, so a
+ * directory has at most one of them. A `default` applies when the request
+ * leaves the filter out.
+ * @constant
+ * @type {Object<string, {type: string, list?: boolean, get: Function, default?: *}>}
+ */
+const DIRECTORY_FILTERS = {
+  specialty: { type: 'string', get: (user) => user.profile?.specialty },
+  city: { type: 'string', get: (user) => user.profile?.clinicAddress?.city },
+  language: {
+    type: 'string',
+    list: true,
+    get: (user) => user.profile?.languages,
+  },
+  verified: { type: 'boolean', get: (user) => Boolean(user.verified) },
+  // Doctors accept new patients unless they say otherwise
+  acceptingNewPatients: {
+    type: 'boolean',
+    get: (user) => user.profile?.acceptingNewPatients !== false,
+  },
+  role: { type: 'string', get: (user) => user.role },
+  disabled: { type: 'boolean', get: (user) => Boolean(user.disabled) },
+  emailVerified: {
+    type: 'boolean',
+    get: (user) => Boolean(user.emailVerified),
+  },
+  profileComplete: {
+    type: 'boolean',
+    get: (user) => Boolean(user.profile?.isProfileComplete),
+  },
+  // Soft deleted accounts only show up when asked for
+  deleted: {
+    type: 'boolean',
+    get: (user) => Boolean(user.deletedAt),
+    default: false,
+  },
+};
+
+/**
+ * Sort values of indexed users by sort, stored in the index entries as the
+ * `index` fields of INDEX_SORT_FIELDS (see directory.js) and held by cursors.
+ * @constant
+ * @type {Object<string, Function>}
+ */
+const SORT_FIELDS = {
+  name: (user) => user.displayName?.toLowerCase() ?? '',
+  createdAt: (user) => Date.parse(user.createdAt) || 0,
+};
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (item) => item !== undefined && item !== null && item !== ''
+  );
+
+const toWords = (value) =>
+  toList(value).flatMap((item) =>
+    normalize(item)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+  );
+
+/**
+ * Lists the words one letter shorter than a word, for typo matching.
+ * @param {string} word - Normalized word
+ * @returns {Array<string>} Variants, none for words shorter than MIN_TYPO_WORD_LENGTH
+ */
+const toTypoVariants = (word) =>
+  word.length < MIN_TYPO_WORD_LENGTH
+    ? []
+    : Array.from(
+        word,
+        (_, index) => word.slice(0, index) + word.slice(index + 1)
+      );
+
+/**
+ * Lists the tokens a searched word is looked up by: the word itself, up to
+ * MAX_TOKEN_LENGTH, and its typo variants.
+ * @param {string} word - Normalized word
+ * @returns {Array<string>}
+ */
+const toWordTokens = (word) => {
+  const token = word.slice(0, MAX_TOKEN_LENGTH);
+  return [token, ...toTypoVariants(token)];
+};
+
+/**
+ * Normalizes the filter values of a user for `index.filters`: booleans as
+ * they are, `list` filters as lists of distinct values and other string
+ * filters as one value or null.
+ * @param {Object} user - Processed user record with its `deletedAt`
+ * @returns {Object<string, boolean|string|Array<string>|null>}
+ */
+const toIndexedFilters = (user) =>
+  Object.fromEntries(
+    Object.entries(DIRECTORY_FILTERS).map(([key, { type, list, get }]) => {
+      if (type === 'boolean') return [key, get(user)];
+
+      const values = [...new Set(toList(get(user)).map(normalize))];
+      return [key, list ? values : values[0] ?? null];
+    })
+  );
+
+/**
+ * Checks indexed filter values against requested filters.
+ * @param {Object} indexed - `index.filters` of an index entry
+ * @param {Object} filters - Values of DIRECTORY_FILTERS by key
+ * @returns {boolean}
+ */
+const matchesIndexedFilters = (indexed, filters) =>
+  Object.entries(filters).every(([key, expected]) => {
+    const value = indexed?.[key];
+    if (DIRECTORY_FILTERS[key].type === 'boolean') return value === expected;
+
+    const wanted = expected.map(normalize);
+    return toList(value).some((item) => wanted.includes(item));
+  });
+
+/**
+ * Counts the disjunctions of a query on filters: each string filter
+ * matches any of its values.
+ * @param {Object} filters - Values of DIRECTORY_FILTERS by key
+ * @returns {number}
+ */
+const countDisjunctions = (filters) =>
+  Object.entries(filters)
+    .filter(([key]) => DIRECTORY_FILTERS[key].type === 'string')
+    .reduce((product, [, values]) => product * values.length, 1);
+
+/**
+ * Lists the prefixes and typo variants of the words a user is found by:
+ * names, email, IDs and the doctor fields of the directory.
+ * @param {Object} user - Processed user record
+ * @returns {Array<string>} Distinct tokens for `index.tokens`
+ */
+const toSearchTokens = (user) => {
+  const { profile } = user;
+  const words = toWords([
+    user.uid,
+    user.displayName,
+    user.email,
+    user.role,
+    profile?.[`${user.role}_id`],
+    profile?.specialty,
+    profile?.clinicAddress?.city,
+    profile?.clinicAddress?.state,
+    ...(profile?.languages ?? []),
+  ]);
+
+  const tokens = new Set();
+  words.forEach((word) => {
+    const end = Math.min(word.length, MAX_TOKEN_LENGTH);
+    for (let length = 1; length <= end; length += 1) {
+      tokens.add(word.slice(0, length));
+    }
+    toTypoVariants(word.slice(0, end)).forEach((variant) =>
+      tokens.add(variant)
+    );
+  });
+  return [...tokens];
+};
+
+/**
+ * Picks the tokens a search term is looked up by: the prefix of its longest
+ * word and its typo variants. Candidates are then ranked by the fuzzy
+ * search, see matchesWithTypos for those it does not match.
+ * @param {Array<string>|string} search - Search terms
+ * @returns {Array<string>} Distinct tokens
+ */
+const toQueryTokens = (search) => [
+  ...new Set(
+    toList(search)
+      .map((term) =>
+        toWords(term).reduce(
+          (longest, word) => (word.length > longest.length ? word : longest),
+          ''
+        )
+      )
+      .filter(Boolean)
+      .flatMap(toWordTokens)
+  ),
+];
+
+/**
+ * Checks whether a user matches a search term with typos: every word of
+ * the term shares a token with the words of the user.
+ * @param {Array<string>|string} search - Search terms
+ * @param {Object} user - Processed user record
+ * @returns {boolean} Whether any term matches
+ */
+const matchesWithTypos = (search, user) => {
+  const tokens = new Set(toSearchTokens(user));
+  return toList(search).some((term) => {
+    const words = toWords(term);
+    return (
+      words.length > 0 &&
+      words.every((word) =>
+        toWordTokens(word).some((token) => tokens.has(token))
+      )
+    );
+  });
+};
+
+module.exports = {
+  DIRECTORY_FILTERS,
+  MAX_QUERY_DISJUNCTIONS,
+  SORT_FIELDS,
+  normalize,
+  toList,
+  toIndexedFilters,
+  matchesIndexedFilters,
+  countDisjunctions,
+  toSearchTokens,
+  toQueryTokens,
+  matchesWithTypos,
+};
@@ -0,0 +1,146 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const { omit } = require('radash');
+const backend = require('../data');
+const {
+  PATIENT_ROLE,
+  DOCUMENTS_COLLECTION,
+  STORAGE_QUOTAS_COLLECTION,
+  DOCUMENT_SETTINGS,
+} = require('./constants');
+
+/**
+ * Medical documents of patients. Metadata is stored under
+ * `patients/{uid}/documents/{documentId}` and the file itself in the bucket
+ * at `users/{uid}/documents/{documentId}`, only ever served through
+ * short-lived signed URLs.
+ */
+
+const documentsRef = (patientId) =>
+  backend.firestore
+    .collection(PATIENT_ROLE)
+    .doc(patientId)
+    .collection(DOCUMENTS_COLLECTION);
+
+const quotasRef = () => backend.firestore.collection(STORAGE_QUOTAS_COLLECTION);
+
+/**
+ * Storage path of the file of a document.
+ * @param {string} patientId - Owner of the document
+ * @param {string} documentId - Document id
+ * @returns {string}
+ */
+const getDocumentPath = (patientId, documentId) =>
+  `users/${patientId}/documents/${documentId}`;
+
+/**
+ * Converts a document snapshot for responses. The storage path stays
+ * internal, files are downloaded through signed URLs.
+ * @param {Object} doc - Document snapshot
+ * @returns {Object} Document metadata with its id and ISO timestamps
+ */
+const serializeDocument = (doc) => {
+  const document = omit(doc.data(), ['storagePath']);
+  return Object.fromEntries(
+    Object.entries({ id: doc.id, ...document }).map(([key, value]) => [
+      key,
+      value instanceof Timestamp ? value.toDate().toISOString() : value,
+    ])
+  );
+};
+
+/**
+ * Reads the storage quota of a patient and how much of it is used, in a
+ * transaction. The quota record counts the bytes in use as `usedBytes`,
+ * records written before that are counted from the documents once.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} patientId - Patient user ID
+ * @returns {Promise<{quotaBytes: number, usedBytes: number, custom: boolean}>}
+ * `custom` tells whether an admin set the quota
+ */
+const readStorageUsage = async (transaction, patientId) => {
+  const quotaSnapshot = await transaction.get(quotasRef().doc(patientId));
+  const quotaBytes = quotaSnapshot.get('quotaBytes') ?? null;
+  let usedBytes = quotaSnapshot.get('usedBytes');
+
+  if (usedBytes === undefined) {
+    const documents = await transaction.get(documentsRef(patientId));
+    usedBytes = documents.docs.reduce(
+      (total, doc) => total + doc.get('size'),
+      0
+    );
+  }
+
+  return {
+    quotaBytes: quotaBytes ?? DOCUMENT_SETTINGS.DEFAULT_QUOTA_BYTES,
+    usedBytes,
+    custom: quotaBytes !== null,
+  };
+};
+
+/**
+ * Reads the storage quota of a patient and how much of it is used.
+ * @param {string} patientId - Patient user ID
+ * @returns {Promise<{quotaBytes: number, usedBytes: number, custom: boolean}>}
+ */
+const getStorageUsage = (patientId) =>
+  backend.firestore.runTransaction((transaction) =>
+    readStorageUsage(transaction, patientId)
+  );
+
+/**
+ * Reserves storage for a file before it is stored, unless it does not fit
+ * in the quota of the patient. Concurrent uploads are counted one after
+ * the other, so together they cannot exceed the quota.
+ * @param {string} patientId - Patient user ID
+ * @param {number} bytes - File size
+ * @returns {Promise<{reserved: boolean, quotaBytes: number, usedBytes: number}>}
+ * The usage before the reservation
+ */
+const reserveStorage = (patientId, bytes) =>
+  backend.firestore.runTransaction(async (transaction) => {
+    const { quotaBytes, usedBytes } = await readStorageUsage(
+      transaction,
+      patientId
+    );
+    const reserved = usedBytes + bytes <= quotaBytes;
+
+    if (reserved) {
+      transaction.set(
+        quotasRef().doc(patientId),
+        { usedBytes: usedBytes + bytes },
+        { merge: true }
+      );
+    }
+    return { reserved, quotaBytes, usedBytes };
+  });
+
+/**
+ * Gives back storage reserved for a file, after a failed upload or with the
+ * deletion of the document it holds. A document deleted in the meantime
+ * gives nothing back, its storage is already released.
+ * @param {string} patientId - Patient user ID
+ * @param {number} bytes - File size
+ * @param {Object} [documentRef] - Document deleted in the same transaction
+ */
+const releaseStorage = (patientId, bytes, documentRef) =>
+  backend.firestore.runTransaction(async (transaction) => {
+    if (documentRef && !(await transaction.get(documentRef)).exists) return;
+
+    const { usedBytes } = await readStorageUsage(transaction, patientId);
+    if (documentRef) transaction.delete(documentRef);
+    transaction.set(
+      quotasRef().doc(patientId),
+      { usedBytes: Math.max(0, usedBytes - bytes) },
+      { merge: true }
+    );
+  });
+
+module.exports = {
+  documentsRef,
+  quotasRef,
+  getDocumentPath,
+  serializeDocument,
+  getStorageUsage,
+  reserveStorage,
+  releaseStorage,
+};
@@ -0,0 +1,139 @@
+const { AppError, ValidationError } = require('./errors');
+const { PASSWORD_POLICY } = require('./constants');
+
+/**
+ * Firebase Auth error codes mapped to HTTP statuses and application codes.
+ * @constant
+ * @type {Object<string, [number, string, string]>}
+ */
+const AUTH_ERRORS = {
+  'auth/user-not-found': [404, 'USER_NOT_FOUND', 'User not found'],
+  'auth/email-already-exists': [
+    409,
+    'EMAIL_ALREADY_EXISTS',
+    'The email address is already in use',
+  ],
+  'auth/uid-already-exists': [409, 'UID_ALREADY_EXISTS', 'User already exists'],
+  'auth/phone-number-already-exists': [
+    409,
+    'PHONE_NUMBER_ALREADY_EXISTS',
+    'The phone number is already in use',
+  ],
+  'auth/invalid-email': [400, 'INVALID_EMAIL', 'Invalid email address'],
+  'auth/invalid-password': [
+    400,
+    'INVALID_PASSWORD',
+    `The password must be between ${PASSWORD_POLICY.MIN_LENGTH} and ${PASSWORD_POLICY.MAX_LENGTH} characters and mix at least ${PASSWORD_POLICY.MIN_CHARACTER_CLASSES} of lowercase letters, uppercase letters, digits and symbols`,
+  ],
+  'auth/invalid-uid': [400, 'INVALID_UID_FORMAT', 'Invalid user ID format'],
+  'auth/invalid-display-name': [
+    400,
+    'INVALID_DISPLAY_NAME',
+    'Invalid display name',
+  ],
+  'auth/invalid-photo-url': [400, 'INVALID_URL', 'Invalid profile picture URL'],
+  'auth/invalid-claims': [400, 'INVALID_CLAIMS', 'Invalid custom claims'],
+  'auth/claims-too-large': [400, 'CLAIMS_TOO_LARGE', 'Custom claims too large'],
+  'auth/maximum-user-count-exceeded': [
+    400,
+    'TOO_MANY_USERS',
+    'Too many users in a single request',
+  ],
+  'auth/argument-error': [401, 'INVALID_TOKEN', 'Invalid token'],
+  'auth/invalid-id-token': [401, 'INVALID_TOKEN', 'Invalid token'],
+  'auth/id-token-expired': [401, 'TOKEN_EXPIRED', 'Token expired, login again'],
+  'auth/id-token-revoked': [
+    401,
+    'TOKEN_REVOKED',
+    'Session revoked, login again',
+  ],
+  'auth/session-cookie-expired': [
+    401,
+    'SESSION_EXPIRED',
+    'Session expired, login again',
+  ],
+  'auth/session-cookie-revoked': [
+    401,
+    'SESSION_REVOKED',
+    'Session revoked, login again',
+  ],
+  'auth/user-disabled': [403, 'USER_DISABLED', 'This account is disabled'],
+  'auth/too-many-requests': [
+    429,
+    'RATE_LIMITED',
+    'Too many requests, please try again later',
+  ],
+};
+
+/**
+ * Firestore (gRPC) status codes mapped to HTTP statuses and application codes.
+ * @constant
+ * @type {Object<number, [number, string, string]>}
+ */
+const FIRESTORE_ERRORS = {
+  3: [400, 'INVALID_ARGUMENT', 'Invalid request'],
+  4: [504, 'TIMEOUT', 'The database did not answer in time'],
+  5: [404, 'NOT_FOUND', 'Not found'],
+  6: [409, 'ALREADY_EXISTS', 'The record already exists'],
+  7: [403, 'FORBIDDEN', 'Insufficient permissions'],
+  8: [429, 'RATE_LIMITED', 'Too many requests, please try again later'],
+  9: [409, 'FAILED_PRECONDITION', 'The request cannot be processed now'],
+  10: [409, 'CONFLICT', 'The record was changed, please retry'],
+  14: [503, 'SERVICE_UNAVAILABLE', 'Service temporarily unavailable'],
+  16: [401, 'UNAUTHORIZED', 'Login'],
+};
+
+/**
+ * Multipart upload (multer) error codes mapped to HTTP statuses and
+ * application codes. Other upload errors are 400 INVALID_UPLOAD.
+ * @constant
+ * @type {Object<string, [number, string, string]>}
+ */
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', 'The file is too large'],
+  LIMIT_FILE_COUNT: [400, 'TOO_MANY_FILES', 'Too many files were uploaded'],
+  LIMIT_UNEXPECTED_FILE: [400, 'UNEXPECTED_FILE', 'Unexpected file field'],
+};
+
+/**
+ * Converts any error into an AppError so it can be sent as the envelope.
+ * Unknown errors become a 500 INTERNAL_ERROR keeping the original as `cause`.
+ * @param {Error} err - Error thrown by a controller, middleware or Firebase
+ * @returns {AppError}
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  const mapped =
+    (err?.name === 'MulterError' &&
+      (UPLOAD_ERRORS[err.code] || [400, 'INVALID_UPLOAD', err.message])) ||
+    (typeof err?.code === 'string' && AUTH_ERRORS[err.code]) ||
+    (typeof err?.code === 'number' && FIRESTORE_ERRORS[err.code]);
+
+  if (mapped) {
+    const [status, code, message] = mapped;
+    return new AppError(message, { status, code, cause: err });
+  }
+
+  // Errors raised by express and body-parser carry a 4xx status
+  if (err?.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON body', [], 'INVALID_JSON');
+  }
+  const status = err?.status || err?.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(err.message, {
+      status,
+      code: 'BAD_REQUEST',
+      cause: err,
+    });
+  }
+
+  return new AppError('Something went wrong!', { cause: err });
+};
+
+module.exports = {
+  AUTH_ERRORS,
+  FIRESTORE_ERRORS,
+  UPLOAD_ERRORS,
+  toAppError,
+};
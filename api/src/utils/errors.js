@@ -0,0 +1,149 @@
+/**
+ * Application errors. Controllers and middleware throw (or pass to `next`)
+ * one of these and errorHandler turns it into the error envelope, using
+ * `status` for the HTTP status and `code` as the stable machine-readable code.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message sent to the client
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code='INTERNAL_ERROR'] - Machine-readable code
+   * @param {*} [options.details] - Extra data sent as `details`
+   * @param {Object} [options.headers] - Response headers to set
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(
+    message,
+    { status = 500, code = 'INTERNAL_ERROR', details, headers, cause } = {}
+  ) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Raised when a request does not match its schema.
+ * `errors` holds the field-by-field list sent back as `details`.
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {Array<{field: string, message: string}>} [errors=[]] - Field errors
+   * @param {string} [code='VALIDATION_FAILED'] - Machine-readable code
+   */
+  constructor(message, errors = [], code = 'VALIDATION_FAILED') {
+    super(message, {
+      status: 400,
+      code,
+      details: errors.length ? errors : undefined,
+    });
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Login', code = 'UNAUTHORIZED', options = {}) {
+    super(message, { ...options, status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(
+    message = 'Insufficient permissions to perform this action',
+    code = 'FORBIDDEN',
+    options = {}
+  ) {
+    super(message, { ...options, status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND', options = {}) {
+    super(message, { ...options, status: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', code = 'CONFLICT', options = {}) {
+    super(message, { ...options, status: 409, code });
+  }
+}
+
+/**
+ * The request is well formed but breaks a business rule, such as
+ * cancelling an appointment inside the cancellation window.
+ */
+class UnprocessableError extends AppError {
+  constructor(message, code = 'UNPROCESSABLE', options = {}) {
+    super(message, { ...options, status: 422, code });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(
+    message = 'The request is too large',
+    code = 'PAYLOAD_TOO_LARGE',
+    options = {}
+  ) {
+    super(message, { ...options, status: 413, code });
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(
+    message = 'Unsupported media type',
+    code = 'UNSUPPORTED_MEDIA_TYPE',
+    options = {}
+  ) {
+    super(message, { ...options, status: 415, code });
+  }
+}
+
+class RateLimitedError extends AppError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {number} [retryAfter] - Seconds until the client may retry
+   * @param {string} [code='RATE_LIMITED'] - Machine-readable code
+   */
+  constructor(
+    message = 'Too many requests, please try again later',
+    retryAfter,
+    code = 'RATE_LIMITED'
+  ) {
+    super(message, {
+      status: 429,
+      code,
+      headers: retryAfter ? { 'Retry-After': String(retryAfter) } : undefined,
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(
+    message = 'Service temporarily unavailable',
+    code = 'SERVICE_UNAVAILABLE',
+    options = {}
+  ) {
+    super(message, { ...options, status: 503, code });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  RateLimitedError,
+  ServiceUnavailableError,
+};
@@ -0,0 +1,426 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const { DOCTOR_ROLE, PATIENT_ROLE, FHIR_SETTINGS } = require('./constants');
+const { isVerified } = require('./permissions');
+const { isPlainObject } = require('./validators');
+const { toAppError } = require('./errorMapper');
+const { validateResource } = require('./fhirDefinitions');
+
+/**
+ * Mappings between accounts (auth record and role profile) and FHIR R4
+ * resources: patients are Patient resources and doctors Practitioner
+ * resources. Profile fields without a FHIR element are carried in
+ * extensions under BASE_URL. Accounts only hold a display name, its last
+ * word is exported as the family name.
+ */
+
+const { BASE_URL } = FHIR_SETTINGS;
+
+const SYSTEMS = {
+  [PATIENT_ROLE]: `${BASE_URL}/sid/patient-id`,
+  [DOCTOR_ROLE]: `${BASE_URL}/sid/doctor-id`,
+  LICENSE: `${BASE_URL}/sid/license-number`,
+  ERROR_CODE: `${BASE_URL}/CodeSystem/error-code`,
+  IDENTIFIER_TYPE: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+};
+
+const EXTENSIONS = {
+  BLOOD_TYPE: `${BASE_URL}/StructureDefinition/blood-type`,
+  ALLERGY: `${BASE_URL}/StructureDefinition/allergy`,
+  BIO: `${BASE_URL}/StructureDefinition/bio`,
+  ACCEPTING_NEW_PATIENTS: `${BASE_URL}/StructureDefinition/accepting-new-patients`,
+};
+
+const RESOURCE_TYPES = {
+  [PATIENT_ROLE]: 'Patient',
+  [DOCTOR_ROLE]: 'Practitioner',
+};
+const ROLES_BY_RESOURCE_TYPE = Object.fromEntries(
+  Object.entries(RESOURCE_TYPES).map(([role, type]) => [type, role])
+);
+
+// Profile genders (GENDERS) to administrative-gender codes, and back
+const FHIR_GENDERS = {
+  female: 'female',
+  male: 'male',
+  'non-binary': 'other',
+  other: 'other',
+  'prefer-not-to-say': 'unknown',
+};
+const PROFILE_GENDERS = {
+  female: 'female',
+  male: 'male',
+  other: 'other',
+  unknown: 'prefer-not-to-say',
+};
+
+// OperationOutcome issue types by HTTP status
+const ISSUE_TYPES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  413: 'too-long',
+  422: 'business-rule',
+  429: 'throttled',
+};
+
+/**
+ * Drops null, undefined and empty values, arrays and objects, which FHIR
+ * JSON does not allow.
+ * @param {*} value - JSON value
+ * @returns {*} The value, undefined when empty
+ */
+const prune = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(prune).filter((item) => item !== undefined);
+    return items.length ? items : undefined;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, prune(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+};
+
+const toHumanNames = (displayName) => {
+  const parts = displayName?.trim().split(/\s+/).filter(Boolean) ?? [];
+  if (!parts.length) return undefined;
+
+  return [
+    {
+      use: 'official',
+      text: parts.join(' '),
+      family: parts.length > 1 ? parts[parts.length - 1] : undefined,
+      given: parts.length > 1 ? parts.slice(0, -1) : parts,
+    },
+  ];
+};
+
+const toExtension = (url, key, value) =>
+  value === undefined || value === null ? null : { url, [key]: value };
+
+/**
+ * Builds the elements Patient and Practitioner resources share.
+ * @param {Object} record - Firebase user record
+ * @param {Object} profile - Role profile
+ * @param {string} role - Role of the account
+ * @returns {Object}
+ */
+const toPersonElements = (record, profile, role) => {
+  const updatedAt = profile.updatedAt ?? profile.createdAt;
+  const contactUse = role === DOCTOR_ROLE ? 'work' : 'home';
+
+  return {
+    resourceType: RESOURCE_TYPES[role],
+    id: record.uid,
+    meta: {
+      lastUpdated: (updatedAt instanceof Timestamp
+        ? updatedAt.toDate()
+        : new Date(record.metadata.creationTime)
+      ).toISOString(),
+    },
+    identifier: [
+      profile[`${role}_id`] && {
+        use: 'usual',
+        system: SYSTEMS[role],
+        value: profile[`${role}_id`],
+      },
+    ],
+    active: !record.disabled,
+    name: toHumanNames(record.displayName),
+    telecom: [
+      { system: 'email', value: record.email, use: contactUse },
+      {
+        system: 'phone',
+        value: profile.phoneNumber,
+        use: role === DOCTOR_ROLE ? 'work' : 'mobile',
+      },
+    ].filter(({ value }) => value),
+    gender: FHIR_GENDERS[profile.gender],
+    birthDate: profile.dateOfBirth,
+    photo: [{ url: record.photoURL }],
+  };
+};
+
+const toPatient = (record, profile) => {
+  const { emergencyContact: contact } = profile;
+
+  return {
+    ...toPersonElements(record, profile, PATIENT_ROLE),
+    extension: [
+      toExtension(EXTENSIONS.BLOOD_TYPE, 'valueString', profile.bloodType),
+      ...(profile.allergies ?? []).map((allergy) =>
+        toExtension(EXTENSIONS.ALLERGY, 'valueString', allergy)
+      ),
+    ],
+    contact: contact && [
+      {
+        relationship: [{ text: contact.relationship }],
+        name: { text: contact.name },
+        telecom: [{ system: 'phone', value: contact.phoneNumber }],
+      },
+    ],
+  };
+};
+
+const toPractitioner = (record, profile) => {
+  const { licenseNumber, clinicAddress: address } = profile;
+  const license = licenseNumber && {
+    use: 'official',
+    type: {
+      coding: [
+        {
+          system: SYSTEMS.IDENTIFIER_TYPE,
+          code: 'MD',
+          display: 'Medical License number',
+        },
+      ],
+    },
+    system: SYSTEMS.LICENSE,
+    value: licenseNumber,
+  };
+  const claims = record.customClaims || {};
+  const elements = toPersonElements(record, profile, DOCTOR_ROLE);
+
+  return {
+    ...elements,
+    extension: [
+      toExtension(EXTENSIONS.BIO, 'valueString', profile.bio),
+      toExtension(
+        EXTENSIONS.ACCEPTING_NEW_PATIENTS,
+        'valueBoolean',
+        profile.acceptingNewPatients
+      ),
+    ],
+    identifier: [...elements.identifier, license],
+    address: address && [
+      {
+        use: 'work',
+        type: 'physical',
+        line: [address.line1, address.line2],
+        city: address.city,
+        state: address.state,
+        postalCode: address.postalCode,
+        country: address.country,
+      },
+    ],
+    // The license is only dated once an admin approved it
+    qualification: profile.specialty && [
+      {
+        identifier: license && [license],
+        code: { text: profile.specialty },
+        period: isVerified(claims)
+          ? { end: new Date(claims.verifiedUntil * 1000).toISOString() }
+          : undefined,
+      },
+    ],
+    communication: profile.languages?.map((language) => ({ text: language })),
+  };
+};
+
+/**
+ * Serializes a doctor or patient account as a FHIR resource, checked
+ * against the structure definitions.
+ * @param {Object} record - Firebase user record
+ * @param {Object|null} profile - Role profile
+ * @returns {Object} Patient or Practitioner resource
+ * @throws {Error} When the account has no FHIR resource type or the mapping produced an invalid resource
+ */
+const toFhirResource = (record, profile) => {
+  const role = record.customClaims?.role;
+  if (!RESOURCE_TYPES[role]) {
+    throw new Error(`User ${record.uid} has no FHIR resource type`);
+  }
+
+  const resource = prune(
+    role === DOCTOR_ROLE
+      ? toPractitioner(record, profile ?? {})
+      : toPatient(record, profile ?? {})
+  );
+  const errors = validateResource(resource);
+  if (errors.length) {
+    throw new Error(
+      `Invalid ${resource.resourceType} of user ${record.uid}: ${JSON.stringify(
+        errors
+      )}`
+    );
+  }
+  return resource;
+};
+
+const getName = (names = []) =>
+  names.find((name) => name.use === 'official') ??
+  names.find((name) => !['old', 'maiden'].includes(name.use));
+
+const toDisplayName = (name) =>
+  name &&
+  (name.text ?? [...(name.given ?? []), name.family].filter(Boolean).join(' '));
+
+// Current contact points of a system, lowest rank first
+const getTelecom = (telecom = [], system) =>
+  telecom
+    .filter((point) => point.system === system && point.use !== 'old')
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))[0]?.value;
+
+const getExtensionValues = (resource, url, key) =>
+  (resource.extension ?? [])
+    .filter((extension) => extension.url === url)
+    .map((extension) => extension[key])
+    .filter((value) => value !== undefined);
+
+const getConceptText = (concept) =>
+  concept?.text ?? concept?.coding?.[0]?.display ?? concept?.coding?.[0]?.code;
+
+const isLicense = (identifier) =>
+  identifier.system === SYSTEMS.LICENSE ||
+  identifier.type?.coding?.some(
+    (coding) =>
+      coding.system === SYSTEMS.IDENTIFIER_TYPE && coding.code === 'MD'
+  );
+
+const withoutUndefined = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+const fromPatient = (resource) => {
+  const contact = resource.contact?.[0];
+  const allergies = getExtensionValues(
+    resource,
+    EXTENSIONS.ALLERGY,
+    'valueString'
+  );
+
+  return {
+    bloodType: getExtensionValues(
+      resource,
+      EXTENSIONS.BLOOD_TYPE,
+      'valueString'
+    )[0],
+    allergies: allergies.length ? allergies : undefined,
+    emergencyContact:
+      contact &&
+      withoutUndefined({
+        name: toDisplayName(contact.name),
+        relationship: getConceptText(contact.relationship?.[0]),
+        phoneNumber: getTelecom(contact.telecom, 'phone'),
+      }),
+  };
+};
+
+const fromPractitioner = (resource) => {
+  const address =
+    resource.address?.find((item) => item.use === 'work') ??
+    resource.address?.find((item) => item.use !== 'old');
+  const [line1, ...otherLines] = address?.line ?? [];
+
+  return {
+    specialty: getConceptText(resource.qualification?.[0]?.code),
+    licenseNumber: resource.identifier?.find(isLicense)?.value,
+    clinicAddress:
+      address &&
+      withoutUndefined({
+        line1,
+        line2: otherLines.length ? otherLines.join(', ') : undefined,
+        city: address.city,
+        state: address.state,
+        postalCode: address.postalCode,
+        country: address.country,
+      }),
+    bio: getExtensionValues(resource, EXTENSIONS.BIO, 'valueString')[0],
+    languages: resource.communication?.map(getConceptText).filter(Boolean),
+    acceptingNewPatients: getExtensionValues(
+      resource,
+      EXTENSIONS.ACCEPTING_NEW_PATIENTS,
+      'valueBoolean'
+    )[0],
+  };
+};
+
+/**
+ * Reads the account fields held by a valid Patient or Practitioner
+ * resource. Profile fields still have to be validated against the profile
+ * schema of the role.
+ * @param {Object} resource - Resource that passed validateResource
+ * @returns {{role: string, email: ?string, displayName: ?string, profile: Object}}
+ */
+const fromFhirResource = (resource) => {
+  const role = ROLES_BY_RESOURCE_TYPE[resource.resourceType];
+
+  return {
+    role,
+    email: getTelecom(resource.telecom, 'email'),
+    displayName: toDisplayName(getName(resource.name)),
+    profile: withoutUndefined({
+      phoneNumber: getTelecom(resource.telecom, 'phone'),
+      dateOfBirth: resource.birthDate,
+      gender: PROFILE_GENDERS[resource.gender],
+      ...(role === DOCTOR_ROLE
+        ? fromPractitioner(resource)
+        : fromPatient(resource)),
+    }),
+  };
+};
+
+/**
+ * Builds a Bundle. Its entries are given their full URL.
+ * @param {string} type - Bundle type
+ * @param {Array<Object>} entries - Entries, with their `resource`
+ * @param {Object} [elements] - Other elements of the bundle
+ * @returns {Object} Bundle resource
+ */
+const toBundle = (type, entries, elements = {}) =>
+  prune({
+    resourceType: 'Bundle',
+    type,
+    timestamp: new Date().toISOString(),
+    ...elements,
+    entry: entries.map((entry) => ({
+      fullUrl:
+        entry.resource?.id &&
+        `${BASE_URL}/${entry.resource.resourceType}/${entry.resource.id}`,
+      ...entry,
+    })),
+  });
+
+/**
+ * Describes an error as an OperationOutcome, with one issue per field
+ * error.
+ * @param {Error} error - Error of a request or of a bundle entry
+ * @returns {Object} OperationOutcome resource
+ */
+const toOperationOutcome = (error) => {
+  const { status, code, message, details } = toAppError(error);
+  const issue = {
+    severity: 'error',
+    code: ISSUE_TYPES[status] ?? 'exception',
+    details: {
+      coding: [{ system: SYSTEMS.ERROR_CODE, code }],
+      text: status < 500 ? message : 'Something went wrong!',
+    },
+  };
+  const fieldErrors = Array.isArray(details) ? details : [];
+
+  return prune({
+    resourceType: 'OperationOutcome',
+    issue: fieldErrors.length
+      ? fieldErrors.map(({ field, message: diagnostics }) => ({
+          ...issue,
+          diagnostics,
+          expression: [field],
+        }))
+      : [issue],
+  });
+};
+
+module.exports = {
+  RESOURCE_TYPES,
+  ROLES_BY_RESOURCE_TYPE,
+  toFhirResource,
+  fromFhirResource,
+  toBundle,
+  toOperationOutcome,
+};
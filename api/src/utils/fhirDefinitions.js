@@ -0,0 +1,625 @@
+const { isPlainObject } = require('./validators');
+
+/**
+ * FHIR R4 structure definitions of the resources the API reads and writes
+ * (Patient, Practitioner, Bundle, OperationOutcome) and of the data types
+ * they use, with the cardinality, type and required value set binding of
+ * every element, transcribed from https://hl7.org/fhir/R4/.
+ * `validateResource` checks JSON resources against them.
+ */
+
+// Regular expressions of the FHIR R4 primitive types
+const DATE_PATTERN =
+  '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?';
+const TIME_PATTERN =
+  '([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))';
+const matches = (pattern) => {
+  const regExp = new RegExp(`^(${pattern})$`);
+  return (value) => typeof value === 'string' && regExp.test(value);
+};
+const isInt32 = (value) =>
+  Number.isInteger(value) && value >= -2147483648 && value <= 2147483647;
+const isFhirString = (value) =>
+  typeof value === 'string' && /\S/.test(value) && value.length <= 1048576;
+
+const PRIMITIVE_TYPES = {
+  boolean: (value) => typeof value === 'boolean',
+  integer: isInt32,
+  positiveInt: (value) => isInt32(value) && value > 0,
+  unsignedInt: (value) => isInt32(value) && value >= 0,
+  decimal: (value) => typeof value === 'number' && Number.isFinite(value),
+  string: isFhirString,
+  markdown: isFhirString,
+  code: matches('[^\\s]+( [^\\s]+)*'),
+  id: matches('[A-Za-z0-9\\-\\.]{1,64}'),
+  uri: matches('\\S*'),
+  url: matches('\\S*'),
+  canonical: matches('\\S*'),
+  base64Binary: matches('(\\s*([0-9a-zA-Z\\+/=]){4}\\s*)+'),
+  date: matches(DATE_PATTERN),
+  dateTime: matches(
+    '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])' +
+      `(T${TIME_PATTERN})?)?)?`
+  ),
+  instant: matches(
+    '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])' +
+      `T${TIME_PATTERN}`
+  ),
+  xhtml: (value) => typeof value === 'string' && /^<div[\s>]/.test(value),
+};
+
+/**
+ * Element definition.
+ * @param {string|Array<string>|Object} type - Type name, type names of a
+ * `[x]` choice element, or the elements of a backbone element
+ * @param {Object} [options]
+ * @param {number} [options.min=0] - Minimum cardinality
+ * @param {number|string} [options.max=1] - Maximum cardinality, '*' for lists
+ * @param {Array<string>} [options.binding] - Codes of a required value set binding
+ * @returns {Object}
+ */
+const element = (type, { min = 0, max = 1, binding } = {}) => ({
+  type,
+  min,
+  max,
+  binding,
+});
+const list = (type, options) => element(type, { ...options, max: '*' });
+
+// Elements every data type and backbone element has
+const ELEMENT = {
+  id: element('string'),
+  extension: list('Extension'),
+};
+const BACKBONE_ELEMENT = {
+  ...ELEMENT,
+  modifierExtension: list('Extension'),
+};
+const backbone = (elements) => ({ ...BACKBONE_ELEMENT, ...elements });
+
+const RESOURCE = {
+  id: element('id'),
+  meta: element('Meta'),
+  implicitRules: element('uri'),
+  language: element('code'),
+};
+const DOMAIN_RESOURCE = {
+  ...RESOURCE,
+  text: element('Narrative'),
+  contained: list('Resource'),
+  extension: list('Extension'),
+  modifierExtension: list('Extension'),
+};
+
+// Required bindings
+const ADMINISTRATIVE_GENDER = ['male', 'female', 'other', 'unknown'];
+const BUNDLE_TYPES = [
+  'document',
+  'message',
+  'transaction',
+  'transaction-response',
+  'batch',
+  'batch-response',
+  'history',
+  'searchset',
+  'collection',
+];
+const ISSUE_TYPES = [
+  'invalid',
+  'structure',
+  'required',
+  'value',
+  'invariant',
+  'security',
+  'login',
+  'unknown',
+  'expired',
+  'forbidden',
+  'suppressed',
+  'processing',
+  'not-supported',
+  'duplicate',
+  'multiple-matches',
+  'not-found',
+  'deleted',
+  'too-long',
+  'code-invalid',
+  'extension',
+  'too-costly',
+  'business-rule',
+  'conflict',
+  'transient',
+  'lock-error',
+  'no-store',
+  'exception',
+  'timeout',
+  'incomplete',
+  'throttled',
+  'informational',
+];
+
+// Value types of Extension.value[x] accepted by the API
+const EXTENSION_VALUE_TYPES = [
+  'boolean',
+  'code',
+  'date',
+  'dateTime',
+  'decimal',
+  'integer',
+  'markdown',
+  'string',
+  'uri',
+  'url',
+  'CodeableConcept',
+  'Coding',
+  'Identifier',
+  'Period',
+  'Reference',
+];
+
+/**
+ * Complex data types, by name.
+ * @constant
+ * @type {Object<string, Object>}
+ */
+const DATA_TYPES = {
+  Extension: {
+    id: element('string'),
+    extension: list('Extension'),
+    url: element('uri', { min: 1 }),
+    'value[x]': element(EXTENSION_VALUE_TYPES),
+  },
+  Meta: {
+    ...ELEMENT,
+    versionId: element('id'),
+    lastUpdated: element('instant'),
+    source: element('uri'),
+    profile: list('canonical'),
+    security: list('Coding'),
+    tag: list('Coding'),
+  },
+  Narrative: {
+    ...ELEMENT,
+    status: element('code', {
+      min: 1,
+      binding: ['generated', 'extensions', 'additional', 'empty'],
+    }),
+    div: element('xhtml', { min: 1 }),
+  },
+  Coding: {
+    ...ELEMENT,
+    system: element('uri'),
+    version: element('string'),
+    code: element('code'),
+    display: element('string'),
+    userSelected: element('boolean'),
+  },
+  CodeableConcept: {
+    ...ELEMENT,
+    coding: list('Coding'),
+    text: element('string'),
+  },
+  Period: {
+    ...ELEMENT,
+    start: element('dateTime'),
+    end: element('dateTime'),
+  },
+  Reference: {
+    ...ELEMENT,
+    reference: element('string'),
+    type: element('uri'),
+    identifier: element('Identifier'),
+    display: element('string'),
+  },
+  Identifier: {
+    ...ELEMENT,
+    use: element('code', {
+      binding: ['usual', 'official', 'temp', 'secondary', 'old'],
+    }),
+    type: element('CodeableConcept'),
+    system: element('uri'),
+    value: element('string'),
+    period: element('Period'),
+    assigner: element('Reference'),
+  },
+  HumanName: {
+    ...ELEMENT,
+    use: element('code', {
+      binding: [
+        'usual',
+        'official',
+        'temp',
+        'nickname',
+        'anonymous',
+        'old',
+        'maiden',
+      ],
+    }),
+    text: element('string'),
+    family: element('string'),
+    given: list('string'),
+    prefix: list('string'),
+    suffix: list('string'),
+    period: element('Period'),
+  },
+  ContactPoint: {
+    ...ELEMENT,
+    system: element('code', {
+      binding: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+    }),
+    value: element('string'),
+    use: element('code', {
+      binding: ['home', 'work', 'temp', 'old', 'mobile'],
+    }),
+    rank: element('positiveInt'),
+    period: element('Period'),
+  },
+  Address: {
+    ...ELEMENT,
+    use: element('code', {
+      binding: ['home', 'work', 'temp', 'old', 'billing'],
+    }),
+    type: element('code', { binding: ['postal', 'physical', 'both'] }),
+    text: element('string'),
+    line: list('string'),
+    city: element('string'),
+    district: element('string'),
+    state: element('string'),
+    postalCode: element('string'),
+    country: element('string'),
+    period: element('Period'),
+  },
+  Attachment: {
+    ...ELEMENT,
+    contentType: element('code'),
+    language: element('code'),
+    data: element('base64Binary'),
+    url: element('url'),
+    size: element('unsignedInt'),
+    hash: element('base64Binary'),
+    title: element('string'),
+    creation: element('dateTime'),
+  },
+};
+
+/**
+ * Resources, by resourceType.
+ * @constant
+ * @type {Object<string, Object>}
+ */
+const RESOURCES = {
+  Patient: {
+    ...DOMAIN_RESOURCE,
+    identifier: list('Identifier'),
+    active: element('boolean'),
+    name: list('HumanName'),
+    telecom: list('ContactPoint'),
+    gender: element('code', { binding: ADMINISTRATIVE_GENDER }),
+    birthDate: element('date'),
+    'deceased[x]': element(['boolean', 'dateTime']),
+    address: list('Address'),
+    maritalStatus: element('CodeableConcept'),
+    'multipleBirth[x]': element(['boolean', 'integer']),
+    photo: list('Attachment'),
+    contact: list(
+      backbone({
+        relationship: list('CodeableConcept'),
+        name: element('HumanName'),
+        telecom: list('ContactPoint'),
+        address: element('Address'),
+        gender: element('code', { binding: ADMINISTRATIVE_GENDER }),
+        organization: element('Reference'),
+        period: element('Period'),
+      })
+    ),
+    communication: list(
+      backbone({
+        language: element('CodeableConcept', { min: 1 }),
+        preferred: element('boolean'),
+      })
+    ),
+    generalPractitioner: list('Reference'),
+    managingOrganization: element('Reference'),
+    link: list(
+      backbone({
+        other: element('Reference', { min: 1 }),
+        type: element('code', {
+          min: 1,
+          binding: ['replaced-by', 'replaces', 'refer', 'seealso'],
+        }),
+      })
+    ),
+  },
+  Practitioner: {
+    ...DOMAIN_RESOURCE,
+    identifier: list('Identifier'),
+    active: element('boolean'),
+    name: list('HumanName'),
+    telecom: list('ContactPoint'),
+    address: list('Address'),
+    gender: element('code', { binding: ADMINISTRATIVE_GENDER }),
+    birthDate: element('date'),
+    photo: list('Attachment'),
+    qualification: list(
+      backbone({
+        identifier: list('Identifier'),
+        code: element('CodeableConcept', { min: 1 }),
+        period: element('Period'),
+        issuer: element('Reference'),
+      })
+    ),
+    communication: list('CodeableConcept'),
+  },
+  OperationOutcome: {
+    ...DOMAIN_RESOURCE,
+    issue: list(
+      backbone({
+        severity: element('code', {
+          min: 1,
+          binding: ['fatal', 'error', 'warning', 'information'],
+        }),
+        code: element('code', { min: 1, binding: ISSUE_TYPES }),
+        details: element('CodeableConcept'),
+        diagnostics: element('string'),
+        location: list('string'),
+        expression: list('string'),
+      }),
+      { min: 1 }
+    ),
+  },
+  Bundle: {
+    ...RESOURCE,
+    identifier: element('Identifier'),
+    type: element('code', { min: 1, binding: BUNDLE_TYPES }),
+    timestamp: element('instant'),
+    total: element('unsignedInt'),
+    link: list(
+      backbone({
+        relation: element('string', { min: 1 }),
+        url: element('uri', { min: 1 }),
+      })
+    ),
+    entry: list(
+      backbone({
+        link: list(
+          backbone({
+            relation: element('string', { min: 1 }),
+            url: element('uri', { min: 1 }),
+          })
+        ),
+        fullUrl: element('uri'),
+        resource: element('Resource'),
+        search: element(
+          backbone({
+            mode: element('code', { binding: ['match', 'include', 'outcome'] }),
+            score: element('decimal'),
+          })
+        ),
+        request: element(
+          backbone({
+            method: element('code', {
+              min: 1,
+              binding: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+            }),
+            url: element('uri', { min: 1 }),
+            ifNoneMatch: element('string'),
+            ifModifiedSince: element('instant'),
+            ifMatch: element('string'),
+            ifNoneExist: element('string'),
+          })
+        ),
+        response: element(
+          backbone({
+            status: element('string', { min: 1 }),
+            location: element('uri'),
+            etag: element('string'),
+            lastModified: element('instant'),
+            outcome: element('Resource'),
+          })
+        ),
+      })
+    ),
+  },
+};
+
+/**
+ * Invariants of the FHIR specification checked besides the structure, by
+ * type name. Each returns an error message or null.
+ * @constant
+ * @type {Object<string, Array<Function>>}
+ */
+const INVARIANTS = {
+  // ext-1
+  Extension: [
+    (value) =>
+      Boolean(value.extension) ===
+      Object.keys(value).some((key) => key.startsWith('value'))
+        ? 'must have either extensions or value[x], not both'
+        : null,
+  ],
+  // bdl-1
+  Bundle: [
+    (value) =>
+      value.total !== undefined &&
+      !['searchset', 'history'].includes(value.type)
+        ? 'total only when a search or history'
+        : null,
+  ],
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Validates a value of a type.
+ * @param {string|Object} type - Type name or backbone elements
+ * @param {*} value - JSON value
+ * @param {string} path - FHIRPath of the value, used in error messages
+ * @param {Array} errors - Collected `{ field, message }` errors
+ */
+const validateType = (type, value, path, errors) => {
+  if (typeof type === 'string' && PRIMITIVE_TYPES[type]) {
+    if (!PRIMITIVE_TYPES[type](value)) {
+      errors.push({ field: path, message: `must be a valid FHIR ${type}` });
+    }
+    return;
+  }
+  if (type === 'Resource') {
+    validateResourceAt(value, path, errors);
+    return;
+  }
+  validateElements(
+    typeof type === 'string' ? DATA_TYPES[type] : type,
+    value,
+    path,
+    errors
+  );
+  INVARIANTS[type]?.forEach((invariant) => {
+    const message = isPlainObject(value) && invariant(value);
+    if (message) errors.push({ field: path, message });
+  });
+};
+
+/**
+ * Validates the elements of a complex value: known names, cardinality,
+ * types, bindings and the `_name` extensions of primitive elements.
+ * @param {Object} elements - Element definitions by name
+ * @param {*} value - JSON object
+ * @param {string} path - FHIRPath of the value
+ * @param {Array} errors - Collected `{ field, message }` errors
+ * @param {Array<string>} [ignored=[]] - Names checked by the caller
+ */
+const validateElements = (elements, value, path, errors, ignored = []) => {
+  if (!isPlainObject(value)) {
+    errors.push({ field: path, message: 'must be an object' });
+    return;
+  }
+  if (!Object.keys(value).length) {
+    errors.push({ field: path, message: 'must not be empty' });
+    return;
+  }
+
+  const known = new Set(ignored);
+
+  for (const [name, definition] of Object.entries(elements)) {
+    const isChoice = name.endsWith('[x]');
+    const choices = isChoice
+      ? definition.type.map((type) => ({
+          key: `${name.slice(0, -3)}${capitalize(type)}`,
+          type,
+        }))
+      : [{ key: name, type: definition.type }];
+    choices.forEach(({ key, type }) => {
+      known.add(key);
+      if (PRIMITIVE_TYPES[type]) known.add(`_${key}`);
+    });
+
+    const present = choices.filter(({ key }) => value[key] !== undefined);
+    if (present.length > 1) {
+      errors.push({
+        field: `${path}.${name}`,
+        message: 'must have a single type',
+      });
+      continue;
+    }
+    if (!present.length) {
+      if (definition.min > 0) {
+        errors.push({ field: `${path}.${name}`, message: 'is required' });
+      }
+      continue;
+    }
+
+    const [{ key, type }] = present;
+    const elementPath = `${path}.${key}`;
+    const input = value[key];
+
+    if (definition.max === '*') {
+      if (!Array.isArray(input) || !input.length) {
+        errors.push({
+          field: elementPath,
+          message: 'must be a non-empty array',
+        });
+        continue;
+      }
+      if (input.length < definition.min) {
+        errors.push({
+          field: elementPath,
+          message: `must have at least ${definition.min} items`,
+        });
+      }
+    } else if (Array.isArray(input)) {
+      errors.push({ field: elementPath, message: 'must not be an array' });
+      continue;
+    }
+
+    const items = Array.isArray(input) ? input : [input];
+    items.forEach((item, index) => {
+      const itemPath = Array.isArray(input)
+        ? `${elementPath}[${index}]`
+        : elementPath;
+      if (item === null) {
+        errors.push({ field: itemPath, message: 'must not be null' });
+        return;
+      }
+      validateType(type, item, itemPath, errors);
+      if (definition.binding && !definition.binding.includes(item)) {
+        errors.push({
+          field: itemPath,
+          message: `must be one of ${definition.binding.join(', ')}`,
+        });
+      }
+    });
+
+    const primitiveExtension = value[`_${key}`];
+    if (primitiveExtension !== undefined) {
+      (Array.isArray(primitiveExtension)
+        ? primitiveExtension
+        : [primitiveExtension]
+      )
+        .filter((item) => item !== null)
+        .forEach((item) =>
+          validateElements(ELEMENT, item, `${path}._${key}`, errors)
+        );
+    }
+  }
+
+  Object.keys(value)
+    .filter((key) => !known.has(key))
+    .forEach((key) =>
+      errors.push({
+        field: `${path}.${key}`,
+        message: 'is not a known element',
+      })
+    );
+};
+
+const validateResourceAt = (resource, path, errors) => {
+  const elements = RESOURCES[resource?.resourceType];
+  if (!elements) {
+    errors.push({
+      field: `${path}.resourceType`,
+      message: `must be one of ${Object.keys(RESOURCES).join(', ')}`,
+    });
+    return;
+  }
+  validateElements(elements, resource, path, errors, ['resourceType']);
+  INVARIANTS[resource.resourceType]?.forEach((invariant) => {
+    const message = invariant(resource);
+    if (message) errors.push({ field: path, message });
+  });
+};
+
+/**
+ * Validates a JSON resource against the FHIR R4 structure definitions.
+ * @param {Object} resource - FHIR resource, with its `resourceType`
+ * @returns {Array<{field: string, message: string}>} Errors, with FHIRPath fields
+ */
+const validateResource = (resource) => {
+  const errors = [];
+  validateResourceAt(resource, resource?.resourceType || 'Resource', errors);
+  return errors;
+};
+
+module.exports = {
+  ADMINISTRATIVE_GENDER,
+  validateResource,
+};
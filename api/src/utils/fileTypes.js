@@ -0,0 +1,36 @@
+/**
+ * Identification of uploaded files from their content. The MIME type and
+ * file name sent by clients are never trusted.
+ */
+
+/**
+ * Signatures of the accepted file formats, by MIME type.
+ * @constant
+ * @type {Object<string, Function>}
+ */
+const FILE_SIGNATURES = {
+  'application/pdf': (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-',
+  'image/jpeg': (buffer) =>
+    buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': (buffer) =>
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (buffer) =>
+    buffer.toString('latin1', 0, 4) === 'RIFF' &&
+    buffer.toString('latin1', 8, 12) === 'WEBP',
+};
+
+/**
+ * Identifies a file from its first bytes.
+ * @param {Buffer} buffer - File content
+ * @param {Array<string>} types - Accepted MIME types, keys of FILE_SIGNATURES
+ * @returns {string|null} MIME type, or null when it is none of `types`
+ */
+const sniffFileType = (buffer, types) =>
+  types.find((type) => FILE_SIGNATURES[type](buffer)) ?? null;
+
+module.exports = {
+  FILE_SIGNATURES,
+  sniffFileType,
+};
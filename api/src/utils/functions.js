@@ -1,23 +1,20 @@
-const { firestore } = require('../config/firebase');
-const { MESSAGES, VALID_ROLES, ADMIN_ROLE } = require('./constants');
+const backend = require('../data');
 const { Timestamp } = require('firebase-admin/firestore');
 const fuzzysort = require('fuzzysort');
-const { auth } = require('../config/firebase');
+const { isAdmin, getAdminTier, isVerified } = require('./permissions');
 
+/**
+ * Creates the profile document of a new user in its role collection
+ * @param {Object} data - Profile data holding the user `uid`
+ * @param {string} role - User role
+ * @returns {Promise<Object>} The stored profile
+ */
 const AddToDatabase = async (data, role) => {
-  if (!VALID_ROLES.includes(role)) {
-    throw MESSAGES.InvalidUserRole;
-  } else {
-    try {
-      const collectionRef = firestore.collection(role);
-      const docRef = collectionRef.doc(data.uid);
-
-      await docRef.set(data);
-      return await docRef.get();
-    } catch (error) {
-      console.error('Error AddToDatabase: ', error);
-      throw error;
-    }
+  try {
+    return await backend.profiles.create(role, data);
+  } catch (error) {
+    console.error('Error AddToDatabase: ', error);
+    throw error;
   }
 };
 
@@ -29,13 +26,7 @@ const AddToDatabase = async (data, role) => {
  */
 const getProfileData = async (uid, role) => {
   try {
-    if (role && role !== ADMIN_ROLE) {
-      const profileSnapshot = await firestore.collection(role).doc(uid).get();
-      if (profileSnapshot.exists) {
-        return profileSnapshot.data();
-      }
-    }
-    return null;
+    return await backend.profiles.get(uid, role);
   } catch (error) {
     console.error(`Error fetching profile for user ${uid}:`, error);
     return null;
@@ -53,10 +44,12 @@ const processUserRecord = async (userRecord) => {
       uid: userRecord.uid,
       email: userRecord.email,
       displayName: userRecord.displayName,
+      photoURL: userRecord.photoURL,
       disabled: userRecord.disabled,
       role: userRecord.customClaims?.role,
-      isAdmin:
-        userRecord.customClaims?.isAdmin || userRecord.customClaims?.admin,
+      isAdmin: isAdmin(userRecord.customClaims),
+      adminRole: getAdminTier(userRecord.customClaims),
+      verified: isVerified(userRecord.customClaims),
       createdAt: userRecord.metadata.creationTime,
       lastSignIn: userRecord.metadata.lastSignInTime,
       emailVerified: userRecord.emailVerified,
@@ -74,22 +67,9 @@ const processUserRecord = async (userRecord) => {
   }
 };
 
-const isNotAdmin = (req, res) => {
-  const { user } = req;
-  if (!user || user.role !== ADMIN_ROLE) {
-    return res.status(403).json({
-      status: 'error',
-      error: 'Forbidden',
-      message: 'Insufficient permissions to access user data',
-    });
-  } else {
-    return false;
-  }
-};
-
 const getUsersDataArr = (ids) => ids.map((id) => ({ uid: id }));
 const getUsersBasedOnId = async (ids = []) =>
-  await auth.getUsers(getUsersDataArr(ids));
+  await backend.users.getUsers(getUsersDataArr(ids));
 
 /**
  * Flattens an object and prepares it for fuzzy searching while handling special cases
@@ -254,7 +234,6 @@ module.exports = {
   AddToDatabase,
   getProfileData,
   processUserRecord,
-  isNotAdmin,
   getUsersDataArr,
   getUsersBasedOnId,
   SearchQuery,
@@ -0,0 +1,209 @@
+const {
+  ADMIN_ROLE,
+  ADMIN_TIERS,
+  LEGACY_ADMIN_TIER,
+  DOCTOR_ROLE,
+  PATIENT_ROLE,
+} = require('./constants');
+
+/**
+ * Permissions routes can declare through `requirePermission`.
+ * @constant
+ * @type {Object<string, string>}
+ */
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_LIST: 'users:list',
+  USERS_MANAGE: 'users:manage',
+  FHIR_IMPORT: 'fhir:import',
+  ADMINS_MANAGE: 'admins:manage',
+  AUDIT_READ: 'audit:read',
+  ACCOUNT_MANAGE_OWN: 'account:manage-own',
+  DATA_EXPORT_OWN: 'data:export-own',
+  PHOTO_UPDATE_OWN: 'photo:update-own',
+  PROFILE_MANAGE_OWN: 'profile:manage-own',
+  AVAILABILITY_READ: 'availability:read',
+  AVAILABILITY_MANAGE: 'availability:manage',
+  APPOINTMENTS_BOOK: 'appointments:book',
+  APPOINTMENTS_MANAGE_OWN: 'appointments:manage-own',
+  JOURNAL_MANAGE_OWN: 'journal:manage-own',
+  JOURNAL_READ_SHARED: 'journal:read-shared',
+  CONSENTS_READ_OWN: 'consents:read-own',
+  CONSENTS_MANAGE_OWN: 'consents:manage-own',
+  CREDENTIALS_SUBMIT_OWN: 'credentials:submit-own',
+  CREDENTIALS_REVIEW: 'credentials:review',
+  DOCUMENTS_MANAGE_OWN: 'documents:manage-own',
+  DOCUMENTS_READ_SHARED: 'documents:read-shared',
+  DOCUMENTS_QUOTAS_MANAGE: 'documents:quotas-manage',
+};
+
+// Every admin tier can look users up
+const ADMIN_BASE_PERMISSIONS = [
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_LIST,
+  PERMISSIONS.ACCOUNT_MANAGE_OWN,
+  PERMISSIONS.DATA_EXPORT_OWN,
+  PERMISSIONS.PHOTO_UPDATE_OWN,
+  PERMISSIONS.AVAILABILITY_READ,
+];
+
+/**
+ * Permissions of admins by tier, from the `adminRole` custom claim. Super
+ * admins manage the other admins, support staff manage accounts and
+ * reviewers review doctor credentials.
+ * @constant
+ * @type {Object<string, Array<string>>}
+ */
+const ADMIN_TIER_PERMISSIONS = {
+  [ADMIN_TIERS.SUPER_ADMIN]: [
+    ...ADMIN_BASE_PERMISSIONS,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.FHIR_IMPORT,
+    PERMISSIONS.ADMINS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.CREDENTIALS_REVIEW,
+    PERMISSIONS.DOCUMENTS_QUOTAS_MANAGE,
+  ],
+  [ADMIN_TIERS.SUPPORT]: [
+    ...ADMIN_BASE_PERMISSIONS,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.FHIR_IMPORT,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.DOCUMENTS_QUOTAS_MANAGE,
+  ],
+  [ADMIN_TIERS.REVIEWER]: [
+    ...ADMIN_BASE_PERMISSIONS,
+    PERMISSIONS.CREDENTIALS_REVIEW,
+  ],
+};
+
+/**
+ * Central role to permission map. Roles come from the `role` custom claim,
+ * admins get the permissions of their tier instead.
+ * @constant
+ * @type {Object<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+  [DOCTOR_ROLE]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_LIST,
+    PERMISSIONS.ACCOUNT_MANAGE_OWN,
+    PERMISSIONS.DATA_EXPORT_OWN,
+    PERMISSIONS.PHOTO_UPDATE_OWN,
+    PERMISSIONS.PROFILE_MANAGE_OWN,
+    PERMISSIONS.AVAILABILITY_READ,
+    PERMISSIONS.APPOINTMENTS_MANAGE_OWN,
+    PERMISSIONS.CONSENTS_READ_OWN,
+    PERMISSIONS.CREDENTIALS_SUBMIT_OWN,
+  ],
+  [PATIENT_ROLE]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_LIST,
+    PERMISSIONS.ACCOUNT_MANAGE_OWN,
+    PERMISSIONS.DATA_EXPORT_OWN,
+    PERMISSIONS.PHOTO_UPDATE_OWN,
+    PERMISSIONS.PROFILE_MANAGE_OWN,
+    PERMISSIONS.AVAILABILITY_READ,
+    PERMISSIONS.APPOINTMENTS_BOOK,
+    PERMISSIONS.APPOINTMENTS_MANAGE_OWN,
+    PERMISSIONS.JOURNAL_MANAGE_OWN,
+    PERMISSIONS.CONSENTS_READ_OWN,
+    PERMISSIONS.CONSENTS_MANAGE_OWN,
+    PERMISSIONS.DOCUMENTS_MANAGE_OWN,
+  ],
+};
+
+/**
+ * Extra permissions unlocked by the `verified` custom claim, per role.
+ * Only verified doctors can take bookings and read shared patient data.
+ * @constant
+ * @type {Object<string, Array<string>>}
+ */
+const VERIFIED_PERMISSIONS = {
+  [DOCTOR_ROLE]: [
+    PERMISSIONS.AVAILABILITY_MANAGE,
+    PERMISSIONS.JOURNAL_READ_SHARED,
+    PERMISSIONS.DOCUMENTS_READ_SHARED,
+  ],
+};
+
+/**
+ * Resolves the role of a decoded token.
+ * @param {Object} user - Decoded token from authMiddleware
+ * @returns {string|undefined} Role of the user
+ */
+const getUserRole = (user) => user?.role;
+
+/**
+ * Checks whether a decoded token or custom claims belong to an admin of
+ * any tier.
+ * @param {Object} claims - Decoded token or custom claims
+ * @returns {boolean}
+ */
+const isAdmin = (claims) => claims?.role === ADMIN_ROLE;
+
+/**
+ * Resolves the tier of an admin. Admins without an `adminRole` claim were
+ * made before the tiers and get LEGACY_ADMIN_TIER.
+ * @param {Object} claims - Decoded token or custom claims
+ * @returns {string|null} One of ADMIN_TIERS, null for other users
+ */
+const getAdminTier = (claims) =>
+  isAdmin(claims) ? claims.adminRole ?? LEGACY_ADMIN_TIER : null;
+
+/**
+ * Checks the `verified` claim of a decoded token or of custom claims.
+ * Doctors are verified until `verifiedUntil` (seconds), the expiry of the
+ * license approved for them.
+ * @param {Object} claims - Decoded token or custom claims
+ * @returns {boolean}
+ */
+const isVerified = (claims) =>
+  Boolean(claims?.verified) &&
+  (!claims.verifiedUntil || claims.verifiedUntil * 1000 > Date.now());
+
+/**
+ * Lists every permission a decoded token grants.
+ * @param {Object} user - Decoded token from authMiddleware
+ * @returns {Set<string>} Permissions of the user
+ */
+const getPermissions = (user) => {
+  const role = getUserRole(user);
+  const permissions = new Set(
+    (isAdmin(user)
+      ? ADMIN_TIER_PERMISSIONS[getAdminTier(user)]
+      : ROLE_PERMISSIONS[role]) || []
+  );
+
+  if (isVerified(user)) {
+    (VERIFIED_PERMISSIONS[role] || []).forEach((permission) =>
+      permissions.add(permission)
+    );
+  }
+
+  return permissions;
+};
+
+/**
+ * Checks whether a decoded token grants all the given permissions.
+ * @param {Object} user - Decoded token from authMiddleware
+ * @param {...string} permissions - Required permissions
+ * @returns {boolean}
+ */
+const hasPermission = (user, ...permissions) => {
+  const granted = getPermissions(user);
+  return permissions.every((permission) => granted.has(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_TIER_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  VERIFIED_PERMISSIONS,
+  getUserRole,
+  isAdmin,
+  getAdminTier,
+  isVerified,
+  getPermissions,
+  hasPermission,
+};
@@ -0,0 +1,137 @@
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const backend = require('../data');
+const { PHOTO_SETTINGS } = require('./constants');
+const { sniffFileType } = require('./fileTypes');
+const { UnprocessableError, UnsupportedMediaTypeError } = require('./errors');
+
+/**
+ * Profile photos. Uploads are identified by their content, then decoded and
+ * re-encoded, which drops EXIF and other metadata, at SIZE and at every
+ * THUMBNAIL_SIZES size.
+ */
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const invalidImage = (cause) =>
+  new UnprocessableError('The image could not be read', 'INVALID_IMAGE', {
+    cause,
+  });
+
+/**
+ * Storage prefix of the photo files of a user.
+ * @param {string} uid - User ID
+ * @returns {string}
+ */
+const getPhotoPrefix = (uid) => `users/${uid}/photo/`;
+
+/**
+ * Storage paths of the photo and thumbnail files of a user, stored or not.
+ * @param {string} uid - User ID
+ * @returns {Array<string>}
+ */
+const getPhotoPaths = (uid) =>
+  ['photo', ...Object.keys(PHOTO_SETTINGS.THUMBNAIL_SIZES)].map(
+    (name) => `${getPhotoPrefix(uid)}${name}.webp`
+  );
+
+/**
+ * Resizes a photo to a square WebP image, turned upright from its EXIF
+ * orientation. sharp leaves every metadata out of its output by default.
+ * @param {Buffer} buffer - Validated image
+ * @param {number} size - Width and height in pixels
+ * @returns {Promise<Buffer>}
+ */
+const resizePhoto = (buffer, size) =>
+  sharp(buffer, { limitInputPixels: PHOTO_SETTINGS.MAX_PIXELS })
+    .rotate()
+    .resize(size, size, { fit: 'cover' })
+    .webp({ quality: 85 })
+    .toBuffer();
+
+/**
+ * Checks an uploaded photo and renders it at every size.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object<string, Buffer>>} WebP images by name, `photo` and the thumbnail names
+ * @throws {UnsupportedMediaTypeError} When the file is not a JPEG, PNG or WebP image
+ * @throws {UnprocessableError} When the image is corrupt or too large
+ */
+const renderPhoto = async (buffer) => {
+  if (!sniffFileType(buffer, IMAGE_TYPES)) {
+    throw new UnsupportedMediaTypeError(
+      'The photo must be a JPEG, PNG or WebP image',
+      'UNSUPPORTED_IMAGE_TYPE'
+    );
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidImage(error);
+  }
+  if (metadata.width * metadata.height > PHOTO_SETTINGS.MAX_PIXELS) {
+    throw new UnprocessableError(
+      `The image must have at most ${PHOTO_SETTINGS.MAX_PIXELS} pixels`,
+      'IMAGE_TOO_LARGE'
+    );
+  }
+
+  const sizes = {
+    photo: PHOTO_SETTINGS.SIZE,
+    ...PHOTO_SETTINGS.THUMBNAIL_SIZES,
+  };
+  try {
+    const images = await Promise.all(
+      Object.values(sizes).map((size) => resizePhoto(buffer, size))
+    );
+    return Object.fromEntries(
+      Object.keys(sizes).map((name, index) => [name, images[index]])
+    );
+  } catch (error) {
+    throw invalidImage(error);
+  }
+};
+
+/**
+ * Stores the rendered photo of a user, replacing the previous one. Every
+ * upload gets a new download token, so the URLs change and cached copies
+ * of the previous photo are not served.
+ * @param {string} uid - User ID
+ * @param {Object<string, Buffer>} images - Result of renderPhoto
+ * @returns {Promise<{photoURL: string, thumbnails: Object<string, string>}>} Download URLs
+ */
+const savePhoto = async (uid, images) => {
+  const token = randomUUID();
+
+  const urls = await Promise.all(
+    Object.entries(images).map(async ([name, image]) => {
+      const path = `${getPhotoPrefix(uid)}${name}.webp`;
+      await backend.storage.save(path, image, {
+        contentType: 'image/webp',
+        metadata: { firebaseStorageDownloadTokens: token },
+      });
+      return [name, await backend.storage.getDownloadUrl(path)];
+    })
+  );
+
+  const { photo: photoURL, ...thumbnails } = Object.fromEntries(urls);
+  return { photoURL, thumbnails };
+};
+
+/**
+ * Deletes the stored photo files of users.
+ * @param {Array<string>} uids - User IDs
+ */
+const deletePhotos = async (uids) => {
+  await Promise.all(
+    uids.map((uid) => backend.storage.deletePrefix(getPhotoPrefix(uid)))
+  );
+};
+
+module.exports = {
+  getPhotoPaths,
+  renderPhoto,
+  savePhoto,
+  deletePhotos,
+};
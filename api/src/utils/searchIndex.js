@@ -0,0 +1,385 @@
+const { omit } = require('radash');
+const backend = require('../data');
+const {
+  SEARCH_INDEX_COLLECTION,
+  SEARCH_FACETS_COLLECTION,
+  DELETED_ACCOUNTS_COLLECTION,
+} = require('./constants');
+const { processUserRecord } = require('./functions');
+const {
+  DIRECTORY_FILTERS,
+  MAX_QUERY_DISJUNCTIONS,
+  SORT_FIELDS,
+  normalize,
+  toList,
+  toIndexedFilters,
+  matchesIndexedFilters,
+  countDisjunctions,
+  toSearchTokens,
+} = require('./directoryFilters');
+
+const STRING_FILTERS = Object.keys(DIRECTORY_FILTERS).filter(
+  (key) => DIRECTORY_FILTERS[key].type === 'string'
+);
+
+const REVERSED_ORDERS = { asc: 'desc', desc: 'asc' };
+
+const searchIndexRef = () =>
+  backend.firestore.collection(SEARCH_INDEX_COLLECTION);
+const searchFacetsRef = () =>
+  backend.firestore.collection(SEARCH_FACETS_COLLECTION);
+
+/**
+ * Firestore rejects undefined values, unset user attributes are stored as null.
+ * The `index` field holds what queries filter, search and sort on, it is
+ * dropped when entries are read. Entries written before it existed are
+ * only found again after scripts/rebuildSearchIndex.js.
+ * @param {Object} userData - Output of processUserRecord
+ * @param {Map<string, string>} deletions - Deletion times of soft deleted users by uid
+ * @returns {Object} Index document
+ */
+const toIndexEntry = (userData, deletions) => {
+  const entry = Object.fromEntries(
+    Object.entries({
+      ...userData,
+      deletedAt: deletions.get(userData.uid),
+    }).map(([key, value]) => [key, value ?? null])
+  );
+
+  return {
+    ...entry,
+    index: {
+      filters: toIndexedFilters(entry),
+      tokens: toSearchTokens(entry),
+      sortName: SORT_FIELDS.name(entry),
+      createdAt: SORT_FIELDS.createdAt(entry),
+    },
+  };
+};
+
+const toIndexedUser = (entry) => omit(entry, ['index']);
+
+const hasToken = (index, tokens) =>
+  !tokens.length || tokens.some((token) => index?.tokens?.includes(token));
+
+/**
+ * Checks an index entry against the options of getIndexedUsers, for the
+ * entries read by id.
+ * @param {Object} entry - Index document
+ * @param {Object} options - `{ role, filters, tokens }`
+ * @returns {boolean}
+ */
+const matchesIndex = ({ role, index }, options) =>
+  (!options.role || role === options.role) &&
+  hasToken(index, options.tokens) &&
+  matchesIndexedFilters(index?.filters, options.filters);
+
+/**
+ * Reads when the given users were soft deleted, or every soft deleted user
+ * without uids.
+ * @param {Array<string>} [uids] - User IDs
+ * @returns {Promise<Map<string, string>>} ISO deletion times by uid
+ */
+const getDeletionTimes = async (uids) => {
+  const collectionRef = backend.firestore.collection(
+    DELETED_ACCOUNTS_COLLECTION
+  );
+  if (uids && !uids.length) return new Map();
+
+  const docs = uids
+    ? await backend.firestore.getAll(
+        ...uids.map((uid) => collectionRef.doc(uid))
+      )
+    : (await collectionRef.get()).docs;
+
+  return new Map(
+    docs
+      .filter((doc) => doc.exists)
+      .map((doc) => [doc.id, doc.data().deletedAt.toDate().toISOString()])
+  );
+};
+
+/**
+ * Adds the string filter values of users to the facet documents, which
+ * map each normalized value to how a user wrote it. Values nobody has
+ * anymore stay until a rebuild and are counted as zero.
+ * @param {Array<Object>} entries - Processed user records
+ */
+const writeFacetValues = async (entries) => {
+  const batch = backend.firestore.batch();
+  STRING_FILTERS.forEach((key) => {
+    const values = Object.fromEntries(
+      entries.flatMap((entry) =>
+        toList(DIRECTORY_FILTERS[key].get(entry)).map((value) => [
+          normalize(value),
+          String(value).trim(),
+        ])
+      )
+    );
+    if (Object.keys(values).length) {
+      batch.set(searchFacetsRef().doc(key), { values }, { merge: true });
+    }
+  });
+  await batch.commit();
+};
+
+/**
+ * Writes index documents in batches of 500 (the Firestore batch limit).
+ * @param {Array<Object>} entries - Processed user records
+ * @param {Map<string, string>} deletions - Result of getDeletionTimes
+ */
+const writeEntries = async (entries, deletions) => {
+  for (let i = 0; i < entries.length; i += 500) {
+    const batch = backend.firestore.batch();
+    entries.slice(i, i + 500).forEach((entry) => {
+      batch.set(
+        searchIndexRef().doc(entry.uid),
+        toIndexEntry(entry, deletions)
+      );
+    });
+    await batch.commit();
+  }
+  await writeFacetValues(entries);
+};
+
+/**
+ * Deletes index documents in batches of 500.
+ * @param {Array<string>} uids - User IDs
+ */
+const deleteEntries = async (uids) => {
+  for (let i = 0; i < uids.length; i += 500) {
+    const batch = backend.firestore.batch();
+    uids
+      .slice(i, i + 500)
+      .forEach((uid) => batch.delete(searchIndexRef().doc(uid)));
+    await batch.commit();
+  }
+};
+
+/**
+ * Refreshes the index documents of users after their account, claims or
+ * profile changed. The index is derived data, so failures are logged and
+ * left for the next write or a rebuild to repair.
+ * @param {Array<string>} uids - User IDs
+ */
+const syncSearchIndex = async (uids) => {
+  try {
+    const { users, notFound } = await backend.users.getUsers(
+      uids.map((uid) => ({ uid }))
+    );
+    const entries = (await Promise.all(users.map(processUserRecord))).filter(
+      Boolean
+    );
+
+    await writeEntries(entries, await getDeletionTimes(uids));
+    await deleteEntries(notFound.map(({ uid }) => uid));
+  } catch (error) {
+    console.error('Error updating search index:', error);
+  }
+};
+
+/**
+ * Removes deleted users from the index.
+ * @param {Array<string>} uids - User IDs
+ */
+const removeFromSearchIndex = async (uids) => {
+  try {
+    await deleteEntries(uids);
+  } catch (error) {
+    console.error('Error removing users from search index:', error);
+  }
+};
+
+/**
+ * Builds the query of the index entries with a role and directory filters:
+ * boolean filters as equalities, `list` filters with `array-contains-any`
+ * and other string filters with `in`.
+ * @param {Object} options
+ * @param {string} [options.role] - Only users with this role
+ * @param {Object} [options.filters={}] - Values of DIRECTORY_FILTERS by key
+ * @returns {Object} Firestore query
+ */
+const toIndexQuery = ({ role, filters = {} }) => {
+  let query = searchIndexRef();
+  if (role) query = query.where('role', '==', role);
+
+  Object.entries(filters).forEach(([key, expected]) => {
+    const { type, list } = DIRECTORY_FILTERS[key];
+    const field = `index.filters.${key}`;
+
+    query =
+      type === 'boolean'
+        ? query.where(field, '==', expected)
+        : query.where(field, list ? 'array-contains-any' : 'in', [
+            ...new Set(expected.map(normalize)),
+          ]);
+  });
+  return query;
+};
+
+/**
+ * Reads indexed users matching a role, directory filters and search
+ * tokens. Filters run in the Firestore query, see toIndexQuery, and so do
+ * the tokens unless a `list` filter already holds the `array-contains-any`
+ * of the query. Tokens are then checked on the entries read, otherwise
+ * they are split over as many queries as the disjunction limit needs.
+ * @param {Object} options
+ * @param {Array<string>} [options.uids] - Only these users, read by id and filtered here
+ * @param {string} [options.role] - Only users with this role
+ * @param {Object} [options.filters={}] - Values of DIRECTORY_FILTERS by key
+ * @param {Array<string>} [options.tokens=[]] - Users with any of these search tokens
+ * @returns {Promise<Array<Object>>} Processed user records
+ */
+const getIndexedUsers = async ({ uids, role, filters = {}, tokens = [] }) => {
+  if (uids) {
+    if (!uids.length) return [];
+    const snapshots = await backend.firestore.getAll(
+      ...uids.map((uid) => searchIndexRef().doc(uid))
+    );
+    return snapshots
+      .filter((snapshot) => snapshot.exists)
+      .map((snapshot) => snapshot.data())
+      .filter((entry) => matchesIndex(entry, { role, filters, tokens }))
+      .map(toIndexedUser);
+  }
+
+  const query = toIndexQuery({ role, filters });
+
+  const hasListFilter = Object.keys(filters).some(
+    (key) => DIRECTORY_FILTERS[key].list
+  );
+  if (!tokens.length || hasListFilter) {
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map((doc) => doc.data())
+      .filter(({ index }) => hasToken(index, tokens))
+      .map(toIndexedUser);
+  }
+
+  const chunkSize = Math.floor(
+    MAX_QUERY_DISJUNCTIONS / countDisjunctions(filters)
+  );
+  const entries = new Map();
+  for (let i = 0; i < tokens.length; i += chunkSize) {
+    const snapshot = await query
+      .where(
+        'index.tokens',
+        'array-contains-any',
+        tokens.slice(i, i + chunkSize)
+      )
+      .get();
+    snapshot.docs.forEach((doc) => entries.set(doc.id, doc.data()));
+  }
+  return [...entries.values()].map(toIndexedUser);
+};
+
+/**
+ * Reads a page of indexed users matching a role and directory filters, see
+ * toIndexQuery, ordered by an `index` field and then by uid. The page
+ * starts after, or ends before, the `[sort value, uid]` of a user.
+ * @param {Object} options
+ * @param {string} [options.role] - Only users with this role
+ * @param {Object} [options.filters={}] - Values of DIRECTORY_FILTERS by key
+ * @param {Object} options.sort - `{ field, order }` of the `index` field to order by
+ * @param {Array} [options.after] - Sort key the page starts after
+ * @param {Array} [options.before] - Sort key the page ends before
+ * @param {number} options.limit - Size of the page
+ * @returns {Promise<{users: Array<Object>, hasMore: boolean}>} Processed user records in sort order, and whether more follow past the page in the reading direction
+ */
+const getIndexedPage = async ({
+  role,
+  filters,
+  sort,
+  after,
+  before,
+  limit,
+}) => {
+  // Pages before a user are read backwards
+  const order = before ? REVERSED_ORDERS[sort.order] : sort.order;
+  let query = toIndexQuery({ role, filters })
+    .orderBy(`index.${sort.field}`, order)
+    .orderBy('uid', order);
+  if (after || before) query = query.startAfter(...(after || before));
+
+  // Fetch one extra user to know whether another page exists
+  const snapshot = await query.limit(limit + 1).get();
+  const users = snapshot.docs
+    .slice(0, limit)
+    .map((doc) => toIndexedUser(doc.data()));
+
+  return {
+    users: before ? users.reverse() : users,
+    hasMore: snapshot.docs.length > limit,
+  };
+};
+
+/**
+ * Counts the indexed users matching a role and directory filters with a
+ * count aggregation, see toIndexQuery.
+ * @param {Object} options - `{ role, filters }`
+ * @returns {Promise<number>}
+ */
+const countIndexedUsers = async (options) => {
+  const snapshot = await toIndexQuery(options).count().get();
+  return snapshot.data().count;
+};
+
+/**
+ * Lists the values a string directory filter has among indexed users.
+ * @param {string} key - Key of DIRECTORY_FILTERS
+ * @returns {Promise<Array<{id: string, value: string}>>} Normalized and written values
+ */
+const getFacetValues = async (key) => {
+  const snapshot = await searchFacetsRef().doc(key).get();
+  return Object.entries(snapshot.get('values') ?? {}).map(([id, value]) => ({
+    id,
+    value,
+  }));
+};
+
+/**
+ * Regenerates the whole index and its facet values from Firebase
+ * Authentication and the profile collections, then drops entries of users
+ * that no longer exist.
+ * @returns {Promise<{indexed: number, removed: number}>}
+ */
+const rebuildSearchIndex = async () => {
+  // Facet values are collected again from the users written below
+  const facets = await searchFacetsRef().get();
+  const batch = backend.firestore.batch();
+  facets.docs.forEach((doc) => batch.delete(doc.ref));
+  await batch.commit();
+
+  const seen = new Set();
+  const deletions = await getDeletionTimes();
+  let pageToken = undefined;
+
+  do {
+    const page = await backend.users.listUsers(1000, pageToken);
+    const entries = (
+      await Promise.all(page.users.map(processUserRecord))
+    ).filter(Boolean);
+
+    await writeEntries(entries, deletions);
+    entries.forEach((entry) => seen.add(entry.uid));
+    pageToken = page.pageToken;
+  } while (pageToken);
+
+  const snapshot = await searchIndexRef().get();
+  const stale = snapshot.docs
+    .map((doc) => doc.id)
+    .filter((id) => !seen.has(id));
+  await deleteEntries(stale);
+
+  return { indexed: seen.size, removed: stale.length };
+};
+
+module.exports = {
+  syncSearchIndex,
+  removeFromSearchIndex,
+  getIndexedUsers,
+  getIndexedPage,
+  countIndexedUsers,
+  getFacetValues,
+  rebuildSearchIndex,
+};
@@ -0,0 +1,183 @@
+const { randomBytes, timingSafeEqual } = require('crypto');
+const backend = require('../data');
+const { createCache } = require('../cache');
+const { SESSION_SETTINGS } = require('./constants');
+const { ForbiddenError, UnauthorizedError } = require('./errors');
+
+/**
+ * Authentication of requests and cookie sessions of browsers. Logging in
+ * exchanges an ID token for a Firebase session cookie, kept in an httpOnly
+ * cookie, and sets a random CSRF token in a readable cookie
+ * (double-submit). Cookie authenticated requests changing state must repeat
+ * that token in the CSRF_HEADER header, which other sites can neither read
+ * nor set. The token is also returned by the login, for frontends on
+ * another site that cannot read the cookie.
+ *
+ * Tokens and session cookies are verified locally, then checked against
+ * the account for revocation: disabled accounts and sign-ins before the
+ * last revocation are rejected. The account status is cached for
+ * REVOCATION_CHECK_TTL_MS, and revokeSessions clears it.
+ */
+
+const { COOKIE_NAME, CSRF_COOKIE_NAME, CSRF_HEADER, EXPIRES_IN_MS } =
+  SESSION_SETTINGS;
+
+// Methods that do not change state, exempt from the CSRF check
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// `{disabled, validSince}` of accounts, by uid
+const accountStatusCache = createCache('account-status', {
+  ttl: SESSION_SETTINGS.REVOCATION_CHECK_TTL_MS,
+});
+
+const getCookieOptions = () => {
+  // The production frontend is on another site, which needs SameSite=None,
+  // and SameSite=None needs Secure
+  const secure = process.env.NODE_ENV === 'production';
+  return { secure, sameSite: secure ? 'none' : 'lax', path: '/' };
+};
+
+/**
+ * Sets the session and CSRF cookies of a new session.
+ * @param {Object} res - Express response object
+ * @param {string} sessionCookie - Firebase session cookie
+ * @returns {string} The CSRF token
+ */
+const setSessionCookies = (res, sessionCookie) => {
+  const csrfToken = randomBytes(32).toString('base64url');
+  const options = { ...getCookieOptions(), maxAge: EXPIRES_IN_MS };
+
+  res.cookie(COOKIE_NAME, sessionCookie, { ...options, httpOnly: true });
+  res.cookie(CSRF_COOKIE_NAME, csrfToken, options);
+  return csrfToken;
+};
+
+/**
+ * Clears the session and CSRF cookies.
+ * @param {Object} res - Express response object
+ */
+const clearSessionCookies = (res) => {
+  res.clearCookie(COOKIE_NAME, { ...getCookieOptions(), httpOnly: true });
+  res.clearCookie(CSRF_COOKIE_NAME, getCookieOptions());
+};
+
+/**
+ * Requires a decoded token from a sign-in of the last MAX_AUTH_AGE_SECONDS,
+ * for sessions and sensitive account changes.
+ * @param {Object} decodedToken - Verified ID token or session cookie
+ * @throws {UnauthorizedError} When the user signed in earlier
+ */
+const requireRecentSignIn = (decodedToken) => {
+  const authAge = Math.floor(Date.now() / 1000) - decodedToken.auth_time;
+  if (authAge > SESSION_SETTINGS.MAX_AUTH_AGE_SECONDS) {
+    throw new UnauthorizedError(
+      'Sign in again to continue',
+      'RECENT_SIGN_IN_REQUIRED'
+    );
+  }
+};
+
+/**
+ * Checks the double-submitted CSRF token of a request. Requests with a safe
+ * method always pass.
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const cookie = Buffer.from(req.cookies?.[CSRF_COOKIE_NAME] || '');
+  const header = Buffer.from(req.get(CSRF_HEADER) || '');
+  return (
+    cookie.length > 0 &&
+    cookie.length === header.length &&
+    timingSafeEqual(cookie, header)
+  );
+};
+
+/**
+ * Rejects tokens of disabled accounts and of sign-ins before the last
+ * revocation, like `checkRevoked` of the Firebase Admin SDK but from the
+ * cached account status.
+ * @param {Object} decodedToken - Verified ID token or session cookie
+ * @param {boolean} fromCookie - Whether it is a session cookie
+ * @throws {ForbiddenError} When the account is disabled
+ * @throws {UnauthorizedError} When the token was revoked
+ */
+const checkRevoked = async (decodedToken, fromCookie) => {
+  const { disabled, validSince } = await accountStatusCache.remember(
+    decodedToken.uid,
+    async () => {
+      const user = await backend.users.getUser(decodedToken.uid);
+      return {
+        disabled: Boolean(user.disabled),
+        // Seconds, like auth_time
+        validSince: user.tokensValidAfterTime
+          ? Date.parse(user.tokensValidAfterTime) / 1000
+          : 0,
+      };
+    }
+  );
+
+  if (disabled) {
+    throw new ForbiddenError('This account is disabled', 'USER_DISABLED');
+  }
+  if (decodedToken.auth_time < validSince) {
+    throw new UnauthorizedError(
+      'Session revoked, login again',
+      fromCookie ? 'SESSION_REVOKED' : 'TOKEN_REVOKED'
+    );
+  }
+};
+
+/**
+ * Verifies the credentials of a request, its bearer token or else its
+ * session cookie, and checks them for revocation.
+ * @param {Object} req - Express request object
+ * @returns {Promise<{decodedToken: Object, fromCookie: boolean}|null>} The
+ * decoded token, null when the request has no credentials
+ */
+const authenticate = async (req) => {
+  const idToken = req.headers.authorization?.split('Bearer ')[1];
+  const sessionCookie = req.cookies?.[COOKIE_NAME];
+  if (!idToken && !sessionCookie) return null;
+
+  const fromCookie = !idToken;
+  const decodedToken = fromCookie
+    ? await backend.users.verifySessionCookie(sessionCookie)
+    : await backend.users.verifyIdToken(idToken);
+  await checkRevoked(decodedToken, fromCookie);
+
+  return { decodedToken, fromCookie };
+};
+
+/**
+ * Clears the cached account status of users, for changes that do not
+ * revoke their sessions, such as enabling or restoring an account.
+ * @param {Array<string>} uids - User IDs
+ */
+const forgetAccountStatus = async (uids) => {
+  await Promise.all(uids.map((uid) => accountStatusCache.delete(uid)));
+};
+
+/**
+ * Signs users out everywhere: revokes their refresh tokens, which ends
+ * their sessions and rejects their current ID tokens, and clears their
+ * cached account status. Used when accounts are disabled, deleted or lose
+ * privileges.
+ * @param {Array<string>} uids - User IDs
+ */
+const revokeSessions = async (uids) => {
+  await Promise.all(uids.map((uid) => backend.users.revokeRefreshTokens(uid)));
+  await forgetAccountStatus(uids);
+};
+
+module.exports = {
+  setSessionCookies,
+  clearSessionCookies,
+  hasValidCsrfToken,
+  requireRecentSignIn,
+  authenticate,
+  revokeSessions,
+  forgetAccountStatus,
+};
@@ -0,0 +1,273 @@
+/**
+ * Field validators and the schema engine used by request and domain schemas.
+ *
+ * A schema is an object of field definitions:
+ *   {
+ *     required?: boolean,         // missing value is an error
+ *     nullable?: boolean,         // null is accepted as is
+ *     default?: any | Function,   // used when the value is missing
+ *     coerce?: Function,          // converts raw query/params strings first
+ *     validate?: Function,        // returns an error message or null
+ *     fields?: Object,            // nested object schema
+ *     items?: Object,             // definition of every array item
+ *     minItems?: number,
+ *     maxItems?: number,
+ *   }
+ * Validators return an error message for an invalid value or null.
+ */
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isString =
+  (max = 200, min = 0) =>
+  (value) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.trim().length < min) {
+      return min === 1
+        ? 'cannot be empty'
+        : `must be at least ${min} characters`;
+    }
+    if (value.trim().length > max) return `must be at most ${max} characters`;
+    return null;
+  };
+
+const isOneOf = (options) => (value) =>
+  options.includes(value) ? null : `must be one of ${options.join(', ')}`;
+
+const isInteger = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `must be an integer between ${min} and ${max}`;
+
+const isBoolean = (value) =>
+  typeof value === 'boolean' ? null : 'must be a boolean';
+
+const isPhoneNumber = (value) =>
+  typeof value === 'string' && /^\+?[0-9\s\-()]{7,20}$/.test(value)
+    ? null
+    : 'must be a valid phone number';
+
+const isTime = (value) =>
+  typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+    ? null
+    : 'must be a time in HH:MM format';
+
+const isEmail = (value) =>
+  typeof value === 'string' &&
+  value.length <= 254 &&
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    ? null
+    : 'must be a valid email address';
+
+// Firebase Auth uids and Firestore document ids
+const isId = (value) =>
+  typeof value === 'string' && /^[^/\s]{1,128}$/.test(value)
+    ? null
+    : 'must be a valid id';
+
+const isUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return ['http:', 'https:'].includes(protocol)
+      ? null
+      : 'must be an http or https URL';
+  } catch {
+    return 'must be a valid URL';
+  }
+};
+
+const isDateTime = (value) =>
+  typeof value === 'string' && !Number.isNaN(new Date(value).getTime())
+    ? null
+    : 'must be an ISO date time';
+
+const isFutureDateTime = (value) =>
+  isDateTime(value) ||
+  (new Date(value).getTime() > Date.now() ? null : 'must be in the future');
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return typeof value === 'string' ? null : 'must be a string';
+  } catch {
+    return 'must be a valid IANA time zone';
+  }
+};
+
+/**
+ * Checks a calendar date in YYYY-MM-DD format.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowFuture=true] - Whether dates after today are accepted
+ * @returns {Function} Validator for the date
+ */
+const isDate =
+  ({ allowFuture = true } = {}) =>
+  (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return 'must be a date in YYYY-MM-DD format';
+    }
+
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (
+      Number.isNaN(date.getTime()) ||
+      date.toISOString().slice(0, 10) !== value
+    ) {
+      return 'must be a valid calendar date';
+    }
+    if (!allowFuture && value > new Date().toISOString().slice(0, 10)) {
+      return 'cannot be in the future';
+    }
+    if (date.getUTCFullYear() < 1900) return 'must be after 1900';
+
+    return null;
+  };
+
+/**
+ * Coercers for query string and route params values.
+ */
+const toInteger = (value) =>
+  typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+
+const toBoolean = (value) =>
+  value === 'true' ? true : value === 'false' ? false : value;
+
+const toList = (value) =>
+  typeof value === 'string'
+    ? value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : value;
+
+/**
+ * Validates a value against a single field definition.
+ * @param {Object} definition - Field definition
+ * @param {*} input - Raw value
+ * @param {string} path - Path of the value, used in error messages
+ * @param {Array} errors - Collected `{ field, message }` errors
+ * @returns {*} The coerced value, stripped of unknown nested fields
+ */
+const validateValue = (definition, input, path, errors) => {
+  const value = definition.coerce ? definition.coerce(input) : input;
+
+  if (value === null && definition.nullable) return null;
+
+  if (definition.fields) {
+    if (!isPlainObject(value)) {
+      errors.push({ field: path, message: 'must be an object' });
+      return undefined;
+    }
+    return validateFields(definition.fields, value, errors, path);
+  }
+
+  if (definition.items) {
+    if (!Array.isArray(value)) {
+      errors.push({ field: path, message: 'must be an array' });
+      return undefined;
+    }
+    if (definition.minItems && value.length < definition.minItems) {
+      errors.push({
+        field: path,
+        message: `must have at least ${definition.minItems} items`,
+      });
+    }
+    if (definition.maxItems && value.length > definition.maxItems) {
+      errors.push({
+        field: path,
+        message: `must have at most ${definition.maxItems} items`,
+      });
+      return undefined;
+    }
+    return value.map((item, index) =>
+      validateValue(definition.items, item, `${path}[${index}]`, errors)
+    );
+  }
+
+  const message = definition.validate?.(value);
+  if (message) errors.push({ field: path, message });
+
+  return value;
+};
+
+/**
+ * Validates an object against a schema. Fields missing from the schema are
+ * dropped from the result.
+ * @param {Object} fields - Schema of the object
+ * @param {Object} input - Raw object
+ * @param {Array} [errors=[]] - Collected `{ field, message }` errors
+ * @param {string} [prefix=''] - Path of the object, used in error messages
+ * @returns {Object} The validated object
+ */
+const validateFields = (fields, input, errors = [], prefix = '') => {
+  const source = isPlainObject(input) ? input : {};
+  const output = {};
+
+  for (const [key, definition] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = source[key];
+
+    if (value === undefined) {
+      if (definition.default !== undefined) {
+        output[key] =
+          typeof definition.default === 'function'
+            ? definition.default()
+            : definition.default;
+      } else if (definition.required) {
+        errors.push({ field: path, message: 'is required' });
+      }
+      continue;
+    }
+
+    const validated = validateValue(definition, value, path, errors);
+    if (validated !== undefined) output[key] = validated;
+  }
+
+  return output;
+};
+
+/**
+ * Makes every field of a schema (and of its nested objects) optional, for
+ * partial updates. Array items keep their own rules.
+ * @param {Object} fields - Schema to relax
+ * @param {Object} [options]
+ * @param {boolean} [options.nullable=false] - Accept null for fields that were optional
+ * @returns {Object} The partial schema
+ */
+const partial = (fields, { nullable = false } = {}) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([key, definition]) => [
+      key,
+      {
+        ...definition,
+        required: false,
+        default: undefined,
+        nullable: definition.nullable || (nullable && !definition.required),
+        ...(definition.fields && {
+          fields: partial(definition.fields, { nullable }),
+        }),
+      },
+    ])
+  );
+
+module.exports = {
+  isPlainObject,
+  isString,
+  isOneOf,
+  isInteger,
+  isBoolean,
+  isPhoneNumber,
+  isTime,
+  isEmail,
+  isId,
+  isUrl,
+  isDateTime,
+  isFutureDateTime,
+  isTimeZone,
+  isDate,
+  toInteger,
+  toBoolean,
+  toList,
+  validateFields,
+  partial,
+};
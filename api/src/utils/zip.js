@@ -0,0 +1,92 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP writer for generated archives: deflated entries with UTF-8
+ * names, without ZIP64, so the archive and each entry stay under 4 GiB.
+ */
+
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * Converts a date to the MS-DOS time and date fields of ZIP headers.
+ * @param {Date} date - Modification time
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Builds a ZIP archive.
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files, by path inside the archive
+ * @param {Object} [options]
+ * @param {Date} [options.modifiedAt=new Date()] - Modification time of every entry
+ * @returns {Buffer} The archive
+ * @throws {RangeError} When the archive would need ZIP64
+ */
+const createZip = (entries, { modifiedAt = new Date() } = {}) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data)
+      ? entry.data
+      : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+      throw new RangeError('The archive is too large');
+    }
+
+    // Version 2.0, UTF-8 names (bit 11), deflate
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    header.copy(central, 8, 6, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(header, name, compressed);
+    centralParts.push(central, name);
+    offset += header.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  if (offset > MAX_SIZE || entries.length > 0xffff) {
+    throw new RangeError('The archive is too large');
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = { createZip };
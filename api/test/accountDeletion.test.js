@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signUp } = require('./helpers');
+const backend = require('../src/data');
+const { purgeExpiredAccounts } = require('../src/utils/accountDeletion');
+const { AUDIT_LOG_COLLECTION } = require('../src/utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+
+/**
+ * Lists the stored documents and files that mention a uid, in their path or
+ * their data. The audit log is kept on purpose.
+ */
+const findReferences = (uid) => {
+  const documents = [...backend.firestore._documents]
+    .filter(([path]) => !path.startsWith(`${AUDIT_LOG_COLLECTION}/`))
+    .filter(([path, data]) => `${path} ${JSON.stringify(data)}`.includes(uid))
+    .map(([path]) => path);
+  const files = [...backend.storage._files.keys()].filter((path) =>
+    path.includes(uid)
+  );
+  return [...documents, ...files];
+};
+
+const upload = (token) => {
+  const form = new FormData();
+  form.append('type', 'other');
+  form.append('date', '2026-01-01');
+  form.append(
+    'file',
+    new Blob([Buffer.from('%PDF-1.4\n%%EOF\n')]),
+    'report.pdf'
+  );
+  return request(server.url, 'POST', '/documents', { token, body: form });
+};
+
+/**
+ * Stores the records a patient and a doctor share, the way the appointment,
+ * consent, journal and credential routes write them.
+ */
+const seedSharedRecords = async (patientId, doctorId) => {
+  const { firestore } = backend;
+  const appointmentRef = firestore.collection('appointments').doc();
+  const startTime = new Date('2026-03-02T09:00:00Z');
+
+  await Promise.all([
+    appointmentRef.set({
+      patientId,
+      doctorId,
+      startTime,
+      endTime: new Date('2026-03-02T09:30:00Z'),
+      status: 'scheduled',
+    }),
+    ...[`doctors_${doctorId}`, `patients_${patientId}`].map((id) =>
+      firestore
+        .collection('appointmentSlots')
+        .doc(`${id}_${startTime.getTime()}`)
+        .set({ appointmentId: appointmentRef.id })
+    ),
+    firestore
+      .collection('consents')
+      .doc(`${patientId}_${doctorId}`)
+      .set({ patientId, doctorId, scopes: ['profile'] }),
+    firestore
+      .collection('patients')
+      .doc(patientId)
+      .collection('journalShares')
+      .add({ doctorId, entryIds: [] }),
+  ]);
+};
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('purging self deleted accounts leaves nothing that references them', async () => {
+  const patient = await signUp(server.url, {
+    email: 'purged-patient@medjournal.test',
+    firstName: 'Pur',
+    lastName: 'Ged',
+    role: 'patients',
+  });
+  const doctor = await signUp(server.url, {
+    email: 'purged-doctor@medjournal.test',
+    firstName: 'Doc',
+    lastName: 'Gone',
+    role: 'doctors',
+  });
+  const other = await signUp(server.url, {
+    email: 'kept-patient@medjournal.test',
+    firstName: 'Kept',
+    lastName: 'Patient',
+    role: 'patients',
+  });
+
+  const entry = await request(server.url, 'POST', '/journal', {
+    token: patient.token,
+    body: { date: '2026-01-01', notes: 'Headache' },
+  });
+  assert.equal(entry.status, 201);
+  assert.equal((await upload(patient.token)).status, 201);
+  const dataExport = await request(server.url, 'POST', '/users/me/exports', {
+    token: patient.token,
+  });
+  assert.equal(dataExport.status, 201);
+
+  await seedSharedRecords(patient.uid, doctor.uid);
+  await seedSharedRecords(other.uid, doctor.uid);
+  await Promise.all([
+    backend.firestore
+      .collection('availability')
+      .doc(doctor.uid)
+      .set({ timeZone: 'UTC', weekly: {} }),
+    backend.firestore
+      .collection('credentialSubmissions')
+      .add({ doctorId: doctor.uid, status: 'pending', documents: [] }),
+  ]);
+  assert.ok(findReferences(patient.uid).length > 0);
+  assert.ok(findReferences(doctor.uid).length > 0);
+
+  for (const { token } of [patient, doctor]) {
+    const deletion = await request(server.url, 'DELETE', '/users/me', {
+      token,
+    });
+    assert.equal(deletion.status, 200);
+  }
+
+  const now = new Date(Date.now() + 365 * DAY_MS);
+  assert.deepEqual(await purgeExpiredAccounts({ now }), {
+    purged: 2,
+    failed: 0,
+  });
+
+  assert.deepEqual(findReferences(patient.uid), []);
+  assert.deepEqual(findReferences(doctor.uid), []);
+  await assert.rejects(backend.users.getUser(patient.uid), {
+    code: 'auth/user-not-found',
+  });
+
+  // The other patient keeps their own records
+  const profile = await backend.firestore
+    .collection('patients')
+    .doc(other.uid)
+    .get();
+  assert.ok(profile.exists);
+});
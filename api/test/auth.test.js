@@ -0,0 +1,95 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signUp, signUpAdmin } = require('./helpers');
+
+let server;
+
+// Revocation has a granularity of seconds, like Firebase, so the tests move
+// the clock past the second of the sign-in before revoking
+before(async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  mock.timers.reset();
+});
+
+test('logout revokes the ID token it was called with', async () => {
+  const { token } = await signUp(server.url, {
+    email: 'logout@medjournal.test',
+    firstName: 'Lou',
+    lastName: 'Gout',
+    role: 'patients',
+  });
+
+  assert.equal(
+    (await request(server.url, 'GET', '/users/me', { token })).status,
+    200
+  );
+
+  mock.timers.tick(1000);
+  const logout = await request(server.url, 'POST', '/auth/logout', {
+    token,
+    body: {},
+  });
+  assert.equal(logout.status, 200);
+
+  const me = await request(server.url, 'GET', '/users/me', { token });
+  assert.equal(me.status, 401);
+});
+
+test('signing out an account from the admin actions revokes its sessions', async () => {
+  const admin = await signUpAdmin(server.url);
+  const patient = await signUp(server.url, {
+    email: 'signout@medjournal.test',
+    firstName: 'Sig',
+    lastName: 'Nout',
+    role: 'patients',
+  });
+
+  mock.timers.tick(1000);
+  const action = await request(
+    server.url,
+    'POST',
+    '/users/update-user-account',
+    {
+      token: admin.token,
+      body: { ids: [patient.uid], action: 'signout' },
+    }
+  );
+  assert.equal(action.status, 200);
+
+  const me = await request(server.url, 'GET', '/users/me', {
+    token: patient.token,
+  });
+  assert.equal(me.status, 401);
+});
+
+test('requests of disabled accounts are forbidden', async () => {
+  const admin = await signUpAdmin(server.url);
+  const patient = await signUp(server.url, {
+    email: 'disabled@medjournal.test',
+    firstName: 'Dis',
+    lastName: 'Abled',
+    role: 'patients',
+  });
+
+  const action = await request(
+    server.url,
+    'POST',
+    '/users/update-user-account',
+    {
+      token: admin.token,
+      body: { ids: [patient.uid], action: 'disable' },
+    }
+  );
+  assert.equal(action.status, 200);
+
+  const me = await request(server.url, 'GET', '/users/me', {
+    token: patient.token,
+  });
+  assert.equal(me.status, 403);
+  assert.equal(me.body.code, 'USER_DISABLED');
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signUp, signUpAdmin } = require('./helpers');
+
+const NAMES = [
+  ['John', 'Smith'],
+  ['Jane', 'Doe'],
+  ['Johanna', 'Smyth'],
+  ['Bob', 'Jones'],
+  ['Alice', 'Brown'],
+  ['Carl', 'Young'],
+  ['Dana', 'Scully'],
+];
+
+let server;
+let admin;
+
+const getAllUsers = async (body) => {
+  const { status, body: json } = await request(
+    server.url,
+    'POST',
+    '/users/get-all-users',
+    { token: admin.token, body }
+  );
+  assert.equal(status, 200, JSON.stringify(json));
+  return json.data;
+};
+
+before(async () => {
+  server = await startServer();
+  for (const [i, [firstName, lastName]] of NAMES.entries()) {
+    await signUp(server.url, {
+      email: `user${i}@medjournal.test`,
+      firstName,
+      lastName,
+      role: 'patients',
+    });
+  }
+  admin = await signUpAdmin(server.url);
+});
+
+after(() => server.close());
+
+test('next cursors page through every user once, in order', async () => {
+  const pages = [];
+  let data = await getAllUsers({ limit: 3 });
+  pages.push(data);
+  while (data.nextCursor) {
+    data = await getAllUsers({ limit: 3, cursor: data.nextCursor });
+    pages.push(data);
+  }
+
+  const names = pages.flatMap((page) => page.users.map((u) => u.displayName));
+  assert.equal(pages.length, 3);
+  assert.equal(names.length, NAMES.length + 1);
+  assert.equal(new Set(names).size, names.length);
+  assert.deepEqual(names, [...names].sort());
+  assert.ok(pages.every((page) => page.totalCount === NAMES.length + 1));
+  assert.equal(pages[0].prevCursor, null);
+});
+
+test('the previous cursor returns the previous page', async () => {
+  const first = await getAllUsers({ limit: 3 });
+  const second = await getAllUsers({ limit: 3, cursor: first.nextCursor });
+  const back = await getAllUsers({ limit: 3, cursor: second.prevCursor });
+
+  assert.deepEqual(
+    back.users.map((u) => u.uid),
+    first.users.map((u) => u.uid)
+  );
+});
+
+test('searches tolerate a typo in a word', async () => {
+  for (const search of ['Jhon', 'Smiht']) {
+    const { users } = await getAllUsers({ search });
+    assert.ok(
+      users.some((u) => u.displayName === 'John Smith'),
+      `John Smith not found by ${search}`
+    );
+  }
+});
+
+test('forged cursors are rejected', async () => {
+  const { nextCursor } = await getAllUsers({ limit: 3 });
+  const [payload, signature] = nextCursor.split('.');
+  const forged = Buffer.from(
+    JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url')),
+      uid: 'x',
+    })
+  ).toString('base64url');
+
+  const { status, body } = await request(
+    server.url,
+    'POST',
+    '/users/get-all-users',
+    { token: admin.token, body: { limit: 3, cursor: `${forged}.${signature}` } }
+  );
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_CURSOR');
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signUp, signUpAdmin } = require('./helpers');
+
+// A PDF of 1000 bytes
+const PDF = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(991, 32)]);
+
+let server;
+let admin;
+let patient;
+
+const upload = (token) => {
+  const form = new FormData();
+  form.append('type', 'other');
+  form.append('date', '2026-01-01');
+  form.append('file', new Blob([PDF]), 'report.pdf');
+  return request(server.url, 'POST', '/documents', { token, body: form });
+};
+
+const getUsage = async () => {
+  const { status, body } = await request(
+    server.url,
+    'GET',
+    '/documents/quota',
+    {
+      token: patient.token,
+    }
+  );
+  assert.equal(status, 200);
+  return body.data;
+};
+
+before(async () => {
+  server = await startServer();
+  admin = await signUpAdmin(server.url);
+  patient = await signUp(server.url, {
+    email: 'quota@medjournal.test',
+    firstName: 'Quo',
+    lastName: 'Ta',
+    role: 'patients',
+  });
+});
+
+after(() => server.close());
+
+test('concurrent uploads cannot exceed the quota', async () => {
+  const quota = await request(
+    server.url,
+    'PUT',
+    `/documents/quotas/${patient.uid}`,
+    { token: admin.token, body: { quotaBytes: 3500 } }
+  );
+  assert.equal(quota.status, 200);
+
+  const results = await Promise.all(
+    Array.from({ length: 6 }, () => upload(patient.token))
+  );
+  const statuses = results.map(({ status }) => status).sort();
+  assert.deepEqual(statuses, [201, 201, 201, 422, 422, 422]);
+
+  const usage = await getUsage();
+  assert.equal(usage.quotaBytes, 3500);
+  assert.equal(usage.usedBytes, 3 * PDF.length);
+});
+
+test('deleting a document frees its bytes', async () => {
+  const { usedBytes } = await getUsage();
+  const { status, body } = await upload(patient.token);
+  assert.equal(status, 422);
+  assert.equal(body.code, 'STORAGE_QUOTA_EXCEEDED');
+
+  const { body: list } = await request(server.url, 'GET', '/documents', {
+    token: patient.token,
+  });
+  const [document] = list.data.documents;
+  const deletion = await request(
+    server.url,
+    'DELETE',
+    `/documents/${document.id}`,
+    { token: patient.token }
+  );
+  assert.equal(deletion.status, 200);
+  assert.equal((await getUsage()).usedBytes, usedBytes - PDF.length);
+
+  assert.equal((await upload(patient.token)).status, 201);
+});
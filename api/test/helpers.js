@@ -0,0 +1,92 @@
+/**
+ * Helpers of the request-level tests. Each test file runs in a process of
+ * its own with the app on the in-memory backend, so files do not share
+ * users or data.
+ */
+process.env.CURSOR_SECRET = 'test-cursor-secret';
+delete process.env.FIREBASE_SERVICE_ACCOUNT;
+
+const createApp = require('../app');
+const backend = require('../src/data');
+const { grantAdminRole } = require('../src/utils/admins');
+const { ADMIN_TIERS } = require('../src/utils/constants');
+
+const PASSWORD = 'Secret-pass1';
+
+// Numbers the admins of a file, whose emails must differ
+let adminCount = 0;
+
+/**
+ * Starts the app on a free port.
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+const startServer = () =>
+  new Promise((resolve) => {
+    const server = createApp({ backend: 'memory', cache: 'memory' }).listen(
+      0,
+      () =>
+        resolve({
+          url: `http://127.0.0.1:${server.address().port}`,
+          close: () => new Promise((done) => server.close(done)),
+        })
+    );
+  });
+
+/**
+ * Sends a request with a JSON body, or a multipart body given a FormData.
+ * @param {string} url - Base URL from startServer
+ * @param {string} method - HTTP method
+ * @param {string} path - Path of the route
+ * @param {Object} [options]
+ * @param {string} [options.token] - ID token of the user
+ * @param {Object|FormData} [options.body] - Request body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+const request = async (url, method, path, { token, body } = {}) => {
+  const isForm = body instanceof FormData;
+  const response = await fetch(url + path, {
+    method,
+    headers: {
+      ...(body && !isForm && { 'content-type': 'application/json' }),
+      ...(token && { authorization: `Bearer ${token}` }),
+    },
+    body: body && (isForm ? body : JSON.stringify(body)),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Signs up a user.
+ * @param {string} url - Base URL from startServer
+ * @param {Object} fields - `email`, `firstName`, `lastName` and `role`
+ * @returns {Promise<{uid: string, token: string}>}
+ */
+const signUp = async (url, fields) => {
+  const { status, body } = await request(url, 'POST', '/users/create-user', {
+    body: { password: PASSWORD, ...fields },
+  });
+  if (status !== 201) {
+    throw new Error(`Sign up failed with ${status}: ${JSON.stringify(body)}`);
+  }
+  return { uid: body.user.uid, token: body.token };
+};
+
+/**
+ * Signs up a user and grants them an admin tier.
+ * @param {string} url - Base URL from startServer
+ * @param {string} [tier=ADMIN_TIERS.SUPER_ADMIN] - Admin tier
+ * @returns {Promise<{uid: string, token: string}>} Token carrying the admin claims
+ */
+const signUpAdmin = async (url, tier = ADMIN_TIERS.SUPER_ADMIN) => {
+  adminCount += 1;
+  const { uid } = await signUp(url, {
+    email: `admin${adminCount}@medjournal.test`,
+    firstName: 'Ada',
+    lastName: 'Admin',
+    role: 'patients',
+  });
+  await grantAdminRole(uid, tier);
+  return { uid, token: await backend.users.createCustomToken(uid) };
+};
+
+module.exports = { PASSWORD, startServer, request, signUp, signUpAdmin };